@@ -1,21 +1,71 @@
-import React, { useEffect, useState } from 'react';
-import { View, Text, ActivityIndicator } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, ActivityIndicator, AppState } from 'react-native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
+import * as Notifications from 'expo-notifications';
 import AuthScreen from './components/auth/authScreen';
 import HomeScreen from './screens/homeScreen';
-import { initDatabase } from './components/database/database';
+import CategoriesScreen from './screens/categoriesScreen';
+import SettingsScreen from './screens/settingsScreen';
+import StatsScreen from './screens/statsScreen';
+import WeightScreen from './screens/weightScreen';
+import RecentlyDeletedScreen from './screens/recentlyDeletedScreen';
+import JournalHistoryScreen from './screens/journalHistoryScreen';
+import HouseholdsScreen from './screens/householdsScreen';
+import { initDatabase, isDatabaseLocked } from './components/database/database';
+import { forgetDatabaseKey } from './components/database/encryption';
+import { getActiveSession, endSession } from './components/auth/session';
+import { getAppLock, shouldLock } from './components/auth/pinLock';
+import LockScreen from './components/auth/lockScreen';
+import { purgeExpiredJournals } from './components/journal/trash';
+import { cleanupOrphanedImages } from './components/media/imageStore';
+import {
+  scheduleReminders,
+  cancelReminders,
+  handleReminderNotification,
+  dismissLoggedReminders,
+  getReminderCategory,
+} from './components/reminders/reminders';
 
 const Stack = createStackNavigator();
+const navigationRef = createNavigationContainerRef();
+
+Notifications.setNotificationHandler({ handleNotification: handleReminderNotification });
 
 const App = () => {
   const [dbInitialized, setDbInitialized] = useState(false);
   const [error, setError] = useState(null);
+  const [session, setSession] = useState(null);
+  const [launchCategoryId, setLaunchCategoryId] = useState(null);
+  // Session the lock screen is guarding, or null while unlocked
+  const [lockedSession, setLockedSession] = useState(null);
+  const backgroundedAt = useRef(null);
 
   useEffect(() => {
     const initialize = async () => {
       try {
-        await initDatabase();
+        try {
+          await initDatabase();
+        } catch (err) {
+          if (err.name !== 'DatabaseLockedError') throw err;
+          // Encrypted with no key on hand: logging in unlocks it
+          setDbInitialized(true);
+          return;
+        }
+        purgeTrash();
+        // A still-valid session skips the login screen
+        const active = await getActiveSession();
+        setSession(active);
+        if (active) {
+          // A reminder tapped while the app was closed preselects its category
+          const response = await Notifications.getLastNotificationResponseAsync();
+          setLaunchCategoryId(getReminderCategory(response));
+          scheduleReminders(active.userId)
+            .then(() => dismissLoggedReminders(active.userId))
+            .catch((err) => console.error('Reminder scheduling error:', err));
+          // A cold start always asks for the PIN
+          if (await getAppLock(active.userId)) setLockedSession(active);
+        }
         setDbInitialized(true);
       } catch (err) {
         console.error('Initialization error:', err);
@@ -26,10 +76,76 @@ const App = () => {
     initialize();
   }, []);
 
+  // Entries deleted more than the retention period ago are removed for good
+  const purgeTrash = async () => {
+    try {
+      if ((await purgeExpiredJournals()) > 0) await cleanupOrphanedImages();
+    } catch (err) {
+      console.error('Trash purge error:', err);
+    }
+  };
+
+  // Coming back from the background asks for the PIN once the user's
+  // timeout has passed. The session is looked up again because whoever is
+  // logged in may have changed since launch.
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', async (state) => {
+      if (state === 'background') {
+        backgroundedAt.current = Date.now();
+        return;
+      }
+      if (state !== 'active' || backgroundedAt.current === null || isDatabaseLocked()) return;
+      const since = backgroundedAt.current;
+      backgroundedAt.current = null;
+      try {
+        const active = await getActiveSession();
+        if (active && shouldLock(await getAppLock(active.userId), since)) {
+          setLockedSession(active);
+        }
+      } catch (err) {
+        console.error('App lock check error:', err);
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  const logoutFromLock = async () => {
+    try {
+      await cancelReminders(lockedSession.userId);
+      await endSession(lockedSession.token);
+      await forgetDatabaseKey();
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    if (navigationRef.isReady()) {
+      navigationRef.reset({ index: 0, routes: [{ name: 'Auth' }] });
+    }
+    setLockedSession(null);
+  };
+
+  // Reminder tapped while the app is running: open Home's form on that category
+  useEffect(() => {
+    const subscription = Notifications.addNotificationResponseReceivedListener((response) => {
+      const categoryId = getReminderCategory(response);
+      if (!categoryId || !navigationRef.isReady()) return;
+      if (navigationRef.getCurrentRoute()?.name === 'Auth') return;
+      navigationRef.navigate({
+        name: 'Home',
+        params: { presetCategoryId: categoryId },
+        merge: true,
+      });
+    });
+    return () => subscription.remove();
+  }, []);
+
   if (error) {
     return (
       <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
-        <Text>Database error. Check console.</Text>
+        <Text>
+          {error.name === 'MigrationError'
+            ? error.message
+            : 'Database error. Check console.'}
+        </Text>
       </View>
     );
   }
@@ -44,12 +160,44 @@ const App = () => {
   }
 
   return (
-    <NavigationContainer>
-      <Stack.Navigator screenOptions={{ headerShown: false }}>
-        <Stack.Screen name="Auth" component={AuthScreen} />
-        <Stack.Screen name="Home" component={HomeScreen} />
-      </Stack.Navigator>
-    </NavigationContainer>
+    <View style={{ flex: 1 }}>
+      <NavigationContainer ref={navigationRef}>
+        <Stack.Navigator
+          initialRouteName={session ? 'Home' : 'Auth'}
+          screenOptions={{ headerShown: false }}
+        >
+          <Stack.Screen name="Auth" component={AuthScreen} />
+          <Stack.Screen
+            name="Home"
+            component={HomeScreen}
+            initialParams={
+              session
+                ? {
+                    userId: session.userId,
+                    sessionToken: session.token,
+                    presetCategoryId: launchCategoryId,
+                  }
+                : undefined
+            }
+          />
+          <Stack.Screen name="Categories" component={CategoriesScreen} />
+          <Stack.Screen name="Settings" component={SettingsScreen} />
+          <Stack.Screen name="Stats" component={StatsScreen} />
+          <Stack.Screen name="Weight" component={WeightScreen} />
+          <Stack.Screen name="RecentlyDeleted" component={RecentlyDeletedScreen} />
+          <Stack.Screen name="JournalHistory" component={JournalHistoryScreen} />
+          <Stack.Screen name="Households" component={HouseholdsScreen} />
+        </Stack.Navigator>
+      </NavigationContainer>
+      {lockedSession && (
+        <LockScreen
+          key={lockedSession.token}
+          userId={lockedSession.userId}
+          onUnlock={() => setLockedSession(null)}
+          onLogout={logoutFromLock}
+        />
+      )}
+    </View>
   );
 };
 
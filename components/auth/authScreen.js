@@ -10,7 +10,17 @@ import {
   KeyboardAvoidingView,
   Platform
 } from 'react-native';
-import { executeSql } from '../database/database';
+import * as UsersRepo from '../database/usersRepo';
+import {
+  isDatabaseLocked,
+  hasDatabaseKey,
+  unlockDatabase,
+  addDatabaseKey,
+} from '../database/database';
+import { hashPassword, verifyPassword, needsRehash } from './password';
+import { createSession } from './session';
+import { createDefaultCategories } from '../categories/categories';
+import { scheduleReminders } from '../reminders/reminders';
 
 const AuthScreen = ({ navigation }) => {
   const [email, setEmail] = useState('');
@@ -34,44 +44,71 @@ const AuthScreen = ({ navigation }) => {
     return true;
   };
 
+  // Start a persistent session and replace Auth so back does not return here
+  const signIn = async (userId) => {
+    const session = await createSession(userId);
+    scheduleReminders(userId).catch((error) =>
+      console.error('Reminder scheduling error:', error)
+    );
+    navigation.reset({
+      index: 0,
+      routes: [{ name: 'Home', params: { userId, sessionToken: session.token } }],
+    });
+  };
+
   const handleAuth = async () => {
     if (!validateInputs()) return;
 
     setIsLoading(true);
     try {
       if (isLogin) {
-        const users = await executeSql(
-          'SELECT id FROM users WHERE email = ? AND password = ?',
-          [email, password]
-        );
-
-        if (users.length > 0) {
-          navigation.navigate('Home', { userId: users[0].id });
+        // An encrypted database opens with the key stored for this account.
+        // Any account that already has one can add this one by logging in
+        // first; the key stays open in the app until it is closed.
+        if (!(await hasDatabaseKey(email))) {
+          Alert.alert(
+            'No key for this account',
+            'This email has no key for the encrypted journal on this device. If the account is on this device, log in with an account that can open the journal, log out without closing the app, then log in with this account.'
+          );
+          return;
+        }
+        if (!(await unlockDatabase(email, password))) {
+          Alert.alert('Authentication Failed', 'Invalid email or password');
+          return;
+        }
+        const user = await UsersRepo.findByEmail(email);
+        const isValid = user ? await verifyPassword(password, user.password) : false;
+
+        if (isValid) {
+          // Transparently upgrade plaintext or outdated hashes
+          if (needsRehash(user.password)) {
+            await UsersRepo.updatePassword(user.id, await hashPassword(password));
+          }
+          await addDatabaseKey(email, password);
+          await signIn(user.id);
         } else {
           Alert.alert('Authentication Failed', 'Invalid email or password');
         }
       } else {
-        const existingUsers = await executeSql(
-          'SELECT id FROM users WHERE email = ?',
-          [email]
-        );
-
-        if (existingUsers.length > 0) {
+        if (isDatabaseLocked()) {
+          Alert.alert(
+            'Journal locked',
+            'The journal on this device is encrypted. Log in with an existing account first.'
+          );
+          return;
+        }
+        if (await UsersRepo.findByEmail(email)) {
           Alert.alert('Registration Failed', 'Email already exists');
           return;
         }
 
-        await executeSql(
-          'INSERT INTO users (email, password) VALUES (?, ?)',
-          [email, password]
-        );
-
-        const newUser = await executeSql(
-          'SELECT id FROM users WHERE email = ?',
-          [email]
-        );
-
-        navigation.navigate('Home', { userId: newUser[0].id });
+        const userId = await UsersRepo.create({
+          email,
+          passwordHash: await hashPassword(password),
+        });
+        await createDefaultCategories(userId);
+        await addDatabaseKey(email, password);
+        await signIn(userId);
       }
     } catch (error) {
       console.error('Database error:', error);
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+} from 'react-native';
+import * as UsersRepo from '../database/usersRepo';
+import { database, encryptDatabase } from '../database/database';
+import { isEncrypted, verifyDatabaseFile } from '../database/encryption';
+import { verifyPassword } from './password';
+
+// Values that must not be readable in the file once it is encrypted: the
+// account's email, its password hash and its latest descriptions
+const collectProbes = async (userId) => {
+  const user = await UsersRepo.findById(userId);
+  const rows = await database.query(
+    `SELECT description FROM journals
+      WHERE userId = ? AND length(description) >= 4
+      ORDER BY id DESC LIMIT 5`,
+    [userId]
+  );
+  return [user.email, user.password, ...rows.map((row) => row.description)];
+};
+
+const describeCheck = ({ plainHeader, found }) => {
+  if (!plainHeader && found.length === 0) {
+    return 'The database file contains no readable journal data.';
+  }
+  return `Readable data found in the database file: ${[
+    ...(plainHeader ? ['sqlite header'] : []),
+    ...found,
+  ].join(', ')}`;
+};
+
+const EncryptionSettings = ({ userId }) => {
+  const [encrypted, setEncrypted] = useState(false);
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    isEncrypted()
+      .then(setEncrypted)
+      .catch((error) => console.error('Error loading encryption state:', error));
+  }, []);
+
+  const checkFile = async () => {
+    setBusy(true);
+    try {
+      const result = await verifyDatabaseFile(await collectProbes(userId));
+      Alert.alert('Encryption check', describeCheck(result));
+    } catch (error) {
+      console.error('Encryption check error:', error);
+      Alert.alert('Error', 'Could not read the database file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const encrypt = async () => {
+    setBusy(true);
+    try {
+      const user = await UsersRepo.findById(userId);
+      if (!(await verifyPassword(password, user.password))) {
+        Alert.alert('Error', 'Wrong password');
+        return;
+      }
+      await encryptDatabase(user.email, password);
+      setPassword('');
+      setEncrypted(true);
+      const result = await verifyDatabaseFile(await collectProbes(userId));
+      Alert.alert('Database encrypted', describeCheck(result));
+    } catch (error) {
+      console.error('Encrypt database error:', error);
+      Alert.alert('Error', 'Could not encrypt the database');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmEncrypt = () => {
+    Alert.alert(
+      'Encrypt database',
+      'Every account on this device can still open the journal with its own password. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Encrypt', onPress: encrypt },
+      ]
+    );
+  };
+
+  if (encrypted) {
+    return (
+      <View>
+        <Text style={styles.status}>
+          The journal database is encrypted on this device. Photos and exported backups are not.
+        </Text>
+        <TouchableOpacity style={styles.action} onPress={checkFile} disabled={busy}>
+          <Text style={styles.actionText}>Check database file</Text>
+          {busy && <ActivityIndicator color="#4285f4" />}
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <Text style={styles.status}>
+        The journal database is stored unencrypted. Encrypting it needs your password.
+      </Text>
+      <TextInput
+        placeholder="Password"
+        value={password}
+        onChangeText={setPassword}
+        secureTextEntry
+        autoCapitalize="none"
+        style={styles.input}
+      />
+      <TouchableOpacity
+        style={styles.action}
+        onPress={confirmEncrypt}
+        disabled={busy || !password}
+      >
+        <Text style={styles.actionText}>Encrypt database</Text>
+        {busy && <ActivityIndicator color="#4285f4" />}
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  status: { color: '#666', padding: 15 },
+  input: {
+    fontSize: 16,
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  action: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 15,
+  },
+  actionText: { fontSize: 16, color: '#4285f4', fontWeight: 'bold' },
+});
+
+export default EncryptionSettings;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { verifyPin, getLockout } from './pinLock';
+
+const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+};
+
+// Full-screen cover shown over the app until the PIN is entered
+const LockScreen = ({ userId, onUnlock, onLogout }) => {
+  const [pin, setPin] = useState('');
+  const [message, setMessage] = useState('');
+  const [waitMs, setWaitMs] = useState(0);
+
+  useEffect(() => {
+    getLockout(userId)
+      .then(setWaitMs)
+      .catch((error) => console.error('Lockout check error:', error));
+  }, [userId]);
+
+  // Count the wait down once a second
+  useEffect(() => {
+    if (waitMs <= 0) return undefined;
+    const timer = setTimeout(() => setWaitMs((ms) => Math.max(0, ms - 1000)), 1000);
+    return () => clearTimeout(timer);
+  }, [waitMs]);
+
+  const submit = async () => {
+    if (!pin || waitMs > 0) return;
+    try {
+      const result = await verifyPin(userId, pin);
+      setPin('');
+      if (result.ok) {
+        setMessage('');
+        onUnlock();
+        return;
+      }
+      setWaitMs(result.waitMs);
+      setMessage(
+        result.attemptsLeft > 0
+          ? `Wrong PIN. ${result.attemptsLeft} attempts left before a wait.`
+          : 'Wrong PIN.'
+      );
+    } catch (error) {
+      console.error('PIN check error:', error);
+      setMessage('Could not check the PIN');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Enter your PIN</Text>
+      <TextInput
+        value={pin}
+        onChangeText={(text) => setPin(text.replace(/\D/g, ''))}
+        onSubmitEditing={submit}
+        keyboardType="number-pad"
+        secureTextEntry
+        maxLength={8}
+        autoFocus
+        editable={waitMs <= 0}
+        style={styles.input}
+      />
+      {!!message && <Text style={styles.message}>{message}</Text>}
+      {waitMs > 0 && (
+        <Text style={styles.message}>Try again in {formatWait(waitMs)}</Text>
+      )}
+      <TouchableOpacity
+        style={[styles.button, waitMs > 0 && styles.buttonDisabled]}
+        onPress={submit}
+        disabled={waitMs > 0}
+      >
+        <Text style={styles.buttonText}>Unlock</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={onLogout}>
+        <Text style={styles.logoutText}>Forgot PIN? Log out</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#f8f9fa',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 30,
+  },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#333', marginBottom: 20 },
+  input: {
+    width: 200,
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+  },
+  message: { color: '#d9534f', marginTop: 12, textAlign: 'center' },
+  button: {
+    backgroundColor: '#4285f4',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 40,
+    marginTop: 20,
+  },
+  buttonDisabled: { backgroundColor: '#aaa' },
+  buttonText: { color: 'white', fontSize: 16, fontWeight: 'bold' },
+  logoutText: { color: '#4285f4', marginTop: 25 },
+});
+
+export default LockScreen;
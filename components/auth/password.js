@@ -0,0 +1,60 @@
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import * as Crypto from 'expo-crypto';
+
+// Stored format: pbkdf2_sha256$<iterations>$<salt hex>$<hash hex>
+const ALGORITHM = 'pbkdf2_sha256';
+const ITERATIONS = 60000;
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+const derive = (password, salt, iterations) =>
+  pbkdf2Async(sha256, password, salt, { c: iterations, dkLen: KEY_BYTES });
+
+// Compare without returning early so timing does not leak the mismatch position
+const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+};
+
+const parseHash = (stored) => {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 4 || parts[0] !== ALGORITHM) return null;
+  const iterations = parseInt(parts[1], 10);
+  if (!iterations) return null;
+  return { iterations, salt: hexToBytes(parts[2]), hash: hexToBytes(parts[3]) };
+};
+
+const isHashed = (stored) => parseHash(stored) !== null;
+
+const hashPassword = async (password) => {
+  const salt = await Crypto.getRandomBytesAsync(SALT_BYTES);
+  const hash = await derive(password, salt, ITERATIONS);
+  return `${ALGORITHM}$${ITERATIONS}$${bytesToHex(salt)}$${bytesToHex(hash)}`;
+};
+
+// Rows written before hashing existed hold the plaintext password; they still
+// verify here so the caller can upgrade them after a successful login.
+const verifyPassword = async (password, stored) => {
+  if (!stored) return false;
+  const parsed = parseHash(stored);
+  if (!parsed) {
+    const encoder = new TextEncoder();
+    return constantTimeEqual(encoder.encode(password), encoder.encode(stored));
+  }
+  const hash = await derive(password, parsed.salt, parsed.iterations);
+  return constantTimeEqual(hash, parsed.hash);
+};
+
+// Plaintext rows and hashes made with weaker settings get rewritten on login
+const needsRehash = (stored) => {
+  const parsed = parseHash(stored);
+  return !parsed || parsed.iterations < ITERATIONS;
+};
+
+export { hashPassword, verifyPassword, needsRehash, isHashed, parseHash };
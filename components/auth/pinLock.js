@@ -0,0 +1,95 @@
+import { getSetting, setSetting } from '../database/settings';
+import { hashPassword, verifyPassword } from './password';
+
+const LOCK_KEY = 'appLock';
+const ATTEMPTS_KEY = 'appLockAttempts';
+
+// Seconds in background before the PIN is asked again; 0 locks immediately
+const LOCK_TIMEOUTS = [0, 30, 60, 300, 900];
+const DEFAULT_TIMEOUT = 60;
+
+// Wrong PINs allowed before waiting kicks in; each further miss doubles the wait
+const FREE_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+const isValidPin = (pin) => /^\d{4,8}$/.test(pin);
+
+// { pinHash, timeoutSeconds }, or null when the lock is off
+const getAppLock = async (userId) => {
+  const lock = await getSetting(userId, LOCK_KEY, null);
+  return lock?.pinHash ? lock : null;
+};
+
+// The PIN is stored like a password, never in clear
+const setPin = async (userId, pin) => {
+  if (!isValidPin(pin)) throw new Error('The PIN must be 4 to 8 digits');
+  const current = await getAppLock(userId);
+  await setSetting(userId, LOCK_KEY, {
+    pinHash: await hashPassword(pin),
+    timeoutSeconds: current?.timeoutSeconds ?? DEFAULT_TIMEOUT,
+  });
+  await setSetting(userId, ATTEMPTS_KEY, null);
+};
+
+const removePin = async (userId) => {
+  await setSetting(userId, LOCK_KEY, null);
+  await setSetting(userId, ATTEMPTS_KEY, null);
+};
+
+const setLockTimeout = async (userId, timeoutSeconds) => {
+  const current = await getAppLock(userId);
+  if (!current) return;
+  await setSetting(userId, LOCK_KEY, { ...current, timeoutSeconds });
+};
+
+const lockoutFor = (failures) =>
+  failures < FREE_ATTEMPTS
+    ? 0
+    : Math.min(BASE_LOCKOUT_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_LOCKOUT_MS);
+
+// Time (ms) until the next attempt is allowed; 0 when one is allowed now.
+// Kept in settings so restarting the app does not reset the wait.
+const getLockout = async (userId, now = Date.now()) => {
+  const attempts = await getSetting(userId, ATTEMPTS_KEY, null);
+  return Math.max(0, (attempts?.lockedUntil || 0) - now);
+};
+
+// Returns { ok } on success, otherwise { ok: false, waitMs, attemptsLeft }
+const verifyPin = async (userId, pin, now = Date.now()) => {
+  const lock = await getAppLock(userId);
+  if (!lock) return { ok: true };
+  const attempts = (await getSetting(userId, ATTEMPTS_KEY, null)) || {
+    failures: 0,
+    lockedUntil: 0,
+  };
+  if (attempts.lockedUntil > now) {
+    return { ok: false, waitMs: attempts.lockedUntil - now, attemptsLeft: 0 };
+  }
+
+  if (await verifyPassword(pin, lock.pinHash)) {
+    await setSetting(userId, ATTEMPTS_KEY, null);
+    return { ok: true };
+  }
+
+  const failures = attempts.failures + 1;
+  const waitMs = lockoutFor(failures);
+  await setSetting(userId, ATTEMPTS_KEY, { failures, lockedUntil: waitMs ? now + waitMs : 0 });
+  return { ok: false, waitMs, attemptsLeft: Math.max(0, FREE_ATTEMPTS - failures) };
+};
+
+// Whether coming back after `backgroundedAt` (ms) should ask for the PIN
+const shouldLock = (lock, backgroundedAt, now = Date.now()) =>
+  !!lock && (backgroundedAt === null || now - backgroundedAt >= lock.timeoutSeconds * 1000);
+
+export {
+  LOCK_TIMEOUTS,
+  isValidPin,
+  getAppLock,
+  setPin,
+  removePin,
+  setLockTimeout,
+  getLockout,
+  verifyPin,
+  shouldLock,
+};
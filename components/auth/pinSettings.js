@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Alert, StyleSheet } from 'react-native';
+import {
+  LOCK_TIMEOUTS,
+  isValidPin,
+  getAppLock,
+  setPin,
+  removePin,
+  setLockTimeout,
+  verifyPin,
+} from './pinLock';
+
+const timeoutLabel = (seconds) => {
+  if (seconds === 0) return 'Immediately';
+  return seconds < 60 ? `${seconds}s` : `${seconds / 60} min`;
+};
+
+const PinSettings = ({ userId }) => {
+  const [lock, setLock] = useState(null);
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+
+  useEffect(() => {
+    loadLock();
+  }, []);
+
+  const loadLock = async () => {
+    try {
+      setLock(await getAppLock(userId));
+    } catch (error) {
+      console.error('Error loading app lock:', error);
+    }
+  };
+
+  const resetInputs = () => {
+    setCurrentPin('');
+    setNewPin('');
+    setConfirmPin('');
+  };
+
+  // Changing or removing an existing PIN needs the current one, which goes
+  // through the same attempt counter as the lock screen
+  const checkCurrentPin = async () => {
+    if (!lock) return true;
+    const result = await verifyPin(userId, currentPin);
+    if (result.ok) return true;
+    Alert.alert(
+      'Wrong PIN',
+      result.waitMs > 0
+        ? `Too many attempts. Try again in ${Math.ceil(result.waitMs / 1000)}s`
+        : 'The current PIN is not correct'
+    );
+    return false;
+  };
+
+  const savePin = async () => {
+    if (!isValidPin(newPin)) {
+      Alert.alert('Error', 'The PIN must be 4 to 8 digits');
+      return;
+    }
+    if (newPin !== confirmPin) {
+      Alert.alert('Error', 'The PINs do not match');
+      return;
+    }
+    try {
+      if (!(await checkCurrentPin())) return;
+      await setPin(userId, newPin);
+      resetInputs();
+      await loadLock();
+      Alert.alert('App lock', 'PIN saved');
+    } catch (error) {
+      console.error('Save PIN error:', error);
+      Alert.alert('Error', 'Could not save the PIN');
+    }
+  };
+
+  const turnOff = async () => {
+    try {
+      if (!(await checkCurrentPin())) return;
+      await removePin(userId);
+      resetInputs();
+      setLock(null);
+    } catch (error) {
+      console.error('Remove PIN error:', error);
+      Alert.alert('Error', 'Could not turn off the app lock');
+    }
+  };
+
+  const changeTimeout = async (timeoutSeconds) => {
+    try {
+      await setLockTimeout(userId, timeoutSeconds);
+      setLock((current) => ({ ...current, timeoutSeconds }));
+    } catch (error) {
+      console.error('Save lock timeout error:', error);
+      Alert.alert('Error', 'Could not save the lock timeout');
+    }
+  };
+
+  const pinInput = (placeholder, value, onChange) => (
+    <TextInput
+      placeholder={placeholder}
+      value={value}
+      onChangeText={(text) => onChange(text.replace(/\D/g, ''))}
+      keyboardType="number-pad"
+      secureTextEntry
+      maxLength={8}
+      style={styles.input}
+    />
+  );
+
+  return (
+    <View>
+      <Text style={styles.status}>
+        {lock ? 'The app asks for your PIN when you come back to it.' : 'App lock is off.'}
+      </Text>
+      {lock && (
+        <View style={styles.timeouts}>
+          <Text style={styles.label}>Lock after</Text>
+          <View style={styles.options}>
+            {LOCK_TIMEOUTS.map((seconds) => (
+              <TouchableOpacity
+                key={seconds}
+                style={[styles.option, lock.timeoutSeconds === seconds && styles.optionActive]}
+                onPress={() => changeTimeout(seconds)}
+              >
+                <Text
+                  style={[
+                    styles.optionText,
+                    lock.timeoutSeconds === seconds && styles.optionTextActive,
+                  ]}
+                >
+                  {timeoutLabel(seconds)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+      {lock && pinInput('Current PIN', currentPin, setCurrentPin)}
+      {pinInput(lock ? 'New PIN' : 'PIN (4-8 digits)', newPin, setNewPin)}
+      {pinInput('Repeat PIN', confirmPin, setConfirmPin)}
+      <TouchableOpacity style={styles.action} onPress={savePin}>
+        <Text style={styles.actionText}>{lock ? 'Change PIN' : 'Turn on app lock'}</Text>
+      </TouchableOpacity>
+      {lock && (
+        <TouchableOpacity style={styles.action} onPress={turnOff}>
+          <Text style={styles.removeText}>Turn off app lock</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  status: { color: '#666', padding: 15 },
+  timeouts: { paddingHorizontal: 15, paddingBottom: 10 },
+  label: { fontSize: 16, color: '#333', marginBottom: 8 },
+  options: { flexDirection: 'row', flexWrap: 'wrap' },
+  option: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 15,
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionActive: { backgroundColor: '#4285f4', borderColor: '#4285f4' },
+  optionText: { color: '#333' },
+  optionTextActive: { color: 'white', fontWeight: 'bold' },
+  input: {
+    fontSize: 16,
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  action: { padding: 15, borderBottomWidth: 1, borderBottomColor: '#eee' },
+  actionText: { fontSize: 16, color: '#4285f4', fontWeight: 'bold' },
+  removeText: { fontSize: 16, color: '#d9534f' },
+});
+
+export default PinSettings;
@@ -0,0 +1,47 @@
+import * as Crypto from 'expo-crypto';
+import { bytesToHex } from '@noble/hashes/utils';
+import { database } from '../database/database';
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const TOKEN_BYTES = 32;
+
+const createSession = async (userId) => {
+  const token = bytesToHex(await Crypto.getRandomBytesAsync(TOKEN_BYTES));
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+
+  await database.mutate(
+    'INSERT INTO sessions (token, userId, createdAt, expiresAt) VALUES (?, ?, ?, ?)',
+    [token, userId, now.toISOString(), expiresAt]
+  );
+
+  return { token, userId, expiresAt };
+};
+
+// Most recent unexpired session on this device, or null. Expired rows are
+// dropped on the way so the table does not grow forever.
+const getActiveSession = async () => {
+  const now = new Date().toISOString();
+  await database.mutate('DELETE FROM sessions WHERE expiresAt <= ?', [now]);
+
+  const sessions = await database.query(
+    'SELECT token, userId, expiresAt FROM sessions WHERE expiresAt > ? ORDER BY createdAt DESC LIMIT 1',
+    [now]
+  );
+  return sessions[0] || null;
+};
+
+const isSessionValid = async (token) => {
+  if (!token) return false;
+  const sessions = await database.query(
+    'SELECT token FROM sessions WHERE token = ? AND expiresAt > ?',
+    [token, new Date().toISOString()]
+  );
+  return sessions.length > 0;
+};
+
+const endSession = async (token) => {
+  await database.mutate('DELETE FROM sessions WHERE token = ?', [token]);
+};
+
+export { createSession, getActiveSession, isSessionValid, endSession };
@@ -0,0 +1,130 @@
+import * as FileSystem from 'expo-file-system';
+import { initDatabase, database } from '../../database/database';
+import * as UsersRepo from '../../database/usersRepo';
+import { getJournalItems } from '../../food/foods';
+import { importBackup, ImportError } from '../importJournal';
+import { BACKUP_FORMAT, BACKUP_VERSION } from '../exportJournal';
+import { uniqueEmail } from '../../../test/fixtures';
+
+// Items named 'Poison' fail to save
+jest.mock('../../food/foods', () => require('../../../test/failingItems').mockFoods());
+
+let userId;
+let backups = 0;
+
+beforeAll(async () => {
+  await initDatabase();
+});
+
+beforeEach(async () => {
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+});
+
+const writeBackup = async (journals, overrides = {}) => {
+  backups += 1;
+  const uri = `${FileSystem.documentDirectory}backup${backups}.json`;
+  await FileSystem.writeAsStringAsync(
+    uri,
+    JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, journals, ...overrides })
+  );
+  return uri;
+};
+
+const backupEntry = (overrides = {}) => ({
+  date: '2024-03-05T08:30:00.000Z',
+  category: 'Breakfast',
+  description: 'Porridge',
+  calories: 350,
+  protein: null,
+  carbs: null,
+  fat: null,
+  favorite: false,
+  image: null,
+  items: [],
+  ...overrides,
+});
+
+const journalsOf = (id) =>
+  database.query('SELECT * FROM journals WHERE userId = ? ORDER BY date', [id]);
+
+describe('importBackup', () => {
+  it('adds entries with their items, category and favorite flag', async () => {
+    const uri = await writeBackup([
+      backupEntry({
+        favorite: true,
+        items: [
+          { name: 'Oats', quantity: 2, unit: 'serving', calories: 300, protein: 10, carbs: null, fat: 5 },
+          { name: 'Honey', quantity: 1, unit: null, calories: 50 },
+        ],
+      }),
+    ]);
+
+    expect(await importBackup(userId, uri)).toEqual({ added: 1, skipped: 0, rejected: [] });
+    const [journal] = await journalsOf(userId);
+    expect(journal).toMatchObject({
+      description: 'Porridge',
+      calories: 350,
+      isFavorite: 1,
+      imageMissing: 1,
+    });
+    const category = await database.queryOne('SELECT name FROM categories WHERE id = ?', [
+      journal.categoryId,
+    ]);
+    expect(category.name).toBe('Breakfast');
+    const items = await getJournalItems(journal.id);
+    const stored = items.map(({ name, quantity, unit, calories, protein, carbs, fat }) => ({
+      name,
+      quantity,
+      unit,
+      calories,
+      protein,
+      carbs,
+      fat,
+    }));
+    expect(stored).toEqual([
+      { name: 'Oats', quantity: 2, unit: 'serving', calories: 300, protein: 10, carbs: null, fat: 5 },
+      { name: 'Honey', quantity: 1, unit: null, calories: 50, protein: null, carbs: null, fat: null },
+    ]);
+  });
+
+  it('skips entries that are already present and reports malformed ones', async () => {
+    const uri = await writeBackup([backupEntry(), backupEntry({ date: 'yesterday' })]);
+    await importBackup(userId, uri);
+
+    expect(await importBackup(userId, uri)).toEqual({
+      added: 0,
+      skipped: 1,
+      rejected: [{ index: 1, reason: 'invalid date' }],
+    });
+    expect(await journalsOf(userId)).toHaveLength(1);
+  });
+
+  it('leaves nothing of an entry whose items fail to save and imports the rest', async () => {
+    const uri = await writeBackup([
+      backupEntry({ description: 'Soup', items: [{ name: 'Poison', quantity: 1 }] }),
+      backupEntry({ description: 'Toast', date: '2024-03-06T08:30:00.000Z' }),
+    ]);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const report = await importBackup(userId, uri);
+    console.error.mockRestore();
+
+    expect(report).toEqual({
+      added: 1,
+      skipped: 0,
+      rejected: [{ index: 0, reason: 'disk I/O error' }],
+    });
+    expect((await journalsOf(userId)).map((journal) => journal.description)).toEqual(['Toast']);
+    expect(
+      await database.queryOne(
+        `SELECT COUNT(*) AS count FROM journal_items
+          WHERE journalId NOT IN (SELECT id FROM journals)`
+      )
+    ).toEqual({ count: 0 });
+  });
+
+  it('refuses backups from a newer app version', async () => {
+    const uri = await writeBackup([], { version: BACKUP_VERSION + 1 });
+    await expect(importBackup(userId, uri)).rejects.toThrow(ImportError);
+  });
+});
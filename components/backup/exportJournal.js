@@ -0,0 +1,133 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import JSZip from 'jszip';
+import { database } from '../database/database';
+import { getItemsByJournal } from '../food/foods';
+import { NUTRIENTS } from '../nutrition/nutrition';
+
+// Version of the backup file layout, independent of the database schema
+const BACKUP_FORMAT = 'food-journal-backup';
+const BACKUP_VERSION = 1;
+const EXPORT_DIR = `${FileSystem.cacheDirectory}exports/`;
+
+const CSV_COLUMNS = ['date', 'category', 'description', ...NUTRIENTS.map(({ key }) => key), 'items'];
+
+const collectJournals = async (userId) => {
+  const rows = await database.query(
+    `SELECT journals.*, categories.name AS category FROM journals
+      LEFT JOIN categories ON categories.id = journals.categoryId
+      WHERE journals.userId = ? AND journals.deletedAt IS NULL
+      ORDER BY journals.date, journals.id`,
+    [userId]
+  );
+  const itemsByJournal = await getItemsByJournal(rows.map((row) => row.id));
+  return rows.map((row) => ({ ...row, items: itemsByJournal[row.id] || [] }));
+};
+
+const imageFileName = (journal) => {
+  if (!journal.image || journal.imageMissing) return null;
+  const extension = journal.image.split('?')[0].match(/\.(\w+)$/)?.[1] || 'jpg';
+  return `images/${journal.id}.${extension.toLowerCase()}`;
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (journals) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  journals.forEach((journal) => {
+    const items = journal.items
+      .map((item) => [item.quantity, item.unit, item.name].filter(Boolean).join(' '))
+      .join('; ');
+    const values = { ...journal, items };
+    lines.push(CSV_COLUMNS.map((column) => csvValue(values[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const toBackup = (journals, { includeImages }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  journals: journals.map((journal) => ({
+    date: journal.date,
+    category: journal.category || null,
+    description: journal.description,
+    calories: journal.calories,
+    protein: journal.protein,
+    carbs: journal.carbs,
+    fat: journal.fat,
+    favorite: Boolean(journal.isFavorite),
+    image: includeImages ? imageFileName(journal) : null,
+    items: journal.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      unit: item.unit,
+      calories: item.calories,
+      protein: item.protein,
+      carbs: item.carbs,
+      fat: item.fat,
+    })),
+  })),
+});
+
+const buildZip = async (journals, { includeImages }) => {
+  const zip = new JSZip();
+  zip.file('journal.json', JSON.stringify(toBackup(journals, { includeImages }), null, 2));
+  zip.file('journal.csv', toCsv(journals));
+
+  if (includeImages) {
+    for (const journal of journals) {
+      const name = imageFileName(journal);
+      if (!name) continue;
+      try {
+        const data = await FileSystem.readAsStringAsync(journal.image, {
+          encoding: FileSystem.EncodingType.Base64,
+        });
+        zip.file(name, data, { base64: true });
+      } catch (error) {
+        console.error(`Could not add image of journal ${journal.id}:`, error);
+      }
+    }
+  }
+  return zip.generateAsync({ type: 'base64', compression: 'DEFLATE' });
+};
+
+// Write the user's journal as 'csv', 'json' or 'zip' (both plus photos)
+// and hand the file to the OS share sheet. Returns the written file URI.
+const exportJournal = async (userId, format, { includeImages = true } = {}) => {
+  const journals = await collectJournals(userId);
+  const info = await FileSystem.getInfoAsync(EXPORT_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(EXPORT_DIR, { intermediates: true });
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const uri = `${EXPORT_DIR}food-journal-${stamp}.${format}`;
+  let mimeType;
+
+  if (format === 'csv') {
+    await FileSystem.writeAsStringAsync(uri, toCsv(journals));
+    mimeType = 'text/csv';
+  } else if (format === 'json') {
+    const backup = toBackup(journals, { includeImages: false });
+    await FileSystem.writeAsStringAsync(uri, JSON.stringify(backup, null, 2));
+    mimeType = 'application/json';
+  } else if (format === 'zip') {
+    const data = await buildZip(journals, { includeImages });
+    await FileSystem.writeAsStringAsync(uri, data, { encoding: FileSystem.EncodingType.Base64 });
+    mimeType = 'application/zip';
+  } else {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(uri, { mimeType, dialogTitle: 'Export food journal' });
+  }
+  return uri;
+};
+
+export { BACKUP_FORMAT, BACKUP_VERSION, exportJournal };
@@ -0,0 +1,181 @@
+import * as FileSystem from 'expo-file-system';
+import JSZip from 'jszip';
+import { database, transaction } from '../database/database';
+import * as JournalsRepo from '../database/journalsRepo';
+import { getCategories, createCategory } from '../categories/categories';
+import { storeImage } from '../media/imageStore';
+import { itemFromRow } from '../food/foods';
+import { NUTRIENTS } from '../nutrition/nutrition';
+import { BACKUP_FORMAT, BACKUP_VERSION } from './exportJournal';
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const IMPORT_DIR = `${FileSystem.cacheDirectory}imports/`;
+
+// Accepts the ZIP written by exportJournal or a bare journal.json
+const readBackup = async (uri) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  let zip = null;
+  let json;
+  try {
+    zip = await JSZip.loadAsync(base64, { base64: true });
+    const entry = zip.file('journal.json');
+    if (!entry) throw new ImportError('The archive does not contain journal.json');
+    json = await entry.async('string');
+  } catch (error) {
+    if (error instanceof ImportError) throw error;
+    json = await FileSystem.readAsStringAsync(uri);
+  }
+
+  let backup;
+  try {
+    backup = JSON.parse(json);
+  } catch (error) {
+    throw new ImportError('The file is not a food journal backup');
+  }
+  return { backup, zip };
+};
+
+const validateBackup = (backup) => {
+  if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.journals)) {
+    throw new ImportError('The file is not a food journal backup');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new ImportError('The backup has no valid version');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new ImportError(
+      `The backup was made by a newer app version (format ${backup.version}); please update the app`
+    );
+  }
+};
+
+const toNumberOrNull = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null;
+
+// Backup items carry totals like stored rows; the repository takes editor items
+const toEditorItem = (item) => {
+  const row = {
+    foodId: null,
+    name: item.name.trim(),
+    quantity: toNumberOrNull(item.quantity) || 1,
+    unit: typeof item.unit === 'string' ? item.unit : null,
+  };
+  NUTRIENTS.forEach(({ key }) => {
+    row[key] = toNumberOrNull(item[key]);
+  });
+  return itemFromRow(row);
+};
+
+// Reason the entry cannot be imported, or null when it is usable
+const entryProblem = (entry) => {
+  if (!entry || typeof entry !== 'object') return 'not an object';
+  if (typeof entry.description !== 'string' || !entry.description.trim()) {
+    return 'missing description';
+  }
+  if (typeof entry.date !== 'string' || Number.isNaN(Date.parse(entry.date))) {
+    return 'invalid date';
+  }
+  if (entry.items !== undefined && !Array.isArray(entry.items)) return 'invalid items';
+  return null;
+};
+
+const restoreImage = async (zip, path) => {
+  const file = zip?.file(path);
+  if (!file) return null;
+  const info = await FileSystem.getInfoAsync(IMPORT_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(IMPORT_DIR, { intermediates: true });
+  }
+  const temp = `${IMPORT_DIR}${path.split('/').pop()}`;
+  await FileSystem.writeAsStringAsync(temp, await file.async('base64'), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  try {
+    return await storeImage(temp);
+  } finally {
+    await FileSystem.deleteAsync(temp, { idempotent: true });
+  }
+};
+
+// Restore a backup into the user's journal. Entries already present (same
+// timestamp and description) are skipped; malformed ones are rejected.
+// Returns { added, skipped, rejected: [{ index, reason }] }.
+const importBackup = async (userId, uri) => {
+  const { backup, zip } = await readBackup(uri);
+  validateBackup(backup);
+
+  const report = { added: 0, skipped: 0, rejected: [] };
+  const categoryIds = {};
+  (await getCategories(userId)).forEach((cat) => {
+    categoryIds[cat.name.toLowerCase()] = cat.id;
+  });
+
+  for (const [index, entry] of backup.journals.entries()) {
+    const problem = entryProblem(entry);
+    if (problem) {
+      report.rejected.push({ index, reason: problem });
+      continue;
+    }
+
+    try {
+      const date = new Date(entry.date).toISOString();
+      const description = entry.description.trim();
+      const existing = await database.query(
+        `SELECT id FROM journals
+          WHERE userId = ? AND date = ? AND description = ? AND deletedAt IS NULL`,
+        [userId, date, description]
+      );
+      if (existing.length > 0) {
+        report.skipped += 1;
+        continue;
+      }
+
+      let categoryId = null;
+      if (typeof entry.category === 'string' && entry.category.trim()) {
+        const key = entry.category.trim().toLowerCase();
+        if (!categoryIds[key]) {
+          categoryIds[key] = await createCategory(userId, entry.category);
+        }
+        categoryId = categoryIds[key];
+      }
+
+      const stored = entry.image ? await restoreImage(zip, entry.image) : null;
+      const fields = {
+        image: stored?.image ?? null,
+        thumbnail: stored?.thumbnail ?? null,
+        description,
+        categoryId,
+        date,
+      };
+      NUTRIENTS.forEach(({ key }) => {
+        fields[key] = toNumberOrNull(entry[key]);
+      });
+      const items = (entry.items || [])
+        .filter((item) => item && typeof item.name === 'string' && item.name.trim())
+        .map(toEditorItem);
+
+      // The entry, its items and its flags land together or not at all
+      await transaction(async (tx) => {
+        const id = await JournalsRepo.create(userId, fields, items, { tx });
+        await JournalsRepo.setImage(id, { imageMissing: !stored }, tx);
+        if (entry.favorite === true) await JournalsRepo.setFavorite(id, true, tx);
+      });
+      report.added += 1;
+    } catch (error) {
+      console.error(`Import of entry ${index} failed:`, error);
+      report.rejected.push({ index, reason: error.message });
+    }
+  }
+
+  return report;
+};
+
+export { importBackup, ImportError };
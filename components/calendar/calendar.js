@@ -0,0 +1,53 @@
+import { database } from '../database/database';
+import { startOfDay, addDays } from '../utils/dates';
+import { categoryLabel } from '../categories/categories';
+import { scopeCondition } from '../households/households';
+
+// `householdId` selects that household's journal instead of the personal one
+const getJournalsInRange = async (userId, start, end, householdId = null) => {
+  const params = [];
+  const scope = scopeCondition({ userId, householdId }, params);
+  return database.query(
+    `SELECT journals.*, categories.name AS category, authors.email AS author FROM journals
+      LEFT JOIN categories ON categories.id = journals.categoryId
+      LEFT JOIN users AS authors ON authors.id = journals.userId
+      WHERE ${scope} AND journals.date >= ? AND journals.date < ?
+        AND journals.deletedAt IS NULL
+      ORDER BY journals.date`,
+    [...params, start, end]
+  );
+};
+
+// Local YYYY-MM-DD keys of the days in [start, end) that have at least one entry
+const getDaysWithEntries = async (userId, start, end, householdId = null) => {
+  const params = [];
+  const scope = scopeCondition({ userId, householdId }, params);
+  const rows = await database.query(
+    `SELECT DISTINCT date(journals.date, 'localtime') AS day FROM journals
+      WHERE ${scope} AND journals.date >= ? AND journals.date < ?
+        AND journals.deletedAt IS NULL`,
+    [...params, start, end]
+  );
+  return new Set(rows.map((row) => row.day));
+};
+
+// Monday-based week containing `date`
+const getWeekDays = (date) => {
+  const day = startOfDay(date);
+  const monday = addDays(day, -((day.getDay() + 6) % 7));
+  return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+};
+
+// Sections for a SectionList, in the given category order, empty ones dropped
+const groupByCategory = (entries, categoryOrder) => {
+  const groups = {};
+  entries.forEach((entry) => {
+    const key = categoryLabel(entry.category);
+    (groups[key] = groups[key] || []).push(entry);
+  });
+  const known = categoryOrder.filter((name) => groups[name]);
+  const rest = Object.keys(groups).filter((name) => !categoryOrder.includes(name));
+  return [...known, ...rest].map((title) => ({ title, data: groups[title] }));
+};
+
+export { getJournalsInRange, getDaysWithEntries, getWeekDays, groupByCategory };
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Platform, StyleSheet } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+
+const formatDateTime = (date) =>
+  `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+// `value` null means "now at save time"; picking a value pins the timestamp.
+// Android has no combined picker, so date and time are asked one after another.
+const DateTimeField = ({ label = 'When:', value, onChange }) => {
+  const [pickerMode, setPickerMode] = useState(null);
+  const current = value || new Date();
+
+  const handleChange = (event, selected) => {
+    if (event.type === 'dismissed' || !selected) {
+      setPickerMode(null);
+      return;
+    }
+    if (Platform.OS === 'android' && pickerMode === 'date') {
+      const next = new Date(current);
+      next.setFullYear(selected.getFullYear(), selected.getMonth(), selected.getDate());
+      onChange(next);
+      setPickerMode('time');
+      return;
+    }
+    onChange(selected);
+    if (Platform.OS === 'android') setPickerMode(null);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>{label}</Text>
+      <TouchableOpacity
+        style={styles.valueButton}
+        onPress={() => setPickerMode(Platform.OS === 'ios' ? 'datetime' : 'date')}
+      >
+        <Text style={styles.valueText}>{value ? formatDateTime(value) : 'Now'}</Text>
+      </TouchableOpacity>
+      {value && (
+        <TouchableOpacity onPress={() => onChange(null)}>
+          <Text style={styles.resetText}>Now</Text>
+        </TouchableOpacity>
+      )}
+
+      {pickerMode && (
+        <DateTimePicker
+          value={current}
+          mode={pickerMode}
+          maximumDate={new Date()}
+          onChange={handleChange}
+        />
+      )}
+      {pickerMode && Platform.OS === 'ios' && (
+        <TouchableOpacity onPress={() => setPickerMode(null)}>
+          <Text style={styles.resetText}>Done</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: 15,
+  },
+  label: { marginRight: 10, fontSize: 16 },
+  valueButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    padding: 10,
+  },
+  valueText: { fontSize: 16, color: '#333' },
+  resetText: { color: '#4285f4', fontWeight: 'bold', marginLeft: 10 },
+});
+
+export { formatDateTime };
+export default DateTimeField;
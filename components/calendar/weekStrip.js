@@ -0,0 +1,100 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { addDays, toDayKey } from '../utils/dates';
+import { getWeekDays } from './calendar';
+
+const WeekStrip = ({ selectedDate, markedDays, onSelectDate }) => {
+  const days = getWeekDays(selectedDate);
+  const selectedKey = toDayKey(selectedDate);
+  const todayKey = toDayKey(new Date());
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.navRow}>
+        <TouchableOpacity onPress={() => onSelectDate(addDays(selectedDate, -7))}>
+          <Text style={styles.navText}>‹‹</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => onSelectDate(addDays(selectedDate, -1))}>
+          <Text style={styles.navText}>‹</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => onSelectDate(new Date())}>
+          <Text style={styles.dateText}>
+            {selectedDate.toLocaleDateString(undefined, {
+              weekday: 'short',
+              month: 'short',
+              day: 'numeric',
+            })}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => onSelectDate(addDays(selectedDate, 1))}>
+          <Text style={styles.navText}>›</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => onSelectDate(addDays(selectedDate, 7))}>
+          <Text style={styles.navText}>››</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.daysRow}>
+        {days.map((day) => {
+          const key = toDayKey(day);
+          const isSelected = key === selectedKey;
+          return (
+            <TouchableOpacity
+              key={key}
+              style={[styles.day, isSelected && styles.daySelected]}
+              onPress={() => onSelectDate(day)}
+            >
+              <Text style={[styles.weekday, isSelected && styles.textSelected]}>
+                {day.toLocaleDateString(undefined, { weekday: 'narrow' })}
+              </Text>
+              <Text
+                style={[
+                  styles.dayNumber,
+                  key === todayKey && styles.today,
+                  isSelected && styles.textSelected,
+                ]}
+              >
+                {day.getDate()}
+              </Text>
+              <View
+                style={[
+                  styles.dot,
+                  markedDays?.has(key) && (isSelected ? styles.dotSelected : styles.dotMarked),
+                ]}
+              />
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { marginBottom: 15 },
+  navRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  navText: { fontSize: 22, color: '#4285f4', paddingHorizontal: 10 },
+  dateText: { fontSize: 16, fontWeight: 'bold', color: '#333' },
+  daysRow: { flexDirection: 'row', justifyContent: 'space-between' },
+  day: {
+    alignItems: 'center',
+    paddingVertical: 6,
+    width: 40,
+    borderRadius: 8,
+  },
+  daySelected: { backgroundColor: '#4285f4' },
+  weekday: { fontSize: 12, color: '#666' },
+  dayNumber: { fontSize: 16, color: '#333', marginVertical: 2 },
+  today: { fontWeight: 'bold', color: '#34a853' },
+  textSelected: { color: 'white' },
+  dot: { width: 6, height: 6, borderRadius: 3, backgroundColor: 'transparent' },
+  dotMarked: { backgroundColor: '#4285f4' },
+  dotSelected: { backgroundColor: 'white' },
+});
+
+export default WeekStrip;
@@ -0,0 +1,82 @@
+import { database, transaction } from '../database/database';
+
+const DEFAULT_CATEGORIES = ['Breakfast', 'Lunch', 'Dinner', 'Snacks'];
+
+// Entries without a category have categoryId NULL; this is only a label.
+// The "show everything" filter is a separate sentinel in the UI, never stored.
+const UNCATEGORIZED_LABEL = 'Uncategorized';
+
+const getCategories = async (userId) =>
+  database.query(
+    'SELECT id, name, position FROM categories WHERE userId = ? ORDER BY position, id',
+    [userId]
+  );
+
+const createDefaultCategories = async (userId) => {
+  for (const [position, name] of DEFAULT_CATEGORIES.entries()) {
+    await database.mutate(
+      'INSERT OR IGNORE INTO categories (userId, name, position) VALUES (?, ?, ?)',
+      [userId, name, position]
+    );
+  }
+};
+
+const createCategory = async (userId, name) =>
+  transaction(async (tx) => {
+    const { next } = await tx.queryOne(
+      'SELECT COALESCE(MAX(position), -1) + 1 AS next FROM categories WHERE userId = ?',
+      [userId]
+    );
+    const { insertId } = await tx.mutate(
+      'INSERT INTO categories (userId, name, position) VALUES (?, ?, ?)',
+      [userId, name.trim(), next]
+    );
+    return insertId;
+  });
+
+const renameCategory = async (id, name) => {
+  await database.mutate('UPDATE categories SET name = ? WHERE id = ?', [name.trim(), id]);
+};
+
+// Swap a category with its neighbour; `categories` is the current ordered list
+const moveCategory = async (categories, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= categories.length) return;
+  const ordered = [...categories];
+  [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+  await transaction(async (tx) => {
+    for (const [position, category] of ordered.entries()) {
+      await tx.mutate('UPDATE categories SET position = ? WHERE id = ?', [position, category.id]);
+    }
+  });
+};
+
+const countCategoryEntries = async (id) => {
+  const rows = await database.query(
+    'SELECT COUNT(*) AS count FROM journals WHERE categoryId = ? AND deletedAt IS NULL',
+    [id]
+  );
+  return rows[0].count;
+};
+
+// Entries of the deleted category move to `reassignToId`, or become uncategorized
+const deleteCategory = async (id, reassignToId = null) => {
+  await transaction(async (tx) => {
+    await tx.mutate('UPDATE journals SET categoryId = ? WHERE categoryId = ?', [reassignToId, id]);
+    await tx.mutate('DELETE FROM categories WHERE id = ?', [id]);
+  });
+};
+
+const categoryLabel = (name) => name || UNCATEGORIZED_LABEL;
+
+export {
+  UNCATEGORIZED_LABEL,
+  getCategories,
+  createDefaultCategories,
+  createCategory,
+  renameCategory,
+  moveCategory,
+  countCategoryEntries,
+  deleteCategory,
+  categoryLabel,
+};
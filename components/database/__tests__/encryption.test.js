@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { loadDevice } from '../../../test/device';
+import { uniqueEmail, entryFields, item } from '../../../test/fixtures';
+
+const SQLITE_HEADER = Buffer.from('SQLite format 3\u0000', 'latin1');
+
+// Every password check runs the full PBKDF2 key derivation in JavaScript
+jest.setTimeout(30000);
+
+let devices = 0;
+
+// A fresh phone per test; loading the same name again is a cold start
+const loadApp = (name) =>
+  loadDevice(name, () => ({
+    database: require('../database'),
+    encryption: require('../encryption'),
+    UsersRepo: require('../usersRepo'),
+    JournalsRepo: require('../journalsRepo'),
+    password: require('../../auth/password'),
+  }));
+
+// Three accounts, only the first logged in when encryption is turned on
+const encryptedPhone = async () => {
+  devices += 1;
+  const name = `phone${devices}`;
+  const app = loadApp(name);
+  await app.database.initDatabase();
+
+  const accounts = {
+    owner: { email: uniqueEmail('owner'), password: 'owner password' },
+    other: { email: uniqueEmail('other'), password: 'other password' },
+    legacy: { email: uniqueEmail('legacy'), password: 'legacy password' },
+  };
+  const ownerId = await app.UsersRepo.create({
+    email: accounts.owner.email,
+    passwordHash: await app.password.hashPassword(accounts.owner.password),
+  });
+  await app.UsersRepo.create({
+    email: accounts.other.email,
+    passwordHash: await app.password.hashPassword(accounts.other.password),
+  });
+  // Stored before passwords were hashed
+  await app.UsersRepo.create({
+    email: accounts.legacy.email,
+    passwordHash: accounts.legacy.password,
+  });
+  await app.JournalsRepo.create(ownerId, entryFields({ description: 'Secret porridge' }));
+
+  await app.database.encryptDatabase(accounts.owner.email, accounts.owner.password);
+  return { name, app, ownerId, accounts };
+};
+
+// Every file the database left on disk, read as bytes
+const databaseFiles = (app) => {
+  const uri = app.encryption.databaseFile();
+  const dir = path.dirname(decodeURIComponent(uri.replace(/^file:\/\//, '')));
+  return fs
+    .readdirSync(dir)
+    .filter((file) => !file.endsWith('.json'))
+    .map((file) => ({ file, bytes: fs.readFileSync(path.join(dir, file)) }));
+};
+
+// Log out and start the app again: no key in the keychain, modules reloaded
+const coldStart = async ({ name, app }) => {
+  await app.encryption.forgetDatabaseKey();
+  const restarted = loadApp(name);
+  await expect(restarted.database.initDatabase()).rejects.toThrow(
+    restarted.encryption.DatabaseLockedError
+  );
+  expect(restarted.database.isDatabaseLocked()).toBe(true);
+  return restarted;
+};
+
+describe('encryptDatabase', () => {
+  it('leaves no sqlite header and no plaintext on disk, also for later writes', async () => {
+    const phone = await encryptedPhone();
+    const { app, ownerId, accounts } = phone;
+
+    // Written after encryption, through a transaction
+    const id = await app.JournalsRepo.create(
+      ownerId,
+      entryFields({ description: 'Midnight pancakes' }),
+      [item('Maple syrup', 120)]
+    );
+    expect((await app.JournalsRepo.findById(id)).description).toBe('Midnight pancakes');
+
+    const files = databaseFiles(app);
+    expect(files.map(({ file }) => file)).toContain(app.encryption.DATABASE_NAME);
+    files.forEach(({ file, bytes }) => {
+      if (file === app.encryption.DATABASE_NAME) {
+        expect(bytes.subarray(0, SQLITE_HEADER.length).equals(SQLITE_HEADER)).toBe(false);
+      }
+      ['Secret porridge', 'Midnight pancakes', 'Maple syrup', accounts.owner.email].forEach(
+        (probe) => expect(bytes.includes(Buffer.from(probe))).toBe(false)
+      );
+    });
+    expect(
+      await app.encryption.verifyDatabaseFile(['Secret porridge', 'Midnight pancakes'])
+    ).toEqual({ plainHeader: false, found: [] });
+  });
+
+  it('reopens with the logged-in account password after a cold start', async () => {
+    const phone = await encryptedPhone();
+    const { owner } = phone.accounts;
+    const app = await coldStart(phone);
+
+    expect(await app.database.unlockDatabase(owner.email, 'wrong password')).toBe(false);
+    expect(await app.database.unlockDatabase(owner.email, owner.password)).toBe(true);
+    const rows = await app.database.database.query(
+      'SELECT description FROM journals WHERE userId = ?',
+      [phone.ownerId]
+    );
+    expect(rows.map((row) => row.description)).toEqual(['Secret porridge']);
+  });
+
+  it('lets accounts that were not logged in unlock with their own password', async () => {
+    const phone = await encryptedPhone();
+
+    for (const account of [phone.accounts.other, phone.accounts.legacy]) {
+      const app = await coldStart(phone);
+      expect(await app.database.hasDatabaseKey(account.email)).toBe(true);
+      expect(await app.database.unlockDatabase(account.email, 'wrong password')).toBe(false);
+      expect(await app.database.unlockDatabase(account.email, account.password)).toBe(true);
+      expect(await app.UsersRepo.findByEmail(account.email)).not.toBeNull();
+      phone.app = app;
+    }
+  });
+
+  it('replaces an entry made from the password hash at the next login', async () => {
+    const phone = await encryptedPhone();
+    const { other } = phone.accounts;
+    const app = await coldStart(phone);
+    expect(await app.encryption.hasPasswordKeyFor(other.email)).toBe(false);
+
+    await app.database.unlockDatabase(other.email, other.password);
+    // A rehash on login must not strand the account
+    const user = await app.UsersRepo.findByEmail(other.email);
+    await app.UsersRepo.updatePassword(user.id, await app.password.hashPassword(other.password));
+    await app.database.addDatabaseKey(other.email, other.password);
+    expect(await app.encryption.hasPasswordKeyFor(other.email)).toBe(true);
+
+    phone.app = app;
+    const restarted = await coldStart(phone);
+    expect(await restarted.database.unlockDatabase(other.email, other.password)).toBe(true);
+  });
+
+  it('tells an account without a key apart from a wrong password', async () => {
+    const phone = await encryptedPhone();
+    const app = await coldStart(phone);
+
+    expect(await app.database.hasDatabaseKey(uniqueEmail('newcomer'))).toBe(false);
+    expect(await app.database.hasDatabaseKey(phone.accounts.owner.email)).toBe(true);
+  });
+});
@@ -0,0 +1,197 @@
+import * as JournalsRepo from '../journalsRepo';
+import * as UsersRepo from '../usersRepo';
+import { initDatabase, database, transaction } from '../database';
+import { getJournalItems } from '../../food/foods';
+import { uniqueEmail, entryFields, item } from '../../../test/fixtures';
+
+let userId;
+
+beforeAll(async () => {
+  await initDatabase();
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+});
+
+const countRows = async (sql, params) => (await database.queryOne(sql, params)).count;
+
+describe('JournalsRepo', () => {
+  it('creates an entry with its items in order and returns its id', async () => {
+    const id = await JournalsRepo.create(userId, entryFields({ calories: 450 }), [
+      item('Oats', 300),
+      item('Blueberries', 50, '3'),
+    ]);
+
+    const row = await JournalsRepo.findById(id);
+    expect(row).toMatchObject({
+      id,
+      userId,
+      householdId: null,
+      description: 'Porridge with berries',
+      calories: 450,
+      deletedAt: null,
+    });
+    const items = await getJournalItems(id);
+    expect(items.map(({ name, quantity, calories }) => ({ name, quantity, calories }))).toEqual([
+      { name: 'Oats', quantity: 1, calories: 300 },
+      { name: 'Blueberries', quantity: 3, calories: 150 },
+    ]);
+  });
+
+  it('updates fields, replaces items and clears the missing-image flag', async () => {
+    const id = await JournalsRepo.create(userId, entryFields(), [item('Oats'), item('Milk')]);
+    await database.mutate('UPDATE journals SET imageMissing = 1 WHERE id = ?', [id]);
+
+    await JournalsRepo.update(id, entryFields({ description: 'Toast', image: 'file:///a.jpg' }), [
+      item('Bread', 80),
+    ]);
+
+    expect(await JournalsRepo.findById(id)).toMatchObject({
+      description: 'Toast',
+      image: 'file:///a.jpg',
+      imageMissing: 0,
+    });
+    expect((await getJournalItems(id)).map((row) => row.name)).toEqual(['Bread']);
+  });
+
+  it('leaves nothing behind when an item cannot be stored', async () => {
+    const before = await countRows('SELECT COUNT(*) AS count FROM journals WHERE userId = ?', [
+      userId,
+    ]);
+    // journal_items.name is NOT NULL
+    await expect(
+      JournalsRepo.create(userId, entryFields({ description: 'Broken' }), [item(null)])
+    ).rejects.toThrow(/NOT NULL/);
+
+    expect(
+      await countRows('SELECT COUNT(*) AS count FROM journals WHERE userId = ?', [userId])
+    ).toBe(before);
+  });
+
+  it('joins a caller\'s transaction and rolls back with it', async () => {
+    const id = await JournalsRepo.create(userId, entryFields({ description: 'Before' }));
+
+    await expect(
+      transaction(async (tx) => {
+        await JournalsRepo.update(id, entryFields({ description: 'After' }), [], { tx });
+        throw new Error('abort');
+      })
+    ).rejects.toThrow('abort');
+
+    expect((await JournalsRepo.findById(id)).description).toBe('Before');
+  });
+
+  it('sets the photo and its missing flag', async () => {
+    const id = await JournalsRepo.create(userId, entryFields({ image: 'file:///old.jpg' }));
+
+    await JournalsRepo.setImage(id, { imageMissing: true });
+    expect(await JournalsRepo.findById(id)).toMatchObject({
+      image: 'file:///old.jpg',
+      imageMissing: 1,
+    });
+
+    await JournalsRepo.setImage(id, {
+      image: 'file:///new.jpg',
+      thumbnail: 'file:///new-thumb.jpg',
+      imageMissing: false,
+    });
+    expect(await JournalsRepo.findById(id)).toMatchObject({
+      image: 'file:///new.jpg',
+      thumbnail: 'file:///new-thumb.jpg',
+      imageMissing: 0,
+    });
+  });
+
+  it('flags favorites', async () => {
+    const id = await JournalsRepo.create(userId, entryFields());
+    await JournalsRepo.setFavorite(id, true);
+    expect((await JournalsRepo.findById(id)).isFavorite).toBe(1);
+    await JournalsRepo.setFavorite(id, false);
+    expect((await JournalsRepo.findById(id)).isFavorite).toBe(0);
+  });
+
+  it('soft deletes, restores and purges entries', async () => {
+    const owner = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+    const old = await JournalsRepo.create(owner, entryFields(), [item('Oats')]);
+    const recent = await JournalsRepo.create(owner, entryFields());
+    const kept = await JournalsRepo.create(owner, entryFields());
+
+    await JournalsRepo.softDelete(old, new Date('2024-01-01T00:00:00Z'));
+    await JournalsRepo.softDelete(recent, new Date('2024-03-01T00:00:00Z'));
+    await JournalsRepo.softDelete(kept);
+    await JournalsRepo.restore(kept);
+    expect((await JournalsRepo.findById(kept)).deletedAt).toBeNull();
+
+    expect(await JournalsRepo.removeDeleted({ before: new Date('2024-02-01T00:00:00Z') })).toBe(1);
+    expect(await JournalsRepo.findById(old)).toBeNull();
+    expect(await getJournalItems(old)).toEqual([]);
+
+    expect(await JournalsRepo.removeDeleted({ userId: owner })).toBe(1);
+    expect(await JournalsRepo.findById(recent)).toBeNull();
+
+    await JournalsRepo.remove(kept);
+    expect(await JournalsRepo.findById(kept)).toBeNull();
+  });
+
+  it('returns null for a missing entry', async () => {
+    expect(await JournalsRepo.findById(999999)).toBeNull();
+  });
+});
+
+describe('transaction', () => {
+  it('resolves with the task result and commits its writes', async () => {
+    const id = await transaction(async (tx) => {
+      const { insertId } = await tx.mutate(
+        "INSERT INTO journals (userId, description, date) VALUES (?, 'In tx', ?)",
+        [userId, new Date().toISOString()]
+      );
+      return insertId;
+    });
+    expect((await JournalsRepo.findById(id)).description).toBe('In tx');
+  });
+
+  it('enforces foreign keys, so deletes cascade to items', async () => {
+    const id = await JournalsRepo.create(userId, entryFields(), [item('Oats'), item('Milk')]);
+
+    await transaction((tx) => tx.mutate('DELETE FROM journals WHERE id = ?', [id]));
+
+    expect(
+      await countRows('SELECT COUNT(*) AS count FROM journal_items WHERE journalId = ?', [id])
+    ).toBe(0);
+  });
+
+  it('does not sweep statements issued meanwhile into a rolled back transaction', async () => {
+    const failing = transaction(async (tx) => {
+      await tx.mutate("INSERT INTO journals (userId, description, date) VALUES (?, 'Gone', ?)", [
+        userId,
+        new Date().toISOString(),
+      ]);
+      throw new Error('abort');
+    });
+    const outside = database.mutate(
+      "INSERT INTO journals (userId, description, date) VALUES (?, 'Kept', ?)",
+      [userId, new Date().toISOString()]
+    );
+
+    await expect(failing).rejects.toThrow('abort');
+    await outside;
+    const rows = await database.query(
+      "SELECT description FROM journals WHERE description IN ('Gone', 'Kept')"
+    );
+    expect(rows).toEqual([{ description: 'Kept' }]);
+  });
+});
+
+describe('database', () => {
+  it('returns the insert id of a WITH ... INSERT and rows of a WITH ... SELECT', async () => {
+    const { insertId, changes } = await database.mutate(
+      `WITH picked AS (SELECT ? AS userId)
+        INSERT INTO categories (userId, name, position) SELECT userId, 'Tea', 0 FROM picked`,
+      [userId]
+    );
+    expect(changes).toBe(1);
+    const category = await database.queryOne('SELECT name FROM categories WHERE id = ?', [insertId]);
+    expect(category).toEqual({ name: 'Tea' });
+
+    const rows = await database.query('WITH ids AS (SELECT ? AS id) SELECT id FROM ids', [7]);
+    expect(rows).toEqual([{ id: 7 }]);
+  });
+});
@@ -0,0 +1,203 @@
+import * as SQLite from 'expo-sqlite';
+import migrations, { LATEST_VERSION } from '../migrations';
+import { runMigrations, getUserVersion, MigrationError } from '../migrate';
+
+// The schema databases had before user_version was tracked
+const createLegacySchema = async (db) => {
+  await db.execAsync(
+    `CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT UNIQUE,
+      password TEXT
+    );
+    CREATE TABLE journals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER,
+      image TEXT,
+      description TEXT,
+      date TEXT,
+      category TEXT,
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );`
+  );
+};
+
+const openAtVersion = async (version) => {
+  const db = await SQLite.openDatabaseAsync(':memory:');
+  await db.execAsync('PRAGMA foreign_keys = ON');
+  if (version === 0) {
+    await createLegacySchema(db);
+  } else {
+    await runMigrations(db, migrations.filter((migration) => migration.version <= version));
+  }
+  return db;
+};
+
+const columnsOf = async (db, table) =>
+  (await db.getAllAsync(`PRAGMA table_info(${table})`)).map((column) => column.name);
+
+const hasTable = async (db, name) =>
+  !!(await db.getFirstAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]));
+
+const insertRow = (db, table, values) => {
+  const names = Object.keys(values);
+  return db.runAsync(
+    `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    Object.values(values)
+  );
+};
+
+// Data as a user at this schema version would have it: an entry filed under
+// a category, one whose category was the leaked 'All' filter, and an item
+// once journal_items exists. Only columns the version has are written.
+const seed = async (db) => {
+  const { lastInsertRowId: userId } = await insertRow(db, 'users', {
+    email: 'legacy@example.com',
+    password: 'secret',
+  });
+  const journalColumns = await columnsOf(db, 'journals');
+
+  const entry = async (description, category) => {
+    const values = {
+      userId,
+      image: 'file:///photos/soup.jpg',
+      description,
+      date: '2023-11-02T12:15:00.000Z',
+    };
+    if (journalColumns.includes('category')) values.category = category;
+    if (journalColumns.includes('categoryId') && category !== 'All') {
+      await db.runAsync('INSERT OR IGNORE INTO categories (userId, name) VALUES (?, ?)', [
+        userId,
+        category,
+      ]);
+      values.categoryId = (
+        await db.getFirstAsync('SELECT id FROM categories WHERE userId = ? AND name = ?', [
+          userId,
+          category,
+        ])
+      ).id;
+    }
+    if (journalColumns.includes('calories')) values.calories = 420;
+    return (await insertRow(db, 'journals', values)).lastInsertRowId;
+  };
+
+  const soupId = await entry('Lentil soup', 'Lunch');
+  const allId = await entry('Midnight toast', 'All');
+  const seededItem = await hasTable(db, 'journal_items');
+  if (seededItem) {
+    await insertRow(db, 'journal_items', { journalId: soupId, name: 'Red lentils', calories: 230 });
+  }
+  return { userId, soupId, allId, seededItem };
+};
+
+describe('runMigrations', () => {
+  it.each([0, ...migrations.map((migration) => migration.version)])(
+    'upgrades a version %i database to the latest schema and keeps its data',
+    async (version) => {
+      const db = await openAtVersion(version);
+      try {
+        expect(await getUserVersion(db)).toBe(version);
+        const { userId, soupId, allId, seededItem } = await seed(db);
+
+        expect(await runMigrations(db)).toBe(LATEST_VERSION);
+        expect(await getUserVersion(db)).toBe(LATEST_VERSION);
+
+        const soup = await db.getFirstAsync(
+          `SELECT journals.*, categories.name AS categoryName FROM journals
+            LEFT JOIN categories ON categories.id = journals.categoryId
+            WHERE journals.id = ?`,
+          [soupId]
+        );
+        expect(soup).toMatchObject({
+          userId,
+          description: 'Lentil soup',
+          date: '2023-11-02T12:15:00.000Z',
+          categoryName: 'Lunch',
+          isFavorite: 0,
+          deletedAt: null,
+          householdId: null,
+        });
+        expect(soup.syncId).toEqual(expect.any(String));
+        expect(
+          (await db.getFirstAsync('SELECT categoryId FROM journals WHERE id = ?', [allId])).categoryId
+        ).toBeNull();
+
+        // Accounts from before per-user categories get the former built-in list
+        if (version < 7) {
+          const categories = await db.getAllAsync(
+            'SELECT name FROM categories WHERE userId = ? ORDER BY position',
+            [userId]
+          );
+          expect(categories.map((category) => category.name)).toEqual([
+            'Breakfast',
+            'Lunch',
+            'Dinner',
+            'Snacks',
+          ]);
+        }
+
+        const matches = await db.getAllAsync(
+          "SELECT rowid FROM journals_fts WHERE journals_fts MATCH 'lentil*'"
+        );
+        expect(matches.map((match) => match.rowid)).toEqual([soupId]);
+
+        const items = await db.getAllAsync('SELECT name FROM journal_items WHERE journalId = ?', [
+          soupId,
+        ]);
+        expect(items).toEqual(seededItem ? [{ name: 'Red lentils' }] : []);
+        expect((await db.getFirstAsync('SELECT COUNT(*) AS count FROM foods')).count).toBeGreaterThan(0);
+
+        expect(await db.getFirstAsync('PRAGMA integrity_check')).toEqual({ integrity_check: 'ok' });
+        expect(await db.getAllAsync('PRAGMA foreign_key_check')).toEqual([]);
+      } finally {
+        await db.closeAsync();
+      }
+    }
+  );
+
+  it('seeds the food catalogue and its search index', async () => {
+    const db = await openAtVersion(4);
+    try {
+      expect((await db.getFirstAsync('SELECT COUNT(*) AS count FROM foods')).count).toBe(53);
+      const match = await db.getFirstAsync(
+        `SELECT foods.* FROM foods_fts JOIN foods ON foods.id = foods_fts.rowid
+          WHERE foods_fts MATCH 'banana'`
+      );
+      expect(match).toMatchObject({ name: 'Banana', servingSize: 118, servingUnit: 'g', calories: 105 });
+    } finally {
+      await db.closeAsync();
+    }
+  });
+
+  it('does nothing on a database that is already current', async () => {
+    const db = await openAtVersion(LATEST_VERSION);
+    try {
+      await seed(db);
+      expect(await runMigrations(db)).toBe(LATEST_VERSION);
+      expect((await db.getFirstAsync('SELECT COUNT(*) AS count FROM journals')).count).toBe(2);
+    } finally {
+      await db.closeAsync();
+    }
+  });
+
+  it('rolls back a failing step and keeps the previous version', async () => {
+    const db = await openAtVersion(1);
+    const broken = {
+      version: 2,
+      name: 'broken step',
+      up: async (tx) => {
+        await tx.execAsync('CREATE TABLE half_done (id INTEGER)');
+        await tx.execAsync('INSERT INTO missing_table VALUES (1)');
+      },
+    };
+    try {
+      const error = await runMigrations(db, [broken]).catch((caught) => caught);
+      expect(error).toBeInstanceOf(MigrationError);
+      expect(error).toMatchObject({ version: 2, migrationName: 'broken step' });
+      expect(await getUserVersion(db)).toBe(1);
+      expect(await hasTable(db, 'half_done')).toBe(false);
+    } finally {
+      await db.closeAsync();
+    }
+  });
+});
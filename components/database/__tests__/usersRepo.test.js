@@ -0,0 +1,42 @@
+import * as UsersRepo from '../usersRepo';
+import { initDatabase } from '../database';
+import { uniqueEmail } from '../../../test/fixtures';
+
+beforeAll(async () => {
+  await initDatabase();
+});
+
+describe('UsersRepo', () => {
+  it('returns the id of a created user and finds it by email and id', async () => {
+    const email = uniqueEmail();
+    const id = await UsersRepo.create({ email, passwordHash: 'hash-1' });
+
+    expect(id).toEqual(expect.any(Number));
+    const user = { id, email, password: 'hash-1', syncId: expect.any(String) };
+    expect(await UsersRepo.findByEmail(email)).toEqual(user);
+    expect(await UsersRepo.findById(id)).toEqual(user);
+  });
+
+  it('returns null for unknown users', async () => {
+    expect(await UsersRepo.findByEmail('nobody@example.com')).toBeNull();
+    expect(await UsersRepo.findById(999999)).toBeNull();
+  });
+
+  it('rejects a second account with the same email', async () => {
+    const email = uniqueEmail();
+    await UsersRepo.create({ email, passwordHash: 'hash' });
+    await expect(UsersRepo.create({ email, passwordHash: 'other' })).rejects.toThrow(/UNIQUE/);
+  });
+
+  it('replaces the stored password hash', async () => {
+    const id = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'old' });
+    await UsersRepo.updatePassword(id, 'new');
+    expect((await UsersRepo.findById(id)).password).toBe('new');
+  });
+
+  it('stores the sync id the server assigned', async () => {
+    const id = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+    await UsersRepo.setSyncId(id, 'server-id');
+    expect((await UsersRepo.findById(id)).syncId).toBe('server-id');
+  });
+});
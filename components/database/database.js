@@ -1,72 +1,245 @@
 import * as SQLite from 'expo-sqlite';
+import * as FileSystem from 'expo-file-system';
+import { runMigrations } from './migrate';
+import { parseHash } from '../auth/password';
+import {
+  DATABASE_NAME,
+  DatabaseLockedError,
+  databaseFile,
+  isEncrypted,
+  hasKeyFor,
+  hasPasswordKeyFor,
+  createDatabaseKey,
+  addKeyEntry,
+  addHashKeyEntry,
+  unwrapDatabaseKey,
+  getCachedKey,
+  cacheDatabaseKey,
+  forgetDatabaseKey,
+  keyClause,
+} from './encryption';
 
 // Database instance with initialization flag
 let db;
 let isInitialized = false;
+// SQLCipher key of the open database (null when unencrypted), and whether
+// the last open attempt stopped because no key was available
+let databaseKey = null;
+let isLocked = false;
 
-// Initialize the database
-const initDatabase = async () => {
+// Encrypted copy written next to the database before it replaces the original
+const ENCRYPTED_NAME = 'FoodJournal.encrypted.db';
+
+// Finish an encryption that stopped after the copy was written. Until the
+// keyring exists the original is still the real database and the copy is dropped.
+const finishPendingEncryption = async () => {
+  const pending = databaseFile(ENCRYPTED_NAME);
+  if (!(await FileSystem.getInfoAsync(pending)).exists) return;
+  if (!(await isEncrypted())) {
+    await FileSystem.deleteAsync(pending, { idempotent: true });
+    return;
+  }
+  for (const suffix of ['', '-wal', '-shm', '-journal']) {
+    await FileSystem.deleteAsync(`${databaseFile()}${suffix}`, { idempotent: true });
+  }
+  await FileSystem.moveAsync({ from: pending, to: databaseFile() });
+};
+
+// Initialize the database. An encrypted database opens with `key`, or the
+// key cached at the last login; without either it throws DatabaseLockedError.
+const initDatabase = async (key = null) => {
   try {
     if (isInitialized) return db;
-    
+
+    await finishPendingEncryption();
+    const encrypted = await isEncrypted();
+    const openKey = encrypted ? key || (await getCachedKey()) : null;
+    if (encrypted && !openKey) {
+      isLocked = true;
+      throw new DatabaseLockedError();
+    }
+
     // Open database connection
-    db = await SQLite.openDatabaseAsync('FoodJournal.db');
-    
-    // Create tables
+    db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+
+    if (openKey) {
+      // The key has to be the first statement; a wrong one fails on first read
+      await db.execAsync(`PRAGMA key = ${keyClause(openKey)}`);
+      try {
+        await db.getFirstAsync('SELECT count(*) FROM sqlite_master');
+      } catch (error) {
+        await db.closeAsync();
+        await forgetDatabaseKey();
+        isLocked = true;
+        throw new DatabaseLockedError();
+      }
+    }
+
     await db.execAsync('PRAGMA journal_mode = WAL');
-    
-    await db.withTransactionAsync(async () => {
-      await db.execAsync(
-        `CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT, 
-          email TEXT UNIQUE, 
-          password TEXT
-        );`
-      );
-      
-      await db.execAsync(
-        `CREATE TABLE IF NOT EXISTS journals (
-          id INTEGER PRIMARY KEY AUTOINCREMENT, 
-          userId INTEGER, 
-          image TEXT, 
-          description TEXT, 
-          date TEXT, 
-          category TEXT, 
-          FOREIGN KEY(userId) REFERENCES users(id)
-        );`
-      );
-    });
-    
+    await db.execAsync('PRAGMA foreign_keys = ON');
+
+    // Bring the schema up to date; throws MigrationError naming the failed step
+    await runMigrations(db);
+
+    databaseKey = openKey;
+    isLocked = false;
     isInitialized = true;
     console.log('Database initialized successfully');
     return db;
   } catch (error) {
-    console.error('Database initialization error:', error);
+    if (error.name !== 'DatabaseLockedError') {
+      console.error('Database initialization error:', error);
+    }
     throw error;
   }
 };
 
-// Execute SQL queries with automatic initialization
-const executeSql = async (query, params = []) => {
-  try {
-    if (!isInitialized) {
-      await initDatabase();
-    }
+const getDatabase = async () => {
+  if (!isInitialized) {
+    await initDatabase();
+  }
+  return db;
+};
 
-    // Определяем тип запроса
-    const isSelectQuery = query.trim().toUpperCase().startsWith('SELECT');
+/**
+ * Query/mutate pair over a connection: the app database or an open transaction.
+ * @typedef {Object} Executor
+ * @property {(sql: string, params?: Array) => Promise<Object[]>} query
+ * @property {(sql: string, params?: Array) => Promise<Object|null>} queryOne
+ * @property {(sql: string, params?: Array) => Promise<{insertId: number, changes: number}>} mutate
+ */
+const executorFor = (connection) => ({
+  // All rows of a statement that returns data (SELECT, WITH, PRAGMA, ... RETURNING)
+  query: (sql, params = []) => connection.getAllAsync(sql, params),
+  // First row, or null
+  queryOne: (sql, params = []) => connection.getFirstAsync(sql, params),
+  // Statement that changes data; returns { insertId, changes }
+  mutate: async (sql, params = []) => {
+    const result = await connection.runAsync(sql, params);
+    return { insertId: result.lastInsertRowId, changes: result.changes };
+  },
+});
 
-    if (isSelectQuery) {
-      // Для SELECT используем allAsync (возвращает все строки)
-      return await db.getAllAsync(query, params);
-    } else {
-      // Для INSERT, UPDATE, DELETE используем runAsync
-      return await db.runAsync(query, params);
-    }
-  } catch (error) {
-    console.error('SQL execution error:', error);
-    throw error;
+// Transactions run on the app connection itself: it is the one that has the
+// SQLCipher key and foreign keys turned on. They run one at a time, and
+// statements outside a transaction wait for the running one so they are
+// not swept into it (or into its rollback).
+let runningTransaction = Promise.resolve();
+
+// The app connection once no transaction is running
+const idleDatabase = async () => {
+  await runningTransaction;
+  return getDatabase();
+};
+
+// Executor over the app database, opening it on first use. Repository
+// functions take an executor so the same code runs inside a transaction.
+const database = {
+  query: async (sql, params) => executorFor(await idleDatabase()).query(sql, params),
+  queryOne: async (sql, params) => executorFor(await idleDatabase()).queryOne(sql, params),
+  mutate: async (sql, params) => executorFor(await idleDatabase()).mutate(sql, params),
+};
+
+// Run `task(tx)` in a transaction; everything done through `tx` is rolled
+// back if it throws. Resolves with the task's result. Inside the task use
+// only `tx`: `database` waits for the transaction to end.
+const transaction = (task) => {
+  const run = runningTransaction.then(async () => {
+    const connection = await getDatabase();
+    let result;
+    await connection.withTransactionAsync(async () => {
+      result = await task(executorFor(connection));
+    });
+    return result;
+  });
+  runningTransaction = run.catch(() => {});
+  return run;
+};
+
+const isDatabaseLocked = () => isLocked;
+
+// Whether this account can open the database on this device; false only
+// while it is locked and the keyring has no entry for the email
+const hasDatabaseKey = async (email) => !isLocked || hasKeyFor(email);
+
+// Open a locked database with the key stored for this account. Resolves
+// false for an unknown account or wrong password; true when nothing was locked.
+const unlockDatabase = async (email, password) => {
+  if (!isLocked) return true;
+  const key = await unwrapDatabaseKey(email, password);
+  if (!key) return false;
+  await initDatabase(key);
+  await cacheDatabaseKey(key);
+  return true;
+};
+
+// Let this account unlock the encrypted database on later launches. Needs
+// the database open, so it runs after a successful login or registration.
+// An entry made from the password hash at encryption time is replaced too,
+// since the hash changes whenever the password is rehashed.
+const addDatabaseKey = async (email, password) => {
+  if (!databaseKey || (await hasPasswordKeyFor(email))) return;
+  await addKeyEntry(email, password, databaseKey);
+};
+
+// Keyring entries for every other account, so each can still log in after
+// a cold start. Rows from before hashing hold the password itself.
+const addAccountKeys = async (connection, email, key) => {
+  const users = await connection.getAllAsync('SELECT email, password FROM users');
+  for (const user of users) {
+    if (!user.password || user.email.trim().toLowerCase() === email.trim().toLowerCase()) continue;
+    const parsed = parseHash(user.password);
+    if (parsed) await addHashKeyEntry(user.email, parsed, key);
+    else await addKeyEntry(user.email, user.password, key);
   }
 };
 
-export { initDatabase, executeSql };
\ No newline at end of file
+// Encrypt an existing plaintext database in place: export everything into
+// an encrypted copy, record the key for this account and every other one,
+// then swap the files and reopen. The old file and its WAL, which hold
+// plaintext, are deleted.
+const encryptDatabase = async (email, password) => {
+  const connection = await idleDatabase();
+  if (databaseKey) return;
+
+  const key = await createDatabaseKey();
+  const target = databaseFile(ENCRYPTED_NAME);
+  await FileSystem.deleteAsync(target, { idempotent: true });
+  await connection.execAsync('PRAGMA wal_checkpoint(TRUNCATE)');
+  const { user_version: version } = await connection.getFirstAsync('PRAGMA user_version');
+
+  // ATTACH takes a file path, not a file:// URI
+  const path = decodeURIComponent(target.replace(/^file:\/\//, ''));
+  await connection.execAsync(
+    `ATTACH DATABASE '${path.replace(/'/g, "''")}' AS encrypted KEY ${keyClause(key)}`
+  );
+  try {
+    await connection.execAsync("SELECT sqlcipher_export('encrypted')");
+    // sqlcipher_export copies the schema and rows but not the migration version
+    await connection.execAsync(`PRAGMA encrypted.user_version = ${version}`);
+  } finally {
+    await connection.execAsync('DETACH DATABASE encrypted');
+  }
+
+  // This account's entry goes first: once the keyring has one, a restart
+  // finishes the swap instead of dropping the copy
+  await addKeyEntry(email, password, key);
+  await addAccountKeys(connection, email, key);
+  await connection.closeAsync();
+  db = null;
+  isInitialized = false;
+  await finishPendingEncryption();
+  await initDatabase(key);
+  await cacheDatabaseKey(key);
+};
+
+export {
+  initDatabase,
+  database,
+  transaction,
+  isDatabaseLocked,
+  hasDatabaseKey,
+  unlockDatabase,
+  addDatabaseKey,
+  encryptDatabase,
+};
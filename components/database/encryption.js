@@ -0,0 +1,189 @@
+import * as FileSystem from 'expo-file-system';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { gcm } from '@noble/ciphers/aes';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, concatBytes, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+
+// The whole database file is encrypted with SQLCipher under one random key.
+// That key is stored wrapped (AES-GCM) once per account, under a key derived
+// from the account's password, in a keyring file next to the database. While
+// logged in, the unwrapped key is also kept in the device keychain so a
+// persistent session can reopen the database without asking again.
+//
+// Accounts that are not logged in when the database is encrypted get an
+// entry wrapped under their stored password hash instead (`fromPasswordHash`).
+// Their password derives the same hash at login, and the entry is then
+// replaced by a normal one.
+const DATABASE_NAME = 'FoodJournal.db';
+const DATABASE_DIR = `${FileSystem.documentDirectory}SQLite/`;
+const KEYRING_FILE = `${DATABASE_DIR}FoodJournal.keyring.json`;
+const CACHED_KEY = 'databaseKey';
+
+const KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const NONCE_BYTES = 12;
+const ITERATIONS = 60000;
+
+// sqlite's own header; an encrypted file starts with random bytes instead
+const SQLITE_HEADER = 'SQLite format 3\u0000';
+const SCAN_CHUNK_BYTES = 256 * 1024;
+
+class DatabaseLockedError extends Error {
+  constructor(message = 'Log in to unlock the encrypted journal') {
+    super(message);
+    this.name = 'DatabaseLockedError';
+  }
+}
+
+const databaseFile = (name = DATABASE_NAME) => `${DATABASE_DIR}${name}`;
+
+// Keyring entries are found by a hash of the email so the file does not list accounts
+const accountId = (email) => bytesToHex(sha256(utf8ToBytes(email.trim().toLowerCase())));
+
+const readKeyring = async () => {
+  const info = await FileSystem.getInfoAsync(KEYRING_FILE);
+  if (!info.exists) return { entries: [] };
+  return JSON.parse(await FileSystem.readAsStringAsync(KEYRING_FILE));
+};
+
+const writeKeyring = async (keyring) => {
+  await FileSystem.writeAsStringAsync(KEYRING_FILE, JSON.stringify(keyring));
+};
+
+const isEncrypted = async () => (await readKeyring()).entries.length > 0;
+
+const findKeyEntry = async (email) =>
+  (await readKeyring()).entries.find((entry) => entry.id === accountId(email)) || null;
+
+const hasKeyFor = async (email) => (await findKeyEntry(email)) !== null;
+
+// True once the account's entry is wrapped under its password, not its hash
+const hasPasswordKeyFor = async (email) => {
+  const entry = await findKeyEntry(email);
+  return !!entry && !entry.fromPasswordHash;
+};
+
+const deriveWrappingKey = (password, salt, iterations) =>
+  pbkdf2Async(sha256, password, salt, { c: iterations, dkLen: KEY_BYTES });
+
+// Wrapping key for a `fromPasswordHash` entry. The stored hash itself is
+// hashed again so the wrapping key is not the value kept in the users table.
+const hashWrappingKey = (passwordHash) =>
+  sha256(concatBytes(passwordHash, utf8ToBytes('FoodJournal keyring')));
+
+const createDatabaseKey = () => Crypto.getRandomBytesAsync(KEY_BYTES);
+
+// Wrap `key` and store it for this account, replacing any entry it already had
+const saveKeyEntry = async (email, wrappingKey, key, fields) => {
+  const nonce = await Crypto.getRandomBytesAsync(NONCE_BYTES);
+  const entry = {
+    id: accountId(email),
+    ...fields,
+    nonce: bytesToHex(nonce),
+    wrappedKey: bytesToHex(gcm(wrappingKey, nonce).encrypt(key)),
+  };
+  const keyring = await readKeyring();
+  await writeKeyring({
+    entries: [...keyring.entries.filter((other) => other.id !== entry.id), entry],
+  });
+};
+
+const addKeyEntry = async (email, password, key) => {
+  const salt = await Crypto.getRandomBytesAsync(SALT_BYTES);
+  const wrappingKey = await deriveWrappingKey(password, salt, ITERATIONS);
+  await saveKeyEntry(email, wrappingKey, key, { iterations: ITERATIONS, salt: bytesToHex(salt) });
+};
+
+// Store `key` for an account whose password is not at hand, from its parsed
+// password hash ({ iterations, salt, hash } as in auth/password)
+const addHashKeyEntry = async (email, { iterations, salt, hash }, key) => {
+  await saveKeyEntry(email, hashWrappingKey(hash), key, {
+    iterations,
+    salt: bytesToHex(salt),
+    fromPasswordHash: true,
+  });
+};
+
+// The database key, or null when the account has no entry or the password is wrong
+const unwrapDatabaseKey = async (email, password) => {
+  const entry = await findKeyEntry(email);
+  if (!entry) return null;
+  const derived = await deriveWrappingKey(password, hexToBytes(entry.salt), entry.iterations);
+  const wrappingKey = entry.fromPasswordHash ? hashWrappingKey(derived) : derived;
+  try {
+    return gcm(wrappingKey, hexToBytes(entry.nonce)).decrypt(hexToBytes(entry.wrappedKey));
+  } catch (error) {
+    return null;
+  }
+};
+
+const getCachedKey = async () => {
+  const hex = await SecureStore.getItemAsync(CACHED_KEY);
+  return hex ? hexToBytes(hex) : null;
+};
+
+const cacheDatabaseKey = async (key) => {
+  await SecureStore.setItemAsync(CACHED_KEY, bytesToHex(key), {
+    keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+  });
+};
+
+// Called on logout: the next launch needs a password to open the database
+const forgetDatabaseKey = async () => {
+  await SecureStore.deleteItemAsync(CACHED_KEY);
+};
+
+// SQLCipher raw key syntax, so no second key derivation happens in sqlite
+const keyClause = (key) => `"x'${bytesToHex(key)}'"`;
+
+const toBinary = (text) => String.fromCharCode(...utf8ToBytes(text));
+
+// Read the database file and its WAL straight from disk and report whether
+// it still has a plain sqlite header and which `probes` appear in it.
+const verifyDatabaseFile = async (probes) => {
+  const needles = probes.filter(Boolean).map((probe) => ({ probe, binary: toBinary(probe) }));
+  const overlap = needles.reduce((max, needle) => Math.max(max, needle.binary.length), 0);
+  const found = new Set();
+  let plainHeader = false;
+
+  for (const uri of [databaseFile(), `${databaseFile()}-wal`]) {
+    const info = await FileSystem.getInfoAsync(uri);
+    if (!info.exists) continue;
+    for (let position = 0; position < info.size; position += SCAN_CHUNK_BYTES) {
+      const chunk = atob(
+        await FileSystem.readAsStringAsync(uri, {
+          encoding: FileSystem.EncodingType.Base64,
+          position,
+          length: Math.min(SCAN_CHUNK_BYTES + overlap, info.size - position),
+        })
+      );
+      if (position === 0 && uri === databaseFile() && chunk.startsWith(SQLITE_HEADER)) {
+        plainHeader = true;
+      }
+      needles.forEach((needle) => {
+        if (chunk.includes(needle.binary)) found.add(needle.probe);
+      });
+    }
+  }
+  return { plainHeader, found: [...found] };
+};
+
+export {
+  DATABASE_NAME,
+  DatabaseLockedError,
+  databaseFile,
+  isEncrypted,
+  hasKeyFor,
+  hasPasswordKeyFor,
+  createDatabaseKey,
+  addKeyEntry,
+  addHashKeyEntry,
+  unwrapDatabaseKey,
+  getCachedKey,
+  cacheDatabaseKey,
+  forgetDatabaseKey,
+  keyClause,
+  verifyDatabaseFile,
+};
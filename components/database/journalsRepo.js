@@ -0,0 +1,199 @@
+import { database, transaction } from './database';
+import { NUTRIENTS } from '../nutrition/nutrition';
+import { saveJournalItems } from '../food/foods';
+
+// Reads and writes of single entries. Queries over many entries (the list,
+// search, calendar, stats, export and sync's change feed) live with those
+// features and run through `database` directly.
+
+/**
+ * @typedef {import('./database').Executor} Executor
+ *
+ * Columns written from a form; nutrients are numbers or null.
+ * @typedef {Object} JournalFields
+ * @property {string|null} image
+ * @property {string|null} thumbnail
+ * @property {string} description
+ * @property {number|null} categoryId
+ * @property {string} date ISO timestamp
+ * @property {number|null} calories
+ * @property {number|null} protein
+ * @property {number|null} carbs
+ * @property {number|null} fat
+ *
+ * Stored row: the fields plus bookkeeping columns.
+ * @typedef {JournalFields & {
+ *   id: number,
+ *   userId: number,
+ *   householdId: number|null,
+ *   imageMissing: number,
+ *   isFavorite: number,
+ *   deletedAt: string|null
+ * }} Journal
+ *
+ * Editor-side food item (see food/foods).
+ * @typedef {Object} JournalItem
+ * @property {number|null} foodId
+ * @property {string} name
+ * @property {string} quantity
+ * @property {string|null} unit
+ * @property {Object<string, number|null>} base Nutrients per unit of quantity
+ */
+
+const FIELDS = [
+  'image',
+  'thumbnail',
+  'description',
+  'categoryId',
+  'date',
+  ...NUTRIENTS.map(({ key }) => key),
+];
+
+const fieldValues = (fields) => FIELDS.map((name) => fields[name] ?? null);
+
+/**
+ * Raw row, including soft-deleted entries.
+ * @param {number} id
+ * @param {Executor} [tx]
+ * @returns {Promise<Journal|null>}
+ */
+const findById = async (id, tx = database) =>
+  tx.queryOne('SELECT * FROM journals WHERE id = ?', [id]);
+
+// Run `task` in the caller's transaction, or in a new one
+const inTransaction = (tx, task) => (tx ? task(tx) : transaction(task));
+
+/**
+ * Insert an entry with its items in one transaction. `householdId` posts it
+ * into a household's shared journal; `tx` makes it part of a larger write.
+ * @param {number} userId
+ * @param {JournalFields} fields
+ * @param {JournalItem[]} [items]
+ * @param {{householdId?: number|null, tx?: Executor}} [options]
+ * @returns {Promise<number>} The new entry's id
+ */
+const create = async (userId, fields, items = [], { householdId = null, tx } = {}) =>
+  inTransaction(tx, async (tx) => {
+    const { insertId } = await tx.mutate(
+      `INSERT INTO journals (userId, householdId, ${FIELDS.join(', ')})
+        VALUES (?, ?, ${FIELDS.map(() => '?').join(', ')})`,
+      [userId, householdId, ...fieldValues(fields)]
+    );
+    await saveJournalItems(insertId, items, tx);
+    return insertId;
+  });
+
+/**
+ * Replace an entry's fields and items in one transaction. A new photo
+ * clears the missing-image flag unless `imageMissing` says otherwise.
+ * @param {number} id
+ * @param {JournalFields} fields
+ * @param {JournalItem[]} [items]
+ * @param {{imageMissing?: boolean, tx?: Executor}} [options]
+ * @returns {Promise<void>}
+ */
+const update = async (id, fields, items = [], { imageMissing = false, tx } = {}) =>
+  inTransaction(tx, async (tx) => {
+    await tx.mutate(
+      `UPDATE journals SET ${FIELDS.map((name) => `${name} = ?`).join(', ')}, imageMissing = ?
+        WHERE id = ?`,
+      [...fieldValues(fields), imageMissing ? 1 : 0, id]
+    );
+    await saveJournalItems(id, items, tx);
+  });
+
+/**
+ * Point an entry at a stored photo, or only flag it missing/found again.
+ * @param {number} id
+ * @param {{image?: string, thumbnail?: string, imageMissing: boolean}} photo
+ * @param {Executor} [tx]
+ * @returns {Promise<void>}
+ */
+const setImage = async (id, { image, thumbnail, imageMissing }, tx = database) => {
+  if (image === undefined) {
+    await tx.mutate('UPDATE journals SET imageMissing = ? WHERE id = ?', [imageMissing ? 1 : 0, id]);
+    return;
+  }
+  await tx.mutate('UPDATE journals SET image = ?, thumbnail = ?, imageMissing = ? WHERE id = ?', [
+    image,
+    thumbnail,
+    imageMissing ? 1 : 0,
+    id,
+  ]);
+};
+
+/**
+ * @param {number} id
+ * @param {boolean} isFavorite
+ * @param {Executor} [tx]
+ * @returns {Promise<void>}
+ */
+const setFavorite = async (id, isFavorite, tx = database) => {
+  await tx.mutate('UPDATE journals SET isFavorite = ? WHERE id = ?', [isFavorite ? 1 : 0, id]);
+};
+
+/**
+ * Hide an entry from every journal query until it is restored or purged.
+ * @param {number} id
+ * @param {Date} [now]
+ * @param {Executor} [tx]
+ * @returns {Promise<void>}
+ */
+const softDelete = async (id, now = new Date(), tx = database) => {
+  await tx.mutate('UPDATE journals SET deletedAt = ? WHERE id = ?', [now.toISOString(), id]);
+};
+
+/**
+ * @param {number} id
+ * @param {Executor} [tx]
+ * @returns {Promise<void>}
+ */
+const restore = async (id, tx = database) => {
+  await tx.mutate('UPDATE journals SET deletedAt = NULL WHERE id = ?', [id]);
+};
+
+/**
+ * Delete an entry for good; items and saved versions go with it through
+ * ON DELETE CASCADE.
+ * @param {number} id
+ * @param {Executor} [tx]
+ * @returns {Promise<void>}
+ */
+const remove = async (id, tx = database) => {
+  await tx.mutate('DELETE FROM journals WHERE id = ?', [id]);
+};
+
+/**
+ * Delete soft-deleted entries for good: one user's (`userId`), and/or those
+ * deleted before `before`.
+ * @param {{userId?: number, before?: Date}} filter
+ * @param {Executor} [tx]
+ * @returns {Promise<number>} How many entries were removed
+ */
+const removeDeleted = async ({ userId, before }, tx = database) => {
+  let where = 'deletedAt IS NOT NULL';
+  const params = [];
+  if (userId !== undefined) {
+    where += ' AND userId = ?';
+    params.push(userId);
+  }
+  if (before) {
+    where += ' AND deletedAt < ?';
+    params.push(before.toISOString());
+  }
+  const { changes } = await tx.mutate(`DELETE FROM journals WHERE ${where}`, params);
+  return changes;
+};
+
+export {
+  FIELDS,
+  findById,
+  create,
+  update,
+  setImage,
+  setFavorite,
+  softDelete,
+  restore,
+  remove,
+  removeDeleted,
+};
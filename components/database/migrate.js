@@ -0,0 +1,44 @@
+import migrations from './migrations';
+
+class MigrationError extends Error {
+  constructor(migration, cause) {
+    super(`Migration ${migration.version} (${migration.name}) failed: ${cause?.message || cause}`);
+    this.name = 'MigrationError';
+    this.version = migration.version;
+    this.migrationName = migration.name;
+    this.cause = cause;
+  }
+}
+
+const getUserVersion = async (db) => {
+  const row = await db.getFirstAsync('PRAGMA user_version');
+  return row?.user_version ?? 0;
+};
+
+// Apply every migration newer than the database's user_version, oldest first.
+// Each step runs in its own transaction together with the version bump, so a
+// failing step rolls back completely and leaves the previous version in place.
+const runMigrations = async (db, steps = migrations) => {
+  const ordered = [...steps].sort((a, b) => a.version - b.version);
+  let current = await getUserVersion(db);
+
+  for (const migration of ordered) {
+    if (migration.version <= current) continue;
+
+    try {
+      await db.withTransactionAsync(async () => {
+        await migration.up(db);
+        // PRAGMA does not accept bound parameters; version is always an integer
+        await db.execAsync(`PRAGMA user_version = ${Number(migration.version)}`);
+      });
+    } catch (error) {
+      throw new MigrationError(migration, error);
+    }
+
+    current = migration.version;
+  }
+
+  return current;
+};
+
+export { runMigrations, getUserVersion, MigrationError };
@@ -0,0 +1,535 @@
+// Names seeded by the categories migration. Kept here rather than imported so
+// the migration stays frozen if the app's defaults change later.
+const DEFAULT_CATEGORIES = ['Breakfast', 'Lunch', 'Dinner', 'Snacks'];
+
+// Food catalogue seeded by migration 4, frozen for the same reason. Nutrients
+// are per serving; values are rounded averages from common nutrition tables.
+// [name, servingSize, servingUnit, calories, protein, carbs, fat]
+const SEED_FOODS = [
+  ['Apple', 182, 'g', 95, 0.5, 25, 0.3],
+  ['Banana', 118, 'g', 105, 1.3, 27, 0.4],
+  ['Orange', 131, 'g', 62, 1.2, 15, 0.2],
+  ['Strawberries', 150, 'g', 48, 1, 11.5, 0.5],
+  ['Blueberries', 148, 'g', 84, 1.1, 21, 0.5],
+  ['Avocado', 100, 'g', 160, 2, 8.5, 14.7],
+  ['Broccoli', 91, 'g', 31, 2.5, 6, 0.3],
+  ['Carrot', 61, 'g', 25, 0.6, 6, 0.1],
+  ['Tomato', 123, 'g', 22, 1.1, 4.8, 0.2],
+  ['Cucumber', 100, 'g', 15, 0.7, 3.6, 0.1],
+  ['Spinach', 30, 'g', 7, 0.9, 1.1, 0.1],
+  ['Potato, boiled', 150, 'g', 130, 2.9, 30, 0.2],
+  ['Sweet potato, baked', 150, 'g', 135, 3, 31, 0.2],
+  ['White rice, cooked', 158, 'g', 205, 4.3, 45, 0.4],
+  ['Brown rice, cooked', 195, 'g', 216, 5, 45, 1.8],
+  ['Buckwheat, cooked', 168, 'g', 155, 5.7, 33.5, 1],
+  ['Oatmeal, cooked', 234, 'g', 166, 5.9, 28, 3.6],
+  ['Pasta, cooked', 140, 'g', 220, 8, 43, 1.3],
+  ['Ramen noodles, cooked', 200, 'g', 280, 8, 40, 10],
+  ['White bread', 25, 'g', 66, 1.9, 12.7, 0.8],
+  ['Whole wheat bread', 32, 'g', 81, 4, 13.8, 1.1],
+  ['Egg, boiled', 50, 'g', 78, 6.3, 0.6, 5.3],
+  ['Egg, fried', 46, 'g', 90, 6.3, 0.4, 7],
+  ['Chicken breast, grilled', 100, 'g', 165, 31, 0, 3.6],
+  ['Beef steak, grilled', 100, 'g', 271, 25, 0, 19],
+  ['Pork chop, grilled', 100, 'g', 231, 26, 0, 14],
+  ['Salmon, baked', 100, 'g', 206, 22, 0, 12],
+  ['Tuna, canned in water', 100, 'g', 116, 26, 0, 0.8],
+  ['Tofu', 100, 'g', 76, 8, 1.9, 4.8],
+  ['Lentils, cooked', 198, 'g', 230, 18, 40, 0.8],
+  ['Chickpeas, cooked', 164, 'g', 269, 14.5, 45, 4.2],
+  ['Milk, 2%', 244, 'ml', 122, 8.1, 11.7, 4.8],
+  ['Greek yogurt, plain', 170, 'g', 100, 17, 6, 0.7],
+  ['Cottage cheese', 113, 'g', 111, 12.5, 3.8, 4.9],
+  ['Cheddar cheese', 28, 'g', 113, 7, 0.4, 9.3],
+  ['Butter', 14, 'g', 102, 0.1, 0, 11.5],
+  ['Olive oil', 13.5, 'ml', 119, 0, 0, 13.5],
+  ['Peanut butter', 32, 'g', 188, 8, 6, 16],
+  ['Almonds', 28, 'g', 164, 6, 6, 14],
+  ['Walnuts', 28, 'g', 185, 4.3, 3.9, 18.5],
+  ['Dark chocolate', 28, 'g', 170, 2.2, 13, 12],
+  ['Honey', 21, 'g', 64, 0.1, 17, 0],
+  ['Pizza, cheese', 107, 'g', 285, 12, 36, 10],
+  ['Hamburger', 110, 'g', 254, 13, 30, 9],
+  ['French fries', 117, 'g', 365, 4, 48, 17],
+  ['Caesar salad', 200, 'g', 360, 9, 14, 30],
+  ['Borscht', 250, 'ml', 125, 5, 15, 5],
+  ['Chicken soup', 250, 'ml', 90, 6, 9, 3],
+  ['Pancakes', 77, 'g', 175, 5, 22, 7],
+  ['Orange juice', 248, 'ml', 112, 1.7, 26, 0.5],
+  ['Coffee, black', 240, 'ml', 2, 0.3, 0, 0],
+  ['Cappuccino', 240, 'ml', 110, 6, 9, 5],
+  ['Tea, unsweetened', 240, 'ml', 2, 0, 0.5, 0],
+];
+
+// Ordered schema migrations. Each entry upgrades the database from
+// `version - 1` to `version`; the runner stores the reached version in
+// PRAGMA user_version. Never edit a migration that has shipped - add a new one.
+const migrations = [
+  {
+    version: 1,
+    name: 'create users and journals',
+    up: async (db) => {
+      // IF NOT EXISTS keeps databases created before versioning (user_version 0) intact
+      await db.execAsync(
+        `CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT, 
+          email TEXT UNIQUE, 
+          password TEXT
+        );`
+      );
+
+      await db.execAsync(
+        `CREATE TABLE IF NOT EXISTS journals (
+          id INTEGER PRIMARY KEY AUTOINCREMENT, 
+          userId INTEGER, 
+          image TEXT, 
+          description TEXT, 
+          date TEXT, 
+          category TEXT, 
+          FOREIGN KEY(userId) REFERENCES users(id)
+        );`
+      );
+    },
+  },
+  {
+    version: 2,
+    name: 'create sessions',
+    up: async (db) => {
+      await db.execAsync(
+        `CREATE TABLE sessions (
+          token TEXT PRIMARY KEY,
+          userId INTEGER NOT NULL,
+          createdAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL,
+          FOREIGN KEY(userId) REFERENCES users(id)
+        );`
+      );
+    },
+  },
+  {
+    version: 3,
+    name: 'add nutrition columns and user settings',
+    up: async (db) => {
+      await db.execAsync(
+        `ALTER TABLE journals ADD COLUMN calories REAL;
+        ALTER TABLE journals ADD COLUMN protein REAL;
+        ALTER TABLE journals ADD COLUMN carbs REAL;
+        ALTER TABLE journals ADD COLUMN fat REAL;`
+      );
+
+      await db.execAsync(
+        `CREATE TABLE user_settings (
+          userId INTEGER NOT NULL,
+          key TEXT NOT NULL,
+          value TEXT,
+          PRIMARY KEY(userId, key),
+          FOREIGN KEY(userId) REFERENCES users(id)
+        );`
+      );
+    },
+  },
+  {
+    version: 4,
+    name: 'create food catalogue and journal items',
+    up: async (db) => {
+      await db.execAsync(
+        `CREATE TABLE foods (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          servingSize REAL,
+          servingUnit TEXT,
+          calories REAL,
+          protein REAL,
+          carbs REAL,
+          fat REAL
+        );
+        CREATE VIRTUAL TABLE foods_fts USING fts5(
+          name,
+          content='foods',
+          content_rowid='id',
+          tokenize='unicode61 remove_diacritics 2'
+        );`
+      );
+
+      for (const food of SEED_FOODS) {
+        await db.runAsync(
+          `INSERT INTO foods (name, servingSize, servingUnit, calories, protein, carbs, fat)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          food
+        );
+      }
+      await db.execAsync(`INSERT INTO foods_fts(foods_fts) VALUES ('rebuild');`);
+
+      // Nutrition is copied onto the item so later catalogue edits never rewrite history
+      await db.execAsync(
+        `CREATE TABLE journal_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          journalId INTEGER NOT NULL,
+          foodId INTEGER,
+          name TEXT NOT NULL,
+          quantity REAL NOT NULL DEFAULT 1,
+          calories REAL,
+          protein REAL,
+          carbs REAL,
+          fat REAL,
+          FOREIGN KEY(journalId) REFERENCES journals(id) ON DELETE CASCADE,
+          FOREIGN KEY(foodId) REFERENCES foods(id)
+        );
+        CREATE INDEX idx_journal_items_journal ON journal_items(journalId);`
+      );
+    },
+  },
+  {
+    version: 5,
+    name: 'add unit and position to journal items',
+    up: async (db) => {
+      await db.execAsync(
+        `ALTER TABLE journal_items ADD COLUMN unit TEXT;
+        ALTER TABLE journal_items ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+        UPDATE journal_items SET unit = 'serving' WHERE foodId IS NOT NULL;`
+      );
+    },
+  },
+  {
+    version: 6,
+    name: 'add image thumbnail and missing flag',
+    up: async (db) => {
+      await db.execAsync(
+        `ALTER TABLE journals ADD COLUMN thumbnail TEXT;
+        ALTER TABLE journals ADD COLUMN imageMissing INTEGER NOT NULL DEFAULT 0;`
+      );
+    },
+  },
+  {
+    version: 7,
+    name: 'move categories into a per-user table',
+    up: async (db) => {
+      await db.execAsync(
+        `CREATE TABLE categories (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          position INTEGER NOT NULL DEFAULT 0,
+          UNIQUE(userId, name),
+          FOREIGN KEY(userId) REFERENCES users(id)
+        );
+        ALTER TABLE journals ADD COLUMN categoryId INTEGER REFERENCES categories(id) ON DELETE SET NULL;`
+      );
+
+      // Every user gets the former built-in list, followed by any other name
+      // they ended up with. 'All' was the filter sentinel leaking into rows,
+      // so those entries become uncategorized.
+      const users = await db.getAllAsync('SELECT id FROM users');
+      for (const user of users) {
+        const used = await db.getAllAsync(
+          `SELECT DISTINCT category FROM journals
+            WHERE userId = ? AND category IS NOT NULL AND category NOT IN ('', 'All')`,
+          [user.id]
+        );
+        const names = [...DEFAULT_CATEGORIES];
+        used.forEach(({ category }) => {
+          if (!names.includes(category)) names.push(category);
+        });
+        for (const [position, name] of names.entries()) {
+          await db.runAsync(
+            'INSERT INTO categories (userId, name, position) VALUES (?, ?, ?)',
+            [user.id, name, position]
+          );
+        }
+      }
+
+      await db.execAsync(
+        `UPDATE journals SET categoryId = (
+          SELECT categories.id FROM categories
+          WHERE categories.userId = journals.userId AND categories.name = journals.category
+        );
+        ALTER TABLE journals DROP COLUMN category;`
+      );
+    },
+  },
+  {
+    version: 8,
+    name: 'add full-text index over journals',
+    up: async (db) => {
+      // rowid mirrors journals.id; `items` holds the entry's item names
+      await db.execAsync(
+        `CREATE VIRTUAL TABLE journals_fts USING fts5(
+          description,
+          items,
+          tokenize='unicode61 remove_diacritics 2'
+        );
+
+        INSERT INTO journals_fts(rowid, description, items)
+          SELECT id, description,
+            (SELECT group_concat(name, ' ') FROM journal_items WHERE journalId = journals.id)
+          FROM journals;
+
+        CREATE TRIGGER journals_fts_insert AFTER INSERT ON journals BEGIN
+          INSERT INTO journals_fts(rowid, description, items) VALUES (new.id, new.description, '');
+        END;
+
+        CREATE TRIGGER journals_fts_update AFTER UPDATE OF description ON journals BEGIN
+          UPDATE journals_fts SET description = new.description WHERE rowid = new.id;
+        END;
+
+        CREATE TRIGGER journals_fts_delete AFTER DELETE ON journals BEGIN
+          DELETE FROM journals_fts WHERE rowid = old.id;
+        END;
+
+        CREATE TRIGGER journal_items_fts_insert AFTER INSERT ON journal_items BEGIN
+          UPDATE journals_fts SET items = (
+            SELECT group_concat(name, ' ') FROM journal_items WHERE journalId = new.journalId
+          ) WHERE rowid = new.journalId;
+        END;
+
+        CREATE TRIGGER journal_items_fts_update AFTER UPDATE OF name ON journal_items BEGIN
+          UPDATE journals_fts SET items = (
+            SELECT group_concat(name, ' ') FROM journal_items WHERE journalId = new.journalId
+          ) WHERE rowid = new.journalId;
+        END;
+
+        CREATE TRIGGER journal_items_fts_delete AFTER DELETE ON journal_items BEGIN
+          UPDATE journals_fts SET items = (
+            SELECT group_concat(name, ' ') FROM journal_items WHERE journalId = old.journalId
+          ) WHERE rowid = old.journalId;
+        END;`
+      );
+    },
+  },
+  {
+    version: 9,
+    name: 'index journals for keyset pagination',
+    up: async (db) => {
+      await db.execAsync(
+        `CREATE INDEX idx_journals_user_date ON journals(userId, date DESC, id DESC);
+        CREATE INDEX idx_journals_category ON journals(categoryId);`
+      );
+    },
+  },
+  {
+    version: 10,
+    name: 'create meal reminders',
+    up: async (db) => {
+      await db.execAsync(
+        `CREATE TABLE reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          categoryId INTEGER NOT NULL,
+          hour INTEGER NOT NULL,
+          minute INTEGER NOT NULL,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          UNIQUE(userId, categoryId),
+          FOREIGN KEY(userId) REFERENCES users(id),
+          FOREIGN KEY(categoryId) REFERENCES categories(id) ON DELETE CASCADE
+        );`
+      );
+    },
+  },
+  {
+    version: 11,
+    name: 'create water log',
+    up: async (db) => {
+      await db.execAsync(
+        `CREATE TABLE water_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          amountMl REAL NOT NULL,
+          beverage TEXT,
+          date TEXT NOT NULL,
+          FOREIGN KEY(userId) REFERENCES users(id)
+        );
+        CREATE INDEX idx_water_log_user_date ON water_log(userId, date);`
+      );
+    },
+  },
+  {
+    version: 12,
+    name: 'create weight log',
+    up: async (db) => {
+      await db.execAsync(
+        `CREATE TABLE weights (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          weightKg REAL NOT NULL,
+          date TEXT NOT NULL,
+          FOREIGN KEY(userId) REFERENCES users(id)
+        );
+        CREATE INDEX idx_weights_user_date ON weights(userId, date);`
+      );
+    },
+  },
+  {
+    version: 13,
+    name: 'add favorite flag to journals',
+    up: async (db) => {
+      await db.execAsync(
+        `ALTER TABLE journals ADD COLUMN isFavorite INTEGER NOT NULL DEFAULT 0;`
+      );
+    },
+  },
+  {
+    version: 14,
+    name: 'add soft delete and journal history',
+    up: async (db) => {
+      // image and thumbnail are columns so image cleanup can see them
+      await db.execAsync(
+        `ALTER TABLE journals ADD COLUMN deletedAt TEXT;
+        CREATE TABLE journal_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          journalId INTEGER NOT NULL,
+          image TEXT,
+          thumbnail TEXT,
+          snapshot TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          FOREIGN KEY(journalId) REFERENCES journals(id) ON DELETE CASCADE
+        );
+        CREATE INDEX idx_journal_history_journal ON journal_history(journalId, createdAt);`
+      );
+    },
+  },
+  {
+    version: 15,
+    name: 'track row changes for sync',
+    up: async (db) => {
+      // Field lists as of this version; `items` stands for the entry's journal_items
+      const synced = {
+        users: ['email', 'password'],
+        journals: [
+          'description',
+          'categoryId',
+          'date',
+          'calories',
+          'protein',
+          'carbs',
+          'fat',
+          'isFavorite',
+          'deletedAt',
+        ],
+      };
+      const now = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+      const clock = `${now} || '|' || (SELECT deviceId FROM sync_meta)`;
+      const initialClock = (fields) =>
+        `json_object(${fields.map((field) => `'${field}', ${clock}`).join(', ')})`;
+      const journalFields = [...synced.journals, 'items'];
+
+      await db.execAsync(
+        `CREATE TABLE sync_meta (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          deviceId TEXT NOT NULL
+        );
+        INSERT INTO sync_meta (id, deviceId) VALUES (1, lower(hex(randomblob(16))));
+
+        CREATE TABLE sync_state (
+          userId INTEGER PRIMARY KEY,
+          lastPulledVersion INTEGER NOT NULL DEFAULT 0,
+          lastPushedAt TEXT,
+          lastSyncedAt TEXT,
+          FOREIGN KEY(userId) REFERENCES users(id)
+        );
+
+        CREATE TABLE sync_tombstones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          userId INTEGER NOT NULL,
+          tableName TEXT NOT NULL,
+          syncId TEXT NOT NULL,
+          deletedAt TEXT NOT NULL
+        );
+        CREATE INDEX idx_sync_tombstones_user ON sync_tombstones(userId, deletedAt);`
+      );
+
+      for (const table of ['users', 'journals']) {
+        const fields = table === 'journals' ? journalFields : synced[table];
+        await db.execAsync(
+          `ALTER TABLE ${table} ADD COLUMN syncId TEXT;
+          ALTER TABLE ${table} ADD COLUMN updatedAt TEXT;
+          ALTER TABLE ${table} ADD COLUMN fieldClock TEXT;
+          UPDATE ${table} SET syncId = lower(hex(randomblob(16))), updatedAt = ${now},
+            fieldClock = ${initialClock(fields)};
+          CREATE UNIQUE INDEX idx_${table}_sync ON ${table}(syncId);
+
+          CREATE TRIGGER ${table}_sync_insert AFTER INSERT ON ${table} BEGIN
+            UPDATE ${table} SET
+              syncId = COALESCE(new.syncId, lower(hex(randomblob(16)))),
+              updatedAt = ${now},
+              fieldClock = COALESCE(new.fieldClock, ${initialClock(fields)})
+            WHERE id = new.id;
+          END;
+
+          CREATE TRIGGER ${table}_sync_delete AFTER DELETE ON ${table} BEGIN
+            INSERT INTO sync_tombstones (userId, tableName, syncId, deletedAt)
+              VALUES (${table === 'users' ? 'old.id' : 'old.userId'}, '${table}', old.syncId, ${now});
+          END;`
+        );
+
+        // One trigger per field so each keeps its own clock
+        for (const field of synced[table]) {
+          await db.execAsync(
+            `CREATE TRIGGER ${table}_sync_${field} AFTER UPDATE OF ${field} ON ${table}
+              WHEN old.${field} IS NOT new.${field}
+            BEGIN
+              UPDATE ${table} SET
+                fieldClock = json_set(COALESCE(fieldClock, '{}'), '$.${field}', ${clock}),
+                updatedAt = ${now}
+              WHERE id = new.id;
+            END;`
+          );
+        }
+      }
+
+      for (const [event, row] of [['INSERT', 'new'], ['UPDATE', 'new'], ['DELETE', 'old']]) {
+        await db.execAsync(
+          `CREATE TRIGGER journal_items_sync_${event.toLowerCase()} AFTER ${event} ON journal_items
+          BEGIN
+            UPDATE journals SET
+              fieldClock = json_set(COALESCE(fieldClock, '{}'), '$.items', ${clock}),
+              updatedAt = ${now}
+            WHERE id = ${row}.journalId;
+          END;`
+        );
+      }
+
+      await db.execAsync(
+        'CREATE INDEX idx_journals_user_updated ON journals(userId, updatedAt);'
+      );
+    },
+  },
+  {
+    version: 16,
+    name: 'create households',
+    up: async (db) => {
+      await db.execAsync(
+        `CREATE TABLE households (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          createdAt TEXT NOT NULL
+        );
+        CREATE TABLE household_members (
+          householdId INTEGER NOT NULL,
+          userId INTEGER NOT NULL,
+          role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+          PRIMARY KEY(householdId, userId),
+          FOREIGN KEY(householdId) REFERENCES households(id) ON DELETE CASCADE,
+          FOREIGN KEY(userId) REFERENCES users(id)
+        );
+        CREATE INDEX idx_household_members_user ON household_members(userId);
+        ALTER TABLE journals ADD COLUMN householdId INTEGER REFERENCES households(id) ON DELETE SET NULL;
+        CREATE INDEX idx_journals_household_date ON journals(householdId, date DESC, id DESC);`
+      );
+    },
+  },
+  {
+    version: 17,
+    name: 'index photo references',
+    up: async (db) => {
+      // Lets an edit check whether the photo it replaced is still used
+      await db.execAsync(
+        `CREATE INDEX idx_journals_image ON journals(image);
+        CREATE INDEX idx_journal_history_image ON journal_history(image);`
+      );
+    },
+  },
+];
+
+export const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+export default migrations;
@@ -0,0 +1,26 @@
+import { database } from './database';
+
+// Per-user key/value preferences. Values are stored as JSON so numbers,
+// booleans and small objects round-trip unchanged.
+const getSetting = async (userId, key, defaultValue = null) => {
+  const rows = await database.query(
+    'SELECT value FROM user_settings WHERE userId = ? AND key = ?',
+    [userId, key]
+  );
+  if (rows.length === 0 || rows[0].value === null) return defaultValue;
+  try {
+    return JSON.parse(rows[0].value);
+  } catch (error) {
+    console.error(`Invalid setting ${key}:`, error);
+    return defaultValue;
+  }
+};
+
+const setSetting = async (userId, key, value) => {
+  await database.mutate(
+    'INSERT OR REPLACE INTO user_settings (userId, key, value) VALUES (?, ?, ?)',
+    [userId, key, JSON.stringify(value)]
+  );
+};
+
+export { getSetting, setSetting };
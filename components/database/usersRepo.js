@@ -0,0 +1,63 @@
+import { database } from './database';
+
+/**
+ * @typedef {import('./database').Executor} Executor
+ *
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} email
+ * @property {string} password Stored hash (see auth/password)
+ * @property {string} syncId Identity of the account on the sync server
+ */
+
+/**
+ * @param {string} email
+ * @param {Executor} [tx]
+ * @returns {Promise<User|null>}
+ */
+const findByEmail = async (email, tx = database) =>
+  tx.queryOne('SELECT id, email, password, syncId FROM users WHERE email = ?', [email]);
+
+/**
+ * @param {number} id
+ * @param {Executor} [tx]
+ * @returns {Promise<User|null>}
+ */
+const findById = async (id, tx = database) =>
+  tx.queryOne('SELECT id, email, password, syncId FROM users WHERE id = ?', [id]);
+
+/**
+ * @param {{email: string, passwordHash: string}} user
+ * @param {Executor} [tx]
+ * @returns {Promise<number>} The new user's id
+ */
+const create = async ({ email, passwordHash }, tx = database) => {
+  const { insertId } = await tx.mutate('INSERT INTO users (email, password) VALUES (?, ?)', [
+    email,
+    passwordHash,
+  ]);
+  return insertId;
+};
+
+/**
+ * @param {number} id
+ * @param {string} passwordHash
+ * @param {Executor} [tx]
+ * @returns {Promise<void>}
+ */
+const updatePassword = async (id, passwordHash, tx = database) => {
+  await tx.mutate('UPDATE users SET password = ? WHERE id = ?', [passwordHash, id]);
+};
+
+/**
+ * Adopt the id the sync server knows this account by.
+ * @param {number} id
+ * @param {string} syncId
+ * @param {Executor} [tx]
+ * @returns {Promise<void>}
+ */
+const setSyncId = async (id, syncId, tx = database) => {
+  await tx.mutate('UPDATE users SET syncId = ? WHERE id = ?', [syncId, id]);
+};
+
+export { findByEmail, findById, create, updatePassword, setSyncId };
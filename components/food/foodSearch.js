@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { searchFoods } from './foods';
+import { formatNutrient } from '../nutrition/nutrition';
+
+const SEARCH_DELAY_MS = 200;
+
+const FoodSearch = ({ onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+
+  // Debounced search-as-you-type against the catalogue
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const foods = await searchFoods(query);
+        if (!cancelled) setResults(foods);
+      } catch (error) {
+        console.error('Food search error:', error);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const selectFood = (food) => {
+    onSelect(food);
+    setQuery('');
+    setResults([]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <TextInput
+        placeholder="Search foods to add..."
+        value={query}
+        onChangeText={setQuery}
+        style={styles.searchInput}
+        autoCorrect={false}
+      />
+
+      {results.map((food) => (
+        <TouchableOpacity key={food.id} style={styles.result} onPress={() => selectFood(food)}>
+          <Text style={styles.resultName}>{food.name}</Text>
+          <Text style={styles.resultMeta}>
+            {`${formatNutrient(food.servingSize)} ${food.servingUnit} · ${formatNutrient(food.calories)} kcal`}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { marginBottom: 10 },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    padding: 10,
+    fontSize: 16,
+  },
+  result: {
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  resultName: { fontSize: 15, color: '#333' },
+  resultMeta: { fontSize: 12, color: '#666' },
+});
+
+export default FoodSearch;
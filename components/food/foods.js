@@ -0,0 +1,177 @@
+import { database } from '../database/database';
+import { NUTRIENTS, parseNutrient } from '../nutrition/nutrition';
+import { toMatchQuery } from '../utils/fts';
+
+const searchFoods = async (text, limit = 8) => {
+  const match = toMatchQuery(text);
+  if (!match) return [];
+  return database.query(
+    `SELECT foods.* FROM foods_fts
+      JOIN foods ON foods.id = foods_fts.rowid
+      WHERE foods_fts MATCH ?
+      ORDER BY rank
+      LIMIT ?`,
+    [match, limit]
+  );
+};
+
+// Editor-side item built from a catalogue food; `base` holds per-serving nutrients
+const itemFromFood = (food) => {
+  const base = {};
+  NUTRIENTS.forEach(({ key }) => {
+    base[key] = food[key];
+  });
+  return { foodId: food.id, name: food.name, quantity: '1', unit: 'serving', base };
+};
+
+// Free-text item typed by the user; calories, when given, cover the whole quantity
+const customItem = ({ name, quantity, unit, calories }) => {
+  const amount = parseNutrient(quantity) || 1;
+  const total = parseNutrient(calories);
+  return {
+    foodId: null,
+    name: name.trim(),
+    quantity: String(amount),
+    unit: unit.trim() || null,
+    base: {
+      calories: total === null ? null : total / amount,
+      protein: null,
+      carbs: null,
+      fat: null,
+    },
+  };
+};
+
+// Editor-side item rebuilt from a stored row, whose nutrients are totals
+const itemFromRow = (row) => {
+  const quantity = row.quantity || 1;
+  const base = {};
+  NUTRIENTS.forEach(({ key }) => {
+    base[key] = row[key] === null ? null : row[key] / quantity;
+  });
+  return {
+    foodId: row.foodId,
+    name: row.name,
+    quantity: String(row.quantity),
+    unit: row.unit,
+    base,
+  };
+};
+
+const itemNutrition = (item) => {
+  const quantity = parseNutrient(item.quantity) ?? 0;
+  const totals = {};
+  NUTRIENTS.forEach(({ key }) => {
+    const value = item.base?.[key];
+    totals[key] = value === null || value === undefined ? null : value * quantity;
+  });
+  return totals;
+};
+
+// Sum of all items; a nutrient stays null when no item provides it
+const computeNutrition = (items) => {
+  const totals = { calories: null, protein: null, carbs: null, fat: null };
+  items.forEach((item) => {
+    const values = itemNutrition(item);
+    NUTRIENTS.forEach(({ key }) => {
+      if (values[key] !== null) totals[key] = (totals[key] || 0) + values[key];
+    });
+  });
+  return totals;
+};
+
+const getJournalItems = async (journalId) =>
+  database.query(
+    'SELECT * FROM journal_items WHERE journalId = ? ORDER BY position, id',
+    [journalId]
+  );
+
+// Items of the given journals, grouped by journal id for list rendering
+const getItemsByJournal = async (journalIds) => {
+  if (journalIds.length === 0) return {};
+  const placeholders = journalIds.map(() => '?').join(', ');
+  const rows = await database.query(
+    `SELECT * FROM journal_items WHERE journalId IN (${placeholders})
+      ORDER BY journalId, position, id`,
+    journalIds
+  );
+  const grouped = {};
+  rows.forEach((row) => {
+    (grouped[row.journalId] = grouped[row.journalId] || []).push(row);
+  });
+  return grouped;
+};
+
+const formatItem = (row) => {
+  const amount = row.unit ? `${row.quantity} ${row.unit}` : `${row.quantity}×`;
+  return `${amount} ${row.name}`;
+};
+
+// Replace the stored items of a journal with the editor's list. Pass the
+// transaction's executor as `tx` to make this part of a larger write.
+// Stored column values of an item list, in insert order
+const ITEM_COLUMNS = [
+  'foodId',
+  'name',
+  'quantity',
+  'unit',
+  'position',
+  ...NUTRIENTS.map(({ key }) => key),
+];
+
+const itemRows = (items) =>
+  items.map((item, position) => {
+    const values = itemNutrition(item);
+    return [
+      item.foodId ?? null,
+      item.name,
+      parseNutrient(item.quantity) ?? 1,
+      item.unit || null,
+      position,
+      ...NUTRIENTS.map(({ key }) => values[key]),
+    ];
+  });
+
+// Totals go through a per-unit division and back, so allow rounding noise
+const sameValue = (a, b) =>
+  a === b || (typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) < 1e-9);
+
+// Replace an entry's items. An unchanged list is left alone: every rewrite
+// moves the entry's `items` sync clock, which would make an edit of other
+// fields overwrite item changes made on another device.
+const saveJournalItems = async (journalId, items, tx = database) => {
+  const rows = itemRows(items);
+  const stored = await tx.query(
+    `SELECT ${ITEM_COLUMNS.join(', ')} FROM journal_items WHERE journalId = ?
+      ORDER BY position, id`,
+    [journalId]
+  );
+  const unchanged =
+    stored.length === rows.length &&
+    stored.every((row, index) =>
+      ITEM_COLUMNS.every((column, at) => sameValue(row[column], rows[index][at]))
+    );
+  if (unchanged) return;
+
+  await tx.mutate('DELETE FROM journal_items WHERE journalId = ?', [journalId]);
+  for (const row of rows) {
+    await tx.mutate(
+      `INSERT INTO journal_items (journalId, ${ITEM_COLUMNS.join(', ')})
+        VALUES (?, ${ITEM_COLUMNS.map(() => '?').join(', ')})`,
+      [journalId, ...row]
+    );
+  }
+};
+
+export {
+  searchFoods,
+  itemFromFood,
+  customItem,
+  itemFromRow,
+  itemNutrition,
+  computeNutrition,
+  getJournalItems,
+  getItemsByJournal,
+  formatItem,
+  saveJournalItems,
+};
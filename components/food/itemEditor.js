@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import FoodSearch from './foodSearch';
+import { itemFromFood, customItem, itemNutrition } from './foods';
+import { formatNutrient } from '../nutrition/nutrition';
+
+const emptyCustom = { name: '', quantity: '1', unit: '', calories: '' };
+
+// Food items of one journal entry: add from the catalogue or by hand,
+// change quantities, reorder and remove
+const ItemEditor = ({ items, onChangeItems }) => {
+  const [custom, setCustom] = useState(emptyCustom);
+
+  const addCustom = () => {
+    if (!custom.name.trim()) return;
+    onChangeItems([...items, customItem(custom)]);
+    setCustom(emptyCustom);
+  };
+
+  const updateItem = (index, changes) => {
+    onChangeItems(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const removeItem = (index) => {
+    onChangeItems(items.filter((_, i) => i !== index));
+  };
+
+  const moveItem = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChangeItems(next);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Items</Text>
+
+      <FoodSearch onSelect={(food) => onChangeItems([...items, itemFromFood(food)])} />
+
+      <View style={styles.customRow}>
+        <TextInput
+          placeholder="Other item"
+          value={custom.name}
+          onChangeText={(name) => setCustom({ ...custom, name })}
+          style={[styles.input, styles.customName]}
+        />
+        <TextInput
+          placeholder="Qty"
+          value={custom.quantity}
+          onChangeText={(quantity) => setCustom({ ...custom, quantity })}
+          keyboardType="decimal-pad"
+          style={[styles.input, styles.customSmall]}
+        />
+        <TextInput
+          placeholder="Unit"
+          value={custom.unit}
+          onChangeText={(unit) => setCustom({ ...custom, unit })}
+          autoCapitalize="none"
+          style={[styles.input, styles.customSmall]}
+        />
+        <TextInput
+          placeholder="kcal"
+          value={custom.calories}
+          onChangeText={(calories) => setCustom({ ...custom, calories })}
+          keyboardType="decimal-pad"
+          style={[styles.input, styles.customSmall]}
+        />
+        <TouchableOpacity style={styles.addButton} onPress={addCustom}>
+          <Text style={styles.addButtonText}>+</Text>
+        </TouchableOpacity>
+      </View>
+
+      {items.map((item, index) => {
+        const { calories } = itemNutrition(item);
+        const isLast = index === items.length - 1;
+        return (
+          <View key={`${item.name}-${index}`} style={styles.item}>
+            <View style={styles.moveButtons}>
+              <TouchableOpacity onPress={() => moveItem(index, -1)} disabled={index === 0}>
+                <Text style={[styles.moveText, index === 0 && styles.moveDisabled]}>▲</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => moveItem(index, 1)} disabled={isLast}>
+                <Text style={[styles.moveText, isLast && styles.moveDisabled]}>▼</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.itemName} numberOfLines={1}>{item.name}</Text>
+            <TextInput
+              value={item.quantity}
+              onChangeText={(quantity) => updateItem(index, { quantity })}
+              keyboardType="decimal-pad"
+              style={styles.quantityInput}
+            />
+            <Text style={styles.itemUnit} numberOfLines={1}>{item.unit || ''}</Text>
+            <Text style={styles.itemCalories}>
+              {calories === null ? '—' : `${formatNutrient(calories)} kcal`}
+            </Text>
+            <TouchableOpacity onPress={() => removeItem(index)}>
+              <Text style={styles.removeText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { marginBottom: 15 },
+  label: { fontSize: 16, marginBottom: 8 },
+  customRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingHorizontal: 6,
+    paddingVertical: 6,
+    marginRight: 5,
+  },
+  customName: { flex: 1 },
+  customSmall: { width: 48, textAlign: 'center' },
+  addButton: {
+    backgroundColor: '#4285f4',
+    borderRadius: 5,
+    width: 32,
+    height: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addButtonText: { color: 'white', fontWeight: 'bold', fontSize: 18 },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  moveButtons: { marginRight: 8 },
+  moveText: { color: '#4285f4', fontSize: 12 },
+  moveDisabled: { color: '#ccc' },
+  itemName: { flex: 1, fontSize: 15 },
+  quantityInput: {
+    width: 50,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingVertical: 4,
+    marginHorizontal: 6,
+    textAlign: 'center',
+  },
+  itemUnit: { width: 50, color: '#666' },
+  itemCalories: { width: 70, color: '#34a853', textAlign: 'right' },
+  removeText: { color: '#ea4335', fontSize: 16, marginLeft: 10 },
+});
+
+export default ItemEditor;
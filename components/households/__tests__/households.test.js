@@ -0,0 +1,68 @@
+import { initDatabase } from '../../database/database';
+import * as UsersRepo from '../../database/usersRepo';
+import {
+  HouseholdError,
+  getMembers,
+  createHousehold,
+  addMember,
+  setMemberRole,
+  removeMember,
+} from '../households';
+import { uniqueEmail } from '../../../test/fixtures';
+
+let founder;
+let partner;
+let householdId;
+
+beforeAll(async () => {
+  await initDatabase();
+});
+
+beforeEach(async () => {
+  founder = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+  const partnerEmail = uniqueEmail();
+  partner = await UsersRepo.create({ email: partnerEmail, passwordHash: 'hash' });
+  householdId = await createHousehold(founder, 'Flat');
+  await addMember(founder, householdId, partnerEmail, 'admin');
+});
+
+const admins = async () =>
+  (await getMembers(householdId)).filter((member) => member.role === 'admin');
+
+describe('households', () => {
+  it('keeps one admin when both admins leave at the same time', async () => {
+    const results = await Promise.allSettled([
+      removeMember(founder, householdId, founder),
+      removeMember(partner, householdId, partner),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason).toBeInstanceOf(
+      HouseholdError
+    );
+    expect(await admins()).toHaveLength(1);
+  });
+
+  it('keeps one admin when both admins are demoted at the same time', async () => {
+    await Promise.allSettled([
+      setMemberRole(founder, householdId, partner, 'member'),
+      setMemberRole(partner, householdId, founder, 'member'),
+    ]);
+
+    expect(await admins()).toHaveLength(1);
+  });
+
+  it('adds a member only once when added twice at the same time', async () => {
+    const email = uniqueEmail();
+    await UsersRepo.create({ email, passwordHash: 'hash' });
+
+    const results = await Promise.allSettled([
+      addMember(founder, householdId, email),
+      addMember(partner, householdId, email),
+    ]);
+
+    expect(results.filter((result) => result.status === 'rejected')).toHaveLength(1);
+    const members = await getMembers(householdId);
+    expect(members.filter((member) => member.email === email)).toHaveLength(1);
+  });
+});
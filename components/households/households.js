@@ -0,0 +1,165 @@
+import { database, transaction } from '../database/database';
+import * as UsersRepo from '../database/usersRepo';
+
+const ROLES = ['admin', 'member'];
+
+class HouseholdError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HouseholdError';
+  }
+}
+
+// WHERE fragment for the entries of one journal: the user's personal
+// entries, or the entries every member posted into a household
+const scopeCondition = ({ userId, householdId = null }, params) => {
+  if (householdId) {
+    params.push(householdId);
+    return 'journals.householdId = ?';
+  }
+  params.push(userId);
+  return 'journals.userId = ? AND journals.householdId IS NULL';
+};
+
+// Households the user belongs to, with their role in each
+const getHouseholds = async (userId) =>
+  database.query(
+    `SELECT households.id, households.name, household_members.role FROM households
+      JOIN household_members ON household_members.householdId = households.id
+      WHERE household_members.userId = ?
+      ORDER BY households.name COLLATE NOCASE`,
+    [userId]
+  );
+
+const getMembers = async (householdId) =>
+  database.query(
+    `SELECT users.id AS userId, users.email, household_members.role FROM household_members
+      JOIN users ON users.id = household_members.userId
+      WHERE household_members.householdId = ?
+      ORDER BY household_members.role, users.email`,
+    [householdId]
+  );
+
+const getRole = async (householdId, userId, tx = database) => {
+  const rows = await tx.query(
+    'SELECT role FROM household_members WHERE householdId = ? AND userId = ?',
+    [householdId, userId]
+  );
+  return rows[0]?.role ?? null;
+};
+
+// The creator becomes the household's first admin; returns the new id
+const createHousehold = async (userId, name) => {
+  if (!name.trim()) throw new HouseholdError('Please enter a household name');
+  return transaction(async (tx) => {
+    const { insertId } = await tx.mutate(
+      'INSERT INTO households (name, createdAt) VALUES (?, ?)',
+      [name.trim(), new Date().toISOString()]
+    );
+    await tx.mutate(
+      "INSERT INTO household_members (householdId, userId, role) VALUES (?, ?, 'admin')",
+      [insertId, userId]
+    );
+    return insertId;
+  });
+};
+
+const assertAdmin = async (householdId, userId, tx = database) => {
+  if ((await getRole(householdId, userId, tx)) !== 'admin') {
+    throw new HouseholdError('Only a household admin can do this');
+  }
+};
+
+// Members are other accounts on this device, found by their email
+// Checks and writes share one transaction so a concurrent change cannot slip in between
+const addMember = async (actingUserId, householdId, email, role = 'member') =>
+  transaction(async (tx) => {
+    await assertAdmin(householdId, actingUserId, tx);
+    const user = await UsersRepo.findByEmail(email.trim(), tx);
+    if (!user) throw new HouseholdError(`No account on this device uses ${email.trim()}`);
+    if (await getRole(householdId, user.id, tx)) {
+      throw new HouseholdError(`${user.email} is already a member`);
+    }
+    await tx.mutate(
+      'INSERT INTO household_members (householdId, userId, role) VALUES (?, ?, ?)',
+      [householdId, user.id, ROLES.includes(role) ? role : 'member']
+    );
+  });
+
+// A household always keeps at least one admin
+const assertKeepsAdmin = async (householdId, userId, tx = database) => {
+  if ((await getRole(householdId, userId, tx)) !== 'admin') return;
+  const rows = await tx.query(
+    "SELECT COUNT(*) AS count FROM household_members WHERE householdId = ? AND role = 'admin'",
+    [householdId]
+  );
+  if (rows[0].count <= 1) {
+    throw new HouseholdError('Make another member an admin first');
+  }
+};
+
+const setMemberRole = async (actingUserId, householdId, userId, role) => {
+  if (!ROLES.includes(role)) throw new HouseholdError(`Unknown role ${role}`);
+  await transaction(async (tx) => {
+    await assertAdmin(householdId, actingUserId, tx);
+    if (role !== 'admin') await assertKeepsAdmin(householdId, userId, tx);
+    await tx.mutate(
+      'UPDATE household_members SET role = ? WHERE householdId = ? AND userId = ?',
+      [role, householdId, userId]
+    );
+  });
+};
+
+// Admins may remove anyone; every member may remove themselves (leave).
+// Entries the member posted stay in the household.
+const removeMember = async (actingUserId, householdId, userId) => {
+  await transaction(async (tx) => {
+    if (actingUserId !== userId) await assertAdmin(householdId, actingUserId, tx);
+    await assertKeepsAdmin(householdId, userId, tx);
+    await tx.mutate('DELETE FROM household_members WHERE householdId = ? AND userId = ?', [
+      householdId,
+      userId,
+    ]);
+  });
+};
+
+// Household entries fall back to their authors' personal journals
+const deleteHousehold = async (actingUserId, householdId) => {
+  await transaction(async (tx) => {
+    await assertAdmin(householdId, actingUserId, tx);
+    await tx.mutate('DELETE FROM households WHERE id = ?', [householdId]);
+  });
+};
+
+// Authors may change their own entries; household admins may change any
+// entry in their household. `role` is the user's role in the entry's household.
+const canEditEntry = (entry, userId, role = null) =>
+  entry.userId === userId || (!!entry.householdId && role === 'admin');
+
+const assertCanEdit = async (journalId, userId) => {
+  const rows = await database.query('SELECT userId, householdId FROM journals WHERE id = ?', [
+    journalId,
+  ]);
+  const entry = rows[0];
+  if (!entry) throw new HouseholdError('This entry no longer exists');
+  const role = entry.householdId ? await getRole(entry.householdId, userId) : null;
+  if (!canEditEntry(entry, userId, role)) {
+    throw new HouseholdError('Only the author or a household admin can change this entry');
+  }
+};
+
+export {
+  ROLES,
+  HouseholdError,
+  scopeCondition,
+  getHouseholds,
+  getMembers,
+  getRole,
+  createHousehold,
+  addMember,
+  setMemberRole,
+  removeMember,
+  deleteHousehold,
+  canEditEntry,
+  assertCanEdit,
+};
@@ -0,0 +1,51 @@
+import { database } from '../database/database';
+import { getSetting, setSetting } from '../database/settings';
+import { getDayRange, toDayKey } from '../utils/dates';
+
+const DEFAULT_TARGET_ML = 2000;
+
+const QUICK_ADD = [
+  { label: 'Glass', amountMl: 250 },
+  { label: 'Bottle', amountMl: 500 },
+];
+
+const getWaterForDay = async (userId, date = new Date()) => {
+  const { start, end } = getDayRange(date);
+  return database.query(
+    'SELECT * FROM water_log WHERE userId = ? AND date >= ? AND date < ? ORDER BY date',
+    [userId, start, end]
+  );
+};
+
+// Logging for a past day (from the day view) lands at noon of that day
+const addWater = async (userId, amountMl, { beverage = null, day = new Date() } = {}) => {
+  const now = new Date();
+  let date = now;
+  if (toDayKey(day) !== toDayKey(now)) {
+    date = new Date(day);
+    date.setHours(12, 0, 0, 0);
+  }
+  await database.mutate(
+    'INSERT INTO water_log (userId, amountMl, beverage, date) VALUES (?, ?, ?, ?)',
+    [userId, amountMl, beverage, date.toISOString()]
+  );
+};
+
+const deleteWater = async (id) => {
+  await database.mutate('DELETE FROM water_log WHERE id = ?', [id]);
+};
+
+const getWaterTarget = async (userId) => getSetting(userId, 'waterTargetMl', DEFAULT_TARGET_ML);
+
+const setWaterTarget = async (userId, targetMl) => {
+  await setSetting(userId, 'waterTargetMl', targetMl);
+};
+
+export {
+  QUICK_ADD,
+  getWaterForDay,
+  addWater,
+  deleteWater,
+  getWaterTarget,
+  setWaterTarget,
+};
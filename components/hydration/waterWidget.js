@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Alert, StyleSheet } from 'react-native';
+import {
+  QUICK_ADD,
+  getWaterForDay,
+  addWater,
+  deleteWater,
+  getWaterTarget,
+  setWaterTarget,
+} from './hydration';
+import { parseNutrient } from '../nutrition/nutrition';
+import { toDayKey } from '../utils/dates';
+
+const WaterWidget = ({ userId, date }) => {
+  const [entries, setEntries] = useState([]);
+  const [target, setTarget] = useState(null);
+  const [customMl, setCustomMl] = useState('');
+  const [isEditingTarget, setIsEditingTarget] = useState(false);
+  const [targetText, setTargetText] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+
+  // Keyed on the calendar day so a fresh Date for "today" does not reload
+  const dayKey = toDayKey(date);
+  useEffect(() => {
+    load();
+  }, [userId, dayKey]);
+
+  const load = async () => {
+    try {
+      const [rows, targetMl] = await Promise.all([
+        getWaterForDay(userId, date),
+        getWaterTarget(userId),
+      ]);
+      setEntries(rows);
+      setTarget(targetMl);
+    } catch (error) {
+      console.error('Error loading water log:', error);
+    }
+  };
+
+  const add = async (amountMl, beverage = null) => {
+    if (!amountMl) return;
+    try {
+      await addWater(userId, amountMl, { beverage, day: date });
+      await load();
+    } catch (error) {
+      console.error('Add water error:', error);
+      Alert.alert('Error', 'Could not log drink');
+    }
+  };
+
+  const addCustom = async () => {
+    const amount = parseNutrient(customMl);
+    if (!amount) return;
+    await add(amount);
+    setCustomMl('');
+  };
+
+  const remove = async (id) => {
+    try {
+      await deleteWater(id);
+      await load();
+    } catch (error) {
+      console.error('Delete water error:', error);
+    }
+  };
+
+  const saveTarget = async () => {
+    const value = parseNutrient(targetText);
+    if (value) {
+      try {
+        await setWaterTarget(userId, value);
+        setTarget(value);
+      } catch (error) {
+        console.error('Save water target error:', error);
+      }
+    }
+    setIsEditingTarget(false);
+  };
+
+  const total = entries.reduce((sum, entry) => sum + entry.amountMl, 0);
+  const progress = target ? Math.min(total / target, 1) : 0;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Water</Text>
+        {isEditingTarget ? (
+          <View style={styles.targetEdit}>
+            <TextInput
+              value={targetText}
+              onChangeText={setTargetText}
+              keyboardType="number-pad"
+              style={styles.targetInput}
+              autoFocus
+              onSubmitEditing={saveTarget}
+            />
+            <TouchableOpacity onPress={saveTarget}>
+              <Text style={styles.linkText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <TouchableOpacity
+            onPress={() => {
+              setTargetText(String(target || ''));
+              setIsEditingTarget(true);
+            }}
+          >
+            <Text style={styles.amountText}>
+              {`${Math.round(total)} / ${Math.round(target || 0)} ml`}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${progress * 100}%` }]} />
+      </View>
+
+      <View style={styles.buttons}>
+        {QUICK_ADD.map((option) => (
+          <TouchableOpacity
+            key={option.label}
+            style={styles.quickButton}
+            onPress={() => add(option.amountMl, option.label.toLowerCase())}
+          >
+            <Text style={styles.quickButtonText}>{`+ ${option.label}`}</Text>
+            <Text style={styles.quickButtonSub}>{`${option.amountMl} ml`}</Text>
+          </TouchableOpacity>
+        ))}
+        <TextInput
+          placeholder="ml"
+          value={customMl}
+          onChangeText={setCustomMl}
+          keyboardType="number-pad"
+          style={styles.customInput}
+          onSubmitEditing={addCustom}
+        />
+        <TouchableOpacity style={styles.addButton} onPress={addCustom}>
+          <Text style={styles.quickButtonText}>+</Text>
+        </TouchableOpacity>
+      </View>
+
+      {entries.length > 0 && (
+        <TouchableOpacity onPress={() => setShowHistory(!showHistory)}>
+          <Text style={styles.linkText}>
+            {showHistory ? 'Hide drinks' : `Show drinks (${entries.length})`}
+          </Text>
+        </TouchableOpacity>
+      )}
+      {showHistory &&
+        entries.map((entry) => (
+          <View key={entry.id} style={styles.historyRow}>
+            <Text style={styles.historyText}>
+              {new Date(entry.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </Text>
+            <Text style={[styles.historyText, styles.historyAmount]}>
+              {`${Math.round(entry.amountMl)} ml${entry.beverage ? ` · ${entry.beverage}` : ''}`}
+            </Text>
+            <TouchableOpacity onPress={() => remove(entry.id)}>
+              <Text style={styles.removeText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    padding: 15,
+    marginHorizontal: 15,
+    marginTop: 15,
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 5,
+    elevation: 3,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: { fontSize: 18, fontWeight: 'bold', color: '#333' },
+  amountText: { fontSize: 16, color: '#1a73e8' },
+  targetEdit: { flexDirection: 'row', alignItems: 'center' },
+  targetInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    width: 80,
+    marginRight: 10,
+  },
+  progressTrack: {
+    height: 8,
+    backgroundColor: '#f0f0f0',
+    borderRadius: 4,
+    overflow: 'hidden',
+    marginBottom: 10,
+  },
+  progressFill: { height: '100%', backgroundColor: '#1a73e8' },
+  buttons: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  quickButton: {
+    backgroundColor: '#1a73e8',
+    borderRadius: 5,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginRight: 8,
+    alignItems: 'center',
+  },
+  quickButtonText: { color: 'white', fontWeight: 'bold' },
+  quickButtonSub: { color: 'white', fontSize: 11 },
+  customInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  addButton: {
+    backgroundColor: '#1a73e8',
+    borderRadius: 5,
+    width: 34,
+    height: 34,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  linkText: { color: '#4285f4', fontWeight: 'bold' },
+  historyRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 4 },
+  historyText: { color: '#555' },
+  historyAmount: { flex: 1, marginLeft: 10 },
+  removeText: { color: '#ea4335', fontSize: 14 },
+});
+
+export default WaterWidget;
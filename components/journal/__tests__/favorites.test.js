@@ -0,0 +1,94 @@
+import { initDatabase, database } from '../../database/database';
+import * as JournalsRepo from '../../database/journalsRepo';
+import * as UsersRepo from '../../database/usersRepo';
+import { getJournalItems } from '../../food/foods';
+import { createHousehold } from '../../households/households';
+import { getFavorites, setFavorite, logAgain } from '../favorites';
+import { uniqueEmail, entryFields, item } from '../../../test/fixtures';
+
+// Items named 'Poison' fail to save
+jest.mock('../../food/foods', () => require('../../../test/failingItems').mockFoods());
+
+let userId;
+
+beforeAll(async () => {
+  await initDatabase();
+});
+
+beforeEach(async () => {
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+});
+
+const countJournals = async () =>
+  (await database.queryOne('SELECT COUNT(*) AS count FROM journals')).count;
+
+describe('favorites', () => {
+  it('lists favorite entries by description', async () => {
+    const soup = await JournalsRepo.create(userId, entryFields({ description: 'soup' }));
+    const bagel = await JournalsRepo.create(userId, entryFields({ description: 'Bagel' }));
+    await JournalsRepo.create(userId, entryFields({ description: 'Apple' }));
+    await setFavorite(soup, true);
+    await setFavorite(bagel, true);
+
+    expect((await getFavorites(userId)).map((journal) => journal.id)).toEqual([bagel, soup]);
+  });
+
+  it('logs a copy with its items, dated now and not marked favorite', async () => {
+    const source = await JournalsRepo.create(
+      userId,
+      entryFields({ description: 'Oat bowl', calories: 450, image: 'file:///photos/oats.jpg' }),
+      [item('Oats', 300), item('Blueberries', 50, '3')]
+    );
+    await setFavorite(source, true);
+    const date = new Date('2024-04-01T07:00:00.000Z');
+
+    const copy = await logAgain(source, userId, date);
+
+    expect(copy).not.toBe(source);
+    expect(await JournalsRepo.findById(copy)).toMatchObject({
+      userId,
+      householdId: null,
+      description: 'Oat bowl',
+      calories: 450,
+      image: 'file:///photos/oats.jpg',
+      imageMissing: 0,
+      date: date.toISOString(),
+      isFavorite: 0,
+    });
+    const items = await getJournalItems(copy);
+    expect(items.map(({ name, quantity, calories }) => ({ name, quantity, calories }))).toEqual([
+      { name: 'Oats', quantity: 1, calories: 300 },
+      { name: 'Blueberries', quantity: 3, calories: 150 },
+    ]);
+  });
+
+  it('keeps the copy in the household journal and its missing-photo flag', async () => {
+    const householdId = await createHousehold(userId, 'Flat');
+    const source = await JournalsRepo.create(userId, entryFields(), [], { householdId });
+    await JournalsRepo.setImage(source, { imageMissing: true });
+
+    const copy = await logAgain(source, userId);
+
+    expect(await JournalsRepo.findById(copy)).toMatchObject({ householdId, imageMissing: 1 });
+  });
+
+  it('adds nothing when the copy cannot be written completely', async () => {
+    // Stored directly; saving it through the repository would fail the same way
+    const { insertId: source } = await database.mutate(
+      'INSERT INTO journals (userId, description, date) VALUES (?, ?, ?)',
+      [userId, 'Stew', '2024-03-05T18:00:00.000Z']
+    );
+    await database.mutate(
+      "INSERT INTO journal_items (journalId, name, quantity, position) VALUES (?, 'Poison', 1, 0)",
+      [source]
+    );
+    const before = await countJournals();
+
+    await expect(logAgain(source, userId)).rejects.toThrow('disk I/O error');
+    expect(await countJournals()).toBe(before);
+  });
+
+  it('rejects an entry that does not exist', async () => {
+    await expect(logAgain(999999, userId)).rejects.toThrow('not found');
+  });
+});
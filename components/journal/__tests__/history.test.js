@@ -0,0 +1,145 @@
+import { initDatabase, database } from '../../database/database';
+import * as JournalsRepo from '../../database/journalsRepo';
+import * as UsersRepo from '../../database/usersRepo';
+import { getJournalItems } from '../../food/foods';
+import { createCategory, deleteCategory } from '../../categories/categories';
+import {
+  HISTORY_LIMIT,
+  snapshotJournal,
+  updateWithHistory,
+  getJournalHistory,
+  restoreVersion,
+} from '../history';
+import { uniqueEmail, entryFields, item } from '../../../test/fixtures';
+
+// Items named 'Poison' fail to save
+jest.mock('../../food/foods', () => require('../../../test/failingItems').mockFoods());
+
+let userId;
+
+beforeAll(async () => {
+  await initDatabase();
+});
+
+beforeEach(async () => {
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+});
+
+const itemNames = async (id) => (await getJournalItems(id)).map((row) => row.name);
+
+describe('updateWithHistory', () => {
+  it('saves the replaced version together with the edit', async () => {
+    const id = await JournalsRepo.create(userId, entryFields({ description: 'Toast' }), [
+      item('Bread', 80),
+    ]);
+
+    const versionId = await updateWithHistory(id, entryFields({ description: 'Toast and jam' }), [
+      item('Bread', 80),
+      item('Jam', 40),
+    ]);
+
+    expect((await JournalsRepo.findById(id)).description).toBe('Toast and jam');
+    const [version] = await getJournalHistory(id);
+    expect(version).toMatchObject({ id: versionId, journalId: id, description: 'Toast' });
+    expect(version.items.map((row) => row.name)).toEqual(['Bread']);
+  });
+
+  it('keeps neither the edit nor its version when the edit fails', async () => {
+    const id = await JournalsRepo.create(userId, entryFields({ description: 'Toast' }), [
+      item('Bread'),
+    ]);
+
+    await expect(
+      updateWithHistory(id, entryFields({ description: 'Broken' }), [item('Poison')])
+    ).rejects.toThrow('disk I/O error');
+
+    expect((await JournalsRepo.findById(id)).description).toBe('Toast');
+    expect(await itemNames(id)).toEqual(['Bread']);
+    expect(await getJournalHistory(id)).toEqual([]);
+  });
+
+  it(`keeps the newest ${HISTORY_LIMIT} versions`, async () => {
+    const id = await JournalsRepo.create(userId, entryFields({ description: 'Version 0' }));
+    for (let n = 1; n <= HISTORY_LIMIT + 2; n++) {
+      await updateWithHistory(id, entryFields({ description: `Version ${n}` }));
+    }
+
+    const history = await getJournalHistory(id);
+    expect(history).toHaveLength(HISTORY_LIMIT);
+    expect(history[0].description).toBe(`Version ${HISTORY_LIMIT + 1}`);
+    expect(history[HISTORY_LIMIT - 1].description).toBe('Version 2');
+  });
+});
+
+describe('restoreVersion', () => {
+  it('puts a version back and saves the state it replaced', async () => {
+    const lunch = await createCategory(userId, 'Lunch');
+    const id = await JournalsRepo.create(
+      userId,
+      entryFields({ description: 'Soup', categoryId: lunch, calories: 300, image: 'file:///a.jpg' }),
+      [item('Lentils', 300)]
+    );
+    const versionId = await updateWithHistory(
+      id,
+      entryFields({ description: 'Salad', calories: 150, image: 'file:///b.jpg' }),
+      [item('Leaves', 150)]
+    );
+
+    const replacedId = await restoreVersion(versionId);
+
+    expect(await JournalsRepo.findById(id)).toMatchObject({
+      description: 'Soup',
+      categoryId: lunch,
+      calories: 300,
+      image: 'file:///a.jpg',
+      imageMissing: 0,
+    });
+    expect(await itemNames(id)).toEqual(['Lentils']);
+    const [replaced] = await getJournalHistory(id);
+    expect(replaced).toMatchObject({ id: replacedId, description: 'Salad', image: 'file:///b.jpg' });
+
+    // Restoring the replaced version undoes the restore
+    await restoreVersion(replacedId);
+    expect((await JournalsRepo.findById(id)).description).toBe('Salad');
+    expect(await itemNames(id)).toEqual(['Leaves']);
+  });
+
+  it('leaves the entry uncategorized when the version category was deleted', async () => {
+    const brunch = await createCategory(userId, 'Brunch');
+    const id = await JournalsRepo.create(userId, entryFields({ categoryId: brunch }));
+    const versionId = await updateWithHistory(id, entryFields());
+    await deleteCategory(brunch);
+
+    await restoreVersion(versionId);
+
+    expect((await JournalsRepo.findById(id)).categoryId).toBeNull();
+  });
+
+  it('changes nothing when the restore fails', async () => {
+    const id = await JournalsRepo.create(userId, entryFields({ description: 'Stew' }));
+    // A version whose items cannot be written back
+    const { insertId: versionId } = await database.mutate(
+      `INSERT INTO journal_history (journalId, snapshot, createdAt) VALUES (?, ?, ?)`,
+      [
+        id,
+        JSON.stringify({ description: 'Broken', date: entryFields().date, items: [{ name: 'Poison' }] }),
+        new Date().toISOString(),
+      ]
+    );
+
+    await expect(restoreVersion(versionId)).rejects.toThrow('disk I/O error');
+
+    expect((await JournalsRepo.findById(id)).description).toBe('Stew');
+    expect((await getJournalHistory(id)).map((version) => version.id)).toEqual([versionId]);
+  });
+
+  it('rejects a version that does not exist', async () => {
+    await expect(restoreVersion(999999)).rejects.toThrow('does not exist');
+  });
+});
+
+describe('snapshotJournal', () => {
+  it('returns null for a missing entry', async () => {
+    expect(await snapshotJournal(999999)).toBeNull();
+  });
+});
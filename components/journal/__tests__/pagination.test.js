@@ -0,0 +1,118 @@
+import { initDatabase, database, transaction } from '../../database/database';
+import * as UsersRepo from '../../database/usersRepo';
+import { createHousehold } from '../../households/households';
+import { fetchJournalPage, PAGE_SIZE } from '../pagination';
+import { uniqueEmail } from '../../../test/fixtures';
+import { statements, planOf } from '../../../test/statements';
+
+// Record the statements sent so their plans can be inspected
+jest.mock('../../database/database', () => require('../../../test/statements').mockDatabase());
+
+const ENTRIES_PER_USER = 12000;
+const HOUSEHOLD_ENTRIES = 6000;
+
+let userId;
+let householdId;
+let categoryId;
+
+// One entry every 20 minutes going back from the start of 2024
+const seedEntries = (tx, ownerId, count, { household = null, description }) =>
+  tx.mutate(
+    `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+      INSERT INTO journals (userId, householdId, description, date, categoryId, calories)
+      SELECT ?, ?, ? || ' ' || i,
+        strftime('%Y-%m-%dT%H:%M:%fZ', '2024-01-01', '-' || (i * 20) || ' minutes'),
+        CASE WHEN i % 4 = 0 THEN ? END, i % 700
+      FROM n`,
+    [count, ownerId, household, description, categoryId]
+  );
+
+beforeAll(async () => {
+  await initDatabase();
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+  const otherId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+  householdId = await createHousehold(userId, 'Flat');
+  categoryId = (
+    await database.mutate('INSERT INTO categories (userId, name) VALUES (?, ?)', [userId, 'Lunch'])
+  ).insertId;
+
+  await transaction(async (tx) => {
+    await seedEntries(tx, userId, ENTRIES_PER_USER, { description: 'Lentil soup' });
+    await seedEntries(tx, otherId, ENTRIES_PER_USER, { description: 'Rice bowl' });
+    await seedEntries(tx, userId, HOUSEHOLD_ENTRIES, {
+      household: householdId,
+      description: 'Shared curry',
+    });
+  });
+}, 120000);
+
+beforeEach(() => {
+  statements.length = 0;
+});
+
+describe('fetchJournalPage on a large journal', () => {
+  it('reads the first page through the user/date index without sorting', async () => {
+    await fetchJournalPage(userId);
+    const plan = await planOf(statements[0]);
+
+    expect(plan).toContainEqual(
+      expect.stringMatching(/^SEARCH journals USING INDEX idx_journals_user_date \(userId=\?/)
+    );
+    expect(plan.join('\n')).not.toMatch(/TEMP B-TREE/);
+  });
+
+  it('keeps later pages on the index', async () => {
+    const first = await fetchJournalPage(userId);
+    statements.length = 0;
+    await fetchJournalPage(userId, { cursor: first.nextCursor });
+    const plan = await planOf(statements[0]);
+
+    expect(plan).toContainEqual(expect.stringMatching(/USING INDEX idx_journals_user_date/));
+    expect(plan.join('\n')).not.toMatch(/TEMP B-TREE/);
+  });
+
+  it('reads a category page through the user/date index', async () => {
+    await fetchJournalPage(userId, { categoryId });
+    const plan = await planOf(statements[0]);
+
+    expect(plan).toContainEqual(expect.stringMatching(/USING INDEX idx_journals_user_date/));
+    expect(plan.join('\n')).not.toMatch(/TEMP B-TREE/);
+  });
+
+  it('reads a household page through the household/date index', async () => {
+    await fetchJournalPage(userId, { householdId });
+    const plan = await planOf(statements[0]);
+
+    expect(plan).toContainEqual(
+      expect.stringMatching(/^SEARCH journals USING INDEX idx_journals_household_date \(householdId=\?/)
+    );
+    expect(plan.join('\n')).not.toMatch(/TEMP B-TREE/);
+  });
+
+  it('returns the newest page of the right journal', async () => {
+    const personal = await fetchJournalPage(userId);
+    expect(personal.rows).toHaveLength(PAGE_SIZE);
+    expect(personal.rows[0]).toMatchObject({ description: 'Lentil soup 1', householdId: null });
+    expect(personal.hasMore).toBe(true);
+
+    const shared = await fetchJournalPage(userId, { householdId });
+    expect(shared.rows[0]).toMatchObject({ description: 'Shared curry 1', householdId });
+  });
+
+  it('pages through the whole journal in order without gaps', async () => {
+    let cursor = null;
+    let seen = 0;
+    let previous = null;
+    for (;;) {
+      const page = await fetchJournalPage(userId, { cursor, limit: 1000 });
+      page.rows.forEach((row) => {
+        if (previous) expect(row.date < previous.date).toBe(true);
+        previous = row;
+      });
+      seen += page.rows.length;
+      if (!page.hasMore) break;
+      cursor = page.nextCursor;
+    }
+    expect(seen).toBe(ENTRIES_PER_USER);
+  });
+});
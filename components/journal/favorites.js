@@ -0,0 +1,37 @@
+import { database, transaction } from '../database/database';
+import * as JournalsRepo from '../database/journalsRepo';
+import { itemFromRow } from '../food/foods';
+
+const getFavorites = async (userId) =>
+  database.query(
+    `SELECT journals.*, categories.name AS category FROM journals
+      LEFT JOIN categories ON categories.id = journals.categoryId
+      WHERE journals.userId = ? AND journals.isFavorite = 1 AND journals.deletedAt IS NULL
+      ORDER BY journals.description COLLATE NOCASE`,
+    [userId]
+  );
+
+const setFavorite = async (id, isFavorite) => JournalsRepo.setFavorite(id, isFavorite);
+
+// Copy an entry and its items into a new entry by `userId`, dated now, in
+// the same journal. The copy shares the stored photo; image cleanup only
+// removes files no row references.
+const logAgain = async (journalId, userId, date = new Date()) =>
+  transaction(async (tx) => {
+    const source = await JournalsRepo.findById(journalId, tx);
+    if (!source) throw new Error(`Journal ${journalId} not found`);
+    const rows = await tx.query(
+      'SELECT * FROM journal_items WHERE journalId = ? ORDER BY position, id',
+      [journalId]
+    );
+    const id = await JournalsRepo.create(
+      userId,
+      { ...source, date: date.toISOString() },
+      rows.map(itemFromRow),
+      { householdId: source.householdId, tx }
+    );
+    if (source.imageMissing) await JournalsRepo.setImage(id, { imageMissing: true }, tx);
+    return id;
+  });
+
+export { getFavorites, setFavorite, logAgain };
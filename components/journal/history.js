@@ -0,0 +1,101 @@
+import { database, transaction } from '../database/database';
+import { NUTRIENTS } from '../nutrition/nutrition';
+import { itemFromRow } from '../food/foods';
+import * as JournalsRepo from '../database/journalsRepo';
+
+// Older versions beyond this are dropped when a new one is saved
+const HISTORY_LIMIT = 20;
+
+// Save the current state of an entry before it is changed. Returns the
+// version id, or null when the entry does not exist. Pass the transaction's
+// executor as `tx` to save the version together with the change.
+const snapshotJournal = async (journalId, tx = database) => {
+  const journal = await JournalsRepo.findById(journalId, tx);
+  if (!journal) return null;
+  const items = await tx.query(
+    'SELECT * FROM journal_items WHERE journalId = ? ORDER BY position, id',
+    [journalId]
+  );
+  const snapshot = {
+    description: journal.description,
+    categoryId: journal.categoryId,
+    date: journal.date,
+    imageMissing: journal.imageMissing,
+    ...Object.fromEntries(NUTRIENTS.map(({ key }) => [key, journal[key]])),
+    items: items.map(({ foodId, name, quantity, unit, calories, protein, carbs, fat }) => ({
+      foodId,
+      name,
+      quantity,
+      unit,
+      calories,
+      protein,
+      carbs,
+      fat,
+    })),
+  };
+
+  const { insertId } = await tx.mutate(
+    `INSERT INTO journal_history (journalId, image, thumbnail, snapshot, createdAt)
+      VALUES (?, ?, ?, ?, ?)`,
+    [journalId, journal.image, journal.thumbnail, JSON.stringify(snapshot), new Date().toISOString()]
+  );
+  await tx.mutate(
+    `DELETE FROM journal_history WHERE journalId = ? AND id NOT IN (
+      SELECT id FROM journal_history WHERE journalId = ? ORDER BY createdAt DESC, id DESC LIMIT ?
+    )`,
+    [journalId, journalId, HISTORY_LIMIT]
+  );
+  return insertId;
+};
+
+// Save an edit and the version it replaces in one transaction; returns that
+// version's id for undo
+const updateWithHistory = async (journalId, fields, items, options = {}) =>
+  transaction(async (tx) => {
+    const versionId = await snapshotJournal(journalId, tx);
+    await JournalsRepo.update(journalId, fields, items, { ...options, tx });
+    return versionId;
+  });
+
+// Saved versions of an entry, newest first, with the snapshot parsed
+const getJournalHistory = async (journalId) => {
+  const rows = await database.query(
+    `SELECT journal_history.*, categories.name AS category FROM journal_history
+      LEFT JOIN categories ON categories.id = json_extract(journal_history.snapshot, '$.categoryId')
+      WHERE journal_history.journalId = ?
+      ORDER BY journal_history.createdAt DESC, journal_history.id DESC`,
+    [journalId]
+  );
+  return rows.map(({ snapshot, ...row }) => ({ ...row, ...JSON.parse(snapshot) }));
+};
+
+// Put a saved version back. The state it replaces is saved first, in the
+// same transaction, so a restore can itself be undone; returns that version's id.
+const restoreVersion = async (historyId) =>
+  transaction(async (tx) => {
+    const row = await tx.queryOne('SELECT * FROM journal_history WHERE id = ?', [historyId]);
+    if (!row) throw new Error(`Version ${historyId} does not exist`);
+    const snapshot = JSON.parse(row.snapshot);
+
+    // The category may have been deleted since; the entry then becomes uncategorized
+    const category = snapshot.categoryId
+      ? await tx.queryOne('SELECT id FROM categories WHERE id = ?', [snapshot.categoryId])
+      : null;
+    const fields = {
+      image: row.image,
+      thumbnail: row.thumbnail,
+      description: snapshot.description,
+      categoryId: category ? category.id : null,
+      date: snapshot.date,
+      ...Object.fromEntries(NUTRIENTS.map(({ key }) => [key, snapshot[key] ?? null])),
+    };
+
+    const replacedId = await snapshotJournal(row.journalId, tx);
+    await JournalsRepo.update(row.journalId, fields, snapshot.items.map(itemFromRow), {
+      imageMissing: !!snapshot.imageMissing,
+      tx,
+    });
+    return replacedId;
+  });
+
+export { HISTORY_LIMIT, snapshotJournal, updateWithHistory, getJournalHistory, restoreVersion };
@@ -0,0 +1,77 @@
+import { database } from '../database/database';
+import { scopeCondition } from '../households/households';
+
+const PAGE_SIZE = 30;
+
+const JOURNAL_SELECT = `SELECT journals.*, categories.name AS category, authors.email AS author
+  FROM journals
+  LEFT JOIN categories ON categories.id = journals.categoryId
+  LEFT JOIN users AS authors ON authors.id = journals.userId`;
+
+// `categoryId`: undefined for every category, null for uncategorized only.
+// Household members each have their own categories, so household journals
+// match on the category's name instead of its id.
+const categoryCondition = (categoryId, params, { byName = false } = {}) => {
+  if (categoryId === undefined) return '';
+  if (categoryId === null) return ' AND journals.categoryId IS NULL';
+  params.push(categoryId);
+  return byName
+    ? ' AND categories.name = (SELECT name FROM categories WHERE id = ?)'
+    : ' AND journals.categoryId = ?';
+};
+
+// Keyset pagination over (date, id) descending; `cursor` is the last row of
+// the previous page. Stable under inserts, unlike OFFSET. With `householdId`
+// the page comes from that household's shared journal.
+const fetchJournalPage = async (
+  userId,
+  { cursor = null, categoryId, householdId = null, limit = PAGE_SIZE } = {}
+) => {
+  const params = [];
+  let where = `${scopeCondition({ userId, householdId }, params)} AND journals.deletedAt IS NULL`;
+  if (cursor) {
+    where += ' AND (journals.date < ? OR (journals.date = ? AND journals.id < ?))';
+    params.push(cursor.date, cursor.date, cursor.id);
+  }
+  where += categoryCondition(categoryId, params, { byName: !!householdId });
+  params.push(limit);
+
+  const rows = await database.query(
+    `${JOURNAL_SELECT} WHERE ${where}
+      ORDER BY journals.date DESC, journals.id DESC LIMIT ?`,
+    params
+  );
+  const last = rows[rows.length - 1];
+  return {
+    rows,
+    nextCursor: last ? { date: last.date, id: last.id } : cursor,
+    hasMore: rows.length === limit,
+  };
+};
+
+// null for missing and deleted entries
+const fetchJournal = async (id) => {
+  const rows = await database.query(
+    `${JOURNAL_SELECT} WHERE journals.id = ? AND journals.deletedAt IS NULL`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+const compareJournals = (a, b) => {
+  if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+  return b.id - a.id;
+};
+
+// Put a changed row into an already loaded list, keeping the order. Rows
+// that sort past the loaded window are left for the next page to bring in.
+const mergeJournal = (list, row, { hasMore }) => {
+  const rest = list.filter((journal) => journal.id !== row.id);
+  const index = rest.findIndex((journal) => compareJournals(row, journal) < 0);
+  if (index === -1) {
+    return hasMore ? rest : [...rest, row];
+  }
+  return [...rest.slice(0, index), row, ...rest.slice(index)];
+};
+
+export { PAGE_SIZE, categoryCondition, fetchJournalPage, fetchJournal, mergeJournal };
@@ -0,0 +1,45 @@
+import { database } from '../database/database';
+import * as JournalsRepo from '../database/journalsRepo';
+import { addDays } from '../utils/dates';
+
+const TRASH_RETENTION_DAYS = 30;
+
+// Deleted entries stay in the table, hidden from every journal query, until purged
+const softDeleteJournal = async (id) => JournalsRepo.softDelete(id);
+
+const restoreJournal = async (id) => JournalsRepo.restore(id);
+
+const getDeletedJournals = async (userId) =>
+  database.query(
+    `SELECT journals.*, categories.name AS category FROM journals
+      LEFT JOIN categories ON categories.id = journals.categoryId
+      WHERE journals.userId = ? AND journals.deletedAt IS NOT NULL
+      ORDER BY journals.deletedAt DESC`,
+    [userId]
+  );
+
+const purgeJournal = async (id) => JournalsRepo.remove(id);
+
+const emptyTrash = async (userId) => JournalsRepo.removeDeleted({ userId });
+
+// Remove entries of every user deleted more than the retention period ago;
+// resolves with how many were removed
+const purgeExpiredJournals = async (now = new Date()) =>
+  JournalsRepo.removeDeleted({ before: addDays(now, -TRASH_RETENTION_DAYS) });
+
+// Whole days left before a deleted entry is purged
+const daysUntilPurge = (deletedAt, now = new Date()) => {
+  const purgeAt = addDays(new Date(deletedAt), TRASH_RETENTION_DAYS);
+  return Math.max(0, Math.ceil((purgeAt - now) / (24 * 60 * 60 * 1000)));
+};
+
+export {
+  TRASH_RETENTION_DAYS,
+  softDeleteJournal,
+  restoreJournal,
+  getDeletedJournals,
+  purgeJournal,
+  emptyTrash,
+  purgeExpiredJournals,
+  daysUntilPurge,
+};
@@ -0,0 +1,52 @@
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+const UNDO_TIMEOUT_MS = 6000;
+
+// Bottom bar offering to undo the last change; dismisses itself after a few
+// seconds. `action` is { id, message, undo } or null.
+const UndoSnackbar = ({ action, onUndo, onDismiss }) => {
+  useEffect(() => {
+    if (!action) return undefined;
+    const timer = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [action?.id]);
+
+  if (!action) return null;
+
+  return (
+    <View style={styles.snackbar}>
+      <Text style={styles.message} numberOfLines={2}>
+        {action.message}
+      </Text>
+      <TouchableOpacity onPress={onUndo}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  snackbar: {
+    position: 'absolute',
+    left: 15,
+    right: 15,
+    bottom: 30,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#323232',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    elevation: 6,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+  },
+  message: { flex: 1, color: 'white', marginRight: 15 },
+  undoText: { color: '#8ab4f8', fontWeight: 'bold' },
+});
+
+export default UndoSnackbar;
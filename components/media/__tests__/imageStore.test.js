@@ -0,0 +1,81 @@
+import * as FileSystem from 'expo-file-system';
+import { initDatabase } from '../../database/database';
+import * as UsersRepo from '../../database/usersRepo';
+import * as JournalsRepo from '../../database/journalsRepo';
+import { updateWithHistory } from '../../journal/history';
+import { storeImage, getEntryImages, deleteUnusedImages, repairImagesOnce } from '../imageStore';
+import { uniqueEmail, entryFields } from '../../../test/fixtures';
+
+let userId;
+let photos = 0;
+
+beforeAll(async () => {
+  await initDatabase();
+});
+
+beforeEach(async () => {
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+});
+
+// A picked photo copied into app storage, as the entry form saves it
+const takePhoto = async () => {
+  photos += 1;
+  const uri = `${FileSystem.documentDirectory}picked${photos}.jpg`;
+  await FileSystem.writeAsStringAsync(uri, `photo ${photos}`);
+  return storeImage(uri);
+};
+
+const exists = async (uri) => (await FileSystem.getInfoAsync(uri)).exists;
+
+// Saves a new photo over the entry the way saveJournal does
+const replacePhoto = async (id, save = JournalsRepo.update) => {
+  const replaced = await getEntryImages(id);
+  await save(id, entryFields(await takePhoto()));
+  return deleteUnusedImages(replaced);
+};
+
+describe('deleteUnusedImages', () => {
+  it('removes the replaced photo and its thumbnail', async () => {
+    const old = await takePhoto();
+    const id = await JournalsRepo.create(userId, entryFields(old));
+
+    expect(await replacePhoto(id)).toBe(1);
+    expect(await exists(old.image)).toBe(false);
+    expect(await exists(old.thumbnail)).toBe(false);
+  });
+
+  it('keeps a replaced photo another entry still shows', async () => {
+    const old = await takePhoto();
+    const id = await JournalsRepo.create(userId, entryFields(old));
+    await JournalsRepo.create(userId, entryFields(old));
+
+    expect(await replacePhoto(id)).toBe(0);
+    expect(await exists(old.image)).toBe(true);
+    expect(await exists(old.thumbnail)).toBe(true);
+  });
+
+  it('keeps a replaced photo a saved version can still restore', async () => {
+    const old = await takePhoto();
+    const id = await JournalsRepo.create(userId, entryFields(old));
+
+    expect(await replacePhoto(id, updateWithHistory)).toBe(0);
+    expect(await exists(old.image)).toBe(true);
+  });
+});
+
+describe('repairImagesOnce', () => {
+  it('checks the photos on the first launch only', async () => {
+    const gone = await takePhoto();
+    const first = await JournalsRepo.create(userId, entryFields(gone));
+    await FileSystem.deleteAsync(gone.image);
+
+    expect(await repairImagesOnce(userId)).toMatchObject({ missing: 1 });
+    expect((await JournalsRepo.findById(first)).imageMissing).toBe(1);
+
+    const later = await takePhoto();
+    const second = await JournalsRepo.create(userId, entryFields(later));
+    await FileSystem.deleteAsync(later.image);
+    expect(await repairImagesOnce(userId)).toBeNull();
+    expect((await JournalsRepo.findById(second)).imageMissing).toBe(0);
+  });
+});
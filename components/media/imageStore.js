@@ -0,0 +1,177 @@
+import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as Crypto from 'expo-crypto';
+import { database } from '../database/database';
+import { getSetting, setSetting } from '../database/settings';
+import * as JournalsRepo from '../database/journalsRepo';
+
+// Photos are copied out of the picker's cache/gallery into directories the
+// app owns, so journal rows never point at files the OS may clean up.
+const IMAGE_DIR = `${FileSystem.documentDirectory}journal-images/`;
+const THUMBNAIL_DIR = `${FileSystem.documentDirectory}journal-thumbnails/`;
+const THUMBNAIL_WIDTH = 240;
+// Bump to run repairImages again for every account after a storage change
+const IMAGE_REPAIR_VERSION = 1;
+
+const ensureDirectories = async () => {
+  for (const dir of [IMAGE_DIR, THUMBNAIL_DIR]) {
+    const info = await FileSystem.getInfoAsync(dir);
+    if (!info.exists) {
+      await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+    }
+  }
+};
+
+const isManagedImage = (uri) => typeof uri === 'string' && uri.startsWith(IMAGE_DIR);
+
+// A managed photo's thumbnail has the same file name in THUMBNAIL_DIR
+const thumbnailFor = (image) => `${THUMBNAIL_DIR}${image.split('/').pop()}`;
+
+const fileExists = async (uri) => {
+  if (!uri) return false;
+  try {
+    return (await FileSystem.getInfoAsync(uri)).exists;
+  } catch (error) {
+    return false;
+  }
+};
+
+const createThumbnail = async (imageUri) => {
+  const fileName = imageUri.split('/').pop();
+  const result = await ImageManipulator.manipulateAsync(
+    imageUri,
+    [{ resize: { width: THUMBNAIL_WIDTH } }],
+    { compress: 0.7, format: ImageManipulator.SaveFormat.JPEG }
+  );
+  const thumbnail = `${THUMBNAIL_DIR}${fileName}`;
+  await FileSystem.moveAsync({ from: result.uri, to: thumbnail });
+  return thumbnail;
+};
+
+// Copy a picked image into app storage and build its thumbnail.
+// Images that are already managed are returned as-is.
+const storeImage = async (uri) => {
+  await ensureDirectories();
+  if (isManagedImage(uri)) {
+    const thumbnail = thumbnailFor(uri);
+    return {
+      image: uri,
+      thumbnail: (await fileExists(thumbnail)) ? thumbnail : await createThumbnail(uri),
+    };
+  }
+
+  const extension = (uri.split('?')[0].match(/\.(\w+)$/)?.[1] || 'jpg').toLowerCase();
+  const image = `${IMAGE_DIR}${Crypto.randomUUID()}.${extension}`;
+  await FileSystem.copyAsync({ from: uri, to: image });
+  return { image, thumbnail: await createThumbnail(image) };
+};
+
+// Delete managed files no journal row or saved version refers to any more.
+// Lists both directories and reads every row, so it runs after bulk deletes
+// only; a single edit uses getEntryImages and deleteUnusedImages instead.
+const cleanupOrphanedImages = async () => {
+  await ensureDirectories();
+  const rows = await database.query(
+    `SELECT image, thumbnail FROM journals
+      UNION SELECT image, thumbnail FROM journal_history`
+  );
+  const referenced = new Set();
+  rows.forEach((row) => {
+    if (row.image) referenced.add(row.image);
+    if (row.thumbnail) referenced.add(row.thumbnail);
+  });
+
+  let removed = 0;
+  for (const dir of [IMAGE_DIR, THUMBNAIL_DIR]) {
+    const files = await FileSystem.readDirectoryAsync(dir);
+    for (const file of files) {
+      if (!referenced.has(`${dir}${file}`)) {
+        await FileSystem.deleteAsync(`${dir}${file}`, { idempotent: true });
+        removed += 1;
+      }
+    }
+  }
+  return removed;
+};
+
+// Managed photos an entry and its saved versions point at
+const getEntryImages = async (journalId) => {
+  const rows = await database.query(
+    `SELECT image FROM journals WHERE id = ?
+      UNION SELECT image FROM journal_history WHERE journalId = ?`,
+    [journalId, journalId]
+  );
+  return rows.map((row) => row.image).filter(isManagedImage);
+};
+
+// Delete those of `images`, with their thumbnails, that no entry or saved
+// version refers to any more; returns how many went
+const deleteUnusedImages = async (images) => {
+  let removed = 0;
+  for (const image of new Set(images.filter(isManagedImage))) {
+    const used = await database.queryOne(
+      `SELECT 1 AS used FROM journals WHERE image = ?
+        UNION ALL SELECT 1 FROM journal_history WHERE image = ?
+        LIMIT 1`,
+      [image, image]
+    );
+    if (used) continue;
+    await FileSystem.deleteAsync(image, { idempotent: true });
+    await FileSystem.deleteAsync(thumbnailFor(image), { idempotent: true });
+    removed += 1;
+  }
+  return removed;
+};
+
+// Walk a user's entries: adopt still-readable external images into app
+// storage, rebuild missing thumbnails and flag entries whose photo is gone.
+const repairImages = async (userId) => {
+  const rows = await database.query(
+    'SELECT id, image, thumbnail, imageMissing FROM journals WHERE userId = ?',
+    [userId]
+  );
+  const report = { adopted: 0, thumbnails: 0, missing: 0 };
+
+  for (const row of rows) {
+    try {
+      if (!(await fileExists(row.image))) {
+        if (!row.imageMissing) {
+          await JournalsRepo.setImage(row.id, { imageMissing: true });
+        }
+        report.missing += 1;
+        continue;
+      }
+
+      if (!isManagedImage(row.image) || !(await fileExists(row.thumbnail))) {
+        const stored = await storeImage(row.image);
+        await JournalsRepo.setImage(row.id, { ...stored, imageMissing: false });
+        if (isManagedImage(row.image)) report.thumbnails += 1;
+        else report.adopted += 1;
+      } else if (row.imageMissing) {
+        await JournalsRepo.setImage(row.id, { imageMissing: false });
+      }
+    } catch (error) {
+      console.error(`Image repair failed for journal ${row.id}:`, error);
+    }
+  }
+  return report;
+};
+
+// Run repairImages once per account instead of on every launch: it checks
+// every photo on disk. Returns its report, or null when already done.
+const repairImagesOnce = async (userId) => {
+  if ((await getSetting(userId, 'imageRepairVersion', 0)) >= IMAGE_REPAIR_VERSION) return null;
+  const report = await repairImages(userId);
+  await setSetting(userId, 'imageRepairVersion', IMAGE_REPAIR_VERSION);
+  return report;
+};
+
+export {
+  storeImage,
+  cleanupOrphanedImages,
+  getEntryImages,
+  deleteUnusedImages,
+  repairImages,
+  repairImagesOnce,
+  isManagedImage,
+};
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { NUTRIENTS, parseNutrient, formatNutrient } from './nutrition';
+
+const DailySummary = ({ title = 'Today', totals, goals, onSaveGoals }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState({});
+
+  const startEditing = () => {
+    const values = {};
+    NUTRIENTS.forEach(({ key }) => {
+      values[key] = formatNutrient(goals?.[key]);
+    });
+    setDraft(values);
+    setIsEditing(true);
+  };
+
+  const saveGoals = async () => {
+    const next = {};
+    NUTRIENTS.forEach(({ key }) => {
+      next[key] = parseNutrient(draft[key]);
+    });
+    await onSaveGoals(next);
+    setIsEditing(false);
+  };
+
+  const calorieGoal = goals?.calories;
+  const calorieTotal = totals?.calories || 0;
+  const progress = calorieGoal ? Math.min(calorieTotal / calorieGoal, 1) : 0;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{title}</Text>
+        <TouchableOpacity onPress={isEditing ? saveGoals : startEditing}>
+          <Text style={styles.editText}>{isEditing ? 'Save goals' : 'Edit goals'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.calories}>
+        {formatNutrient(calorieTotal)}
+        {calorieGoal ? ` / ${formatNutrient(calorieGoal)}` : ''} kcal
+      </Text>
+      {calorieGoal ? (
+        <View style={styles.progressTrack}>
+          <View
+            style={[
+              styles.progressFill,
+              { width: `${progress * 100}%` },
+              calorieTotal > calorieGoal && styles.progressOver,
+            ]}
+          />
+        </View>
+      ) : null}
+
+      <View style={styles.row}>
+        {NUTRIENTS.map(({ key, label, unit }) => (
+          <View key={key} style={styles.cell}>
+            <Text style={styles.cellLabel}>{label}</Text>
+            {isEditing ? (
+              <TextInput
+                value={draft[key]}
+                onChangeText={(text) => setDraft({ ...draft, [key]: text })}
+                placeholder="Goal"
+                keyboardType="decimal-pad"
+                style={styles.goalInput}
+              />
+            ) : (
+              <Text style={styles.cellValue}>
+                {formatNutrient(totals?.[key] || 0)}
+                {goals?.[key] ? `/${formatNutrient(goals[key])}` : ''} {unit}
+              </Text>
+            )}
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    padding: 15,
+    marginHorizontal: 15,
+    marginTop: 15,
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 5,
+    elevation: 3,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: { fontSize: 18, fontWeight: 'bold', color: '#333' },
+  editText: { color: '#4285f4', fontWeight: 'bold' },
+  calories: { fontSize: 16, marginBottom: 8, color: '#333' },
+  progressTrack: {
+    height: 8,
+    backgroundColor: '#f0f0f0',
+    borderRadius: 4,
+    overflow: 'hidden',
+    marginBottom: 10,
+  },
+  progressFill: { height: '100%', backgroundColor: '#34a853' },
+  progressOver: { backgroundColor: '#ea4335' },
+  row: { flexDirection: 'row', justifyContent: 'space-between' },
+  cell: { flex: 1, alignItems: 'center' },
+  cellLabel: { color: '#666', fontSize: 12, marginBottom: 4 },
+  cellValue: { fontSize: 14, fontWeight: 'bold', color: '#333' },
+  goalInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+    width: '90%',
+    textAlign: 'center',
+  },
+});
+
+export default DailySummary;
@@ -0,0 +1,58 @@
+import { database } from '../database/database';
+import { getSetting, setSetting } from '../database/settings';
+import { getDayRange } from '../utils/dates';
+
+const NUTRIENTS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+];
+
+const DEFAULT_GOALS = { calories: 2000, protein: null, carbs: null, fat: null };
+
+// Empty input means "not recorded" rather than zero
+const parseNutrient = (text) => {
+  if (text === null || text === undefined) return null;
+  const normalized = String(text).trim().replace(',', '.');
+  if (!normalized) return null;
+  const value = parseFloat(normalized);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+const formatNutrient = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(Math.round(value * 10) / 10);
+};
+
+const getDailyTotals = async (userId, date = new Date()) => {
+  const { start, end } = getDayRange(date);
+  const rows = await database.query(
+    `SELECT
+      COALESCE(SUM(calories), 0) AS calories,
+      COALESCE(SUM(protein), 0) AS protein,
+      COALESCE(SUM(carbs), 0) AS carbs,
+      COALESCE(SUM(fat), 0) AS fat
+    FROM journals WHERE userId = ? AND date >= ? AND date < ? AND deletedAt IS NULL`,
+    [userId, start, end]
+  );
+  return rows[0];
+};
+
+const getNutritionGoals = async (userId) => ({
+  ...DEFAULT_GOALS,
+  ...(await getSetting(userId, 'nutritionGoals', {})),
+});
+
+const saveNutritionGoals = async (userId, goals) => {
+  await setSetting(userId, 'nutritionGoals', goals);
+};
+
+export {
+  NUTRIENTS,
+  parseNutrient,
+  formatNutrient,
+  getDailyTotals,
+  getNutritionGoals,
+  saveNutritionGoals,
+};
@@ -0,0 +1,196 @@
+import * as Notifications from 'expo-notifications';
+import { initDatabase } from '../../database/database';
+import * as JournalsRepo from '../../database/journalsRepo';
+import * as UsersRepo from '../../database/usersRepo';
+import { createCategory } from '../../categories/categories';
+import {
+  saveReminder,
+  cancelReminders,
+  scheduleReminders,
+  handleReminderNotification,
+  dismissLoggedReminders,
+} from '../reminders';
+import { uniqueEmail, entryFields } from '../../../test/fixtures';
+
+let userId;
+let lunch;
+let dinner;
+
+beforeAll(async () => {
+  await initDatabase();
+});
+
+beforeEach(async () => {
+  Notifications.reset();
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+  lunch = await createCategory(userId, 'Lunch');
+  dinner = await createCategory(userId, 'Dinner');
+});
+
+const scheduledFor = async (id) =>
+  (await Notifications.getAllScheduledNotificationsAsync()).filter(
+    (request) => request.content.data.userId === id
+  );
+
+const logToday = (categoryId) =>
+  JournalsRepo.create(userId, entryFields({ categoryId, date: new Date().toISOString() }));
+
+describe('scheduleReminders', () => {
+  // Tuesday 5 March 2024, 09:00 local
+  const morning = new Date(2024, 2, 5, 9, 0);
+  const reminderDays = (requests) =>
+    requests.map((request) => {
+      const { date } = request.trigger;
+      return `${date.getMonth() + 1}-${date.getDate()} ${date.getHours()}:${date.getMinutes()}`;
+    });
+
+  it('schedules a one-shot reminder per enabled category for each coming day', async () => {
+    await saveReminder(userId, lunch, { hour: 12, minute: 30, enabled: true });
+    await saveReminder(userId, dinner, { hour: 19, minute: 0, enabled: false });
+
+    await scheduleReminders(userId, morning);
+
+    const requests = await scheduledFor(userId);
+    expect(reminderDays(requests)).toEqual([
+      '3-5 12:30',
+      '3-6 12:30',
+      '3-7 12:30',
+      '3-8 12:30',
+      '3-9 12:30',
+      '3-10 12:30',
+      '3-11 12:30',
+    ]);
+    expect(requests[0]).toMatchObject({
+      content: { title: 'Time to log lunch', data: { userId, categoryId: lunch } },
+      trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE },
+    });
+  });
+
+  it("leaves out today's reminder once that meal is logged before it is due", async () => {
+    await saveReminder(userId, lunch, { hour: 12, minute: 30, enabled: true });
+    await saveReminder(userId, dinner, { hour: 19, minute: 0, enabled: true });
+    await scheduleReminders(userId, morning);
+    await JournalsRepo.create(
+      userId,
+      entryFields({ categoryId: lunch, date: new Date(2024, 2, 5, 11, 0).toISOString() })
+    );
+
+    // As saving the entry does
+    await scheduleReminders(userId, new Date(2024, 2, 5, 11, 5));
+
+    const requests = await scheduledFor(userId);
+    const lunchDays = reminderDays(
+      requests.filter((request) => request.content.data.categoryId === lunch)
+    );
+    expect(lunchDays).not.toContain('3-5 12:30');
+    expect(lunchDays[0]).toBe('3-6 12:30');
+    expect(
+      reminderDays(requests.filter((request) => request.content.data.categoryId === dinner))[0]
+    ).toBe('3-5 19:0');
+  });
+
+  it('skips times that have already passed today', async () => {
+    await saveReminder(userId, lunch, { hour: 8, minute: 0, enabled: true });
+
+    await scheduleReminders(userId, morning);
+
+    expect(reminderDays(await scheduledFor(userId))[0]).toBe('3-6 8:0');
+  });
+
+  it('replaces the previous schedule and leaves other accounts alone', async () => {
+    const otherId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+    const otherLunch = await createCategory(otherId, 'Lunch');
+    await saveReminder(otherId, otherLunch, { hour: 13, minute: 0, enabled: true });
+    await scheduleReminders(otherId);
+
+    await saveReminder(userId, lunch, { hour: 12, minute: 30, enabled: true });
+    await scheduleReminders(userId);
+    await saveReminder(userId, lunch, { hour: 11, minute: 45, enabled: true });
+    await scheduleReminders(userId);
+
+    const requests = await scheduledFor(userId);
+    expect(requests.length).toBeGreaterThan(0);
+    requests.forEach(({ trigger }) => {
+      expect([trigger.date.getHours(), trigger.date.getMinutes()]).toEqual([11, 45]);
+    });
+    const otherCount = (await scheduledFor(otherId)).length;
+    expect(otherCount).toBeGreaterThan(0);
+
+    await cancelReminders(userId);
+    expect(await scheduledFor(userId)).toEqual([]);
+    expect(await scheduledFor(otherId)).toHaveLength(otherCount);
+  });
+
+  it('stays within the pending notification limit, nearest days first', async () => {
+    for (let i = 0; i < 61; i++) {
+      await Notifications.scheduleNotificationAsync({ content: { data: {} }, trigger: null });
+    }
+    await saveReminder(userId, lunch, { hour: 12, minute: 30, enabled: true });
+    await saveReminder(userId, dinner, { hour: 19, minute: 0, enabled: true });
+
+    await scheduleReminders(userId, morning);
+
+    expect(await Notifications.getAllScheduledNotificationsAsync()).toHaveLength(64);
+    expect(reminderDays(await scheduledFor(userId))).toEqual([
+      '3-5 12:30',
+      '3-5 19:0',
+      '3-6 12:30',
+    ]);
+  });
+
+  it('schedules nothing without notification permission', async () => {
+    Notifications.setPermissionGranted(false);
+    await saveReminder(userId, lunch, { hour: 12, minute: 30, enabled: true });
+
+    await scheduleReminders(userId);
+
+    expect(await scheduledFor(userId)).toEqual([]);
+  });
+});
+
+describe('reminder delivery', () => {
+  const deliverReminder = async (categoryId) => {
+    await saveReminder(userId, categoryId, { hour: 12, minute: 30, enabled: true });
+    await scheduleReminders(userId);
+    const request = (await scheduledFor(userId)).find(
+      (scheduled) => scheduled.content.data.categoryId === categoryId
+    );
+    return Notifications.deliver(request);
+  };
+
+  it('shows a reminder whose meal has not been logged today', async () => {
+    const notification = await deliverReminder(lunch);
+    expect(await handleReminderNotification(notification)).toMatchObject({
+      shouldShowAlert: true,
+      shouldPlaySound: true,
+    });
+  });
+
+  it('hides a reminder whose meal was logged today', async () => {
+    await logToday(lunch);
+    const notification = await deliverReminder(lunch);
+    expect(await handleReminderNotification(notification)).toMatchObject({
+      shouldShowAlert: false,
+      shouldPlaySound: false,
+    });
+  });
+
+  it('only counts entries of the reminder category', async () => {
+    await logToday(dinner);
+    const notification = await deliverReminder(lunch);
+    expect((await handleReminderNotification(notification)).shouldShowAlert).toBe(true);
+  });
+
+  it('clears delivered reminders from the tray once their meal is logged', async () => {
+    await deliverReminder(lunch);
+    await deliverReminder(dinner);
+    await logToday(lunch);
+
+    await dismissLoggedReminders(userId);
+
+    const presented = await Notifications.getPresentedNotificationsAsync();
+    expect(presented.map((notification) => notification.request.content.data.categoryId)).toEqual([
+      dinner,
+    ]);
+  });
+});
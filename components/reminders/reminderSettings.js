@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Switch, TouchableOpacity, Alert, Platform, StyleSheet } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import {
+  getReminders,
+  saveReminder,
+  requestReminderPermission,
+  scheduleReminders,
+} from './reminders';
+
+// Suggested times for categories that have never had a reminder
+const DEFAULT_TIMES = {
+  breakfast: { hour: 8, minute: 30 },
+  lunch: { hour: 13, minute: 0 },
+  dinner: { hour: 19, minute: 0 },
+};
+const FALLBACK_TIME = { hour: 16, minute: 0 };
+
+const formatTime = ({ hour, minute }) =>
+  `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+const ReminderSettings = ({ userId }) => {
+  const [reminders, setReminders] = useState([]);
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    loadReminders();
+  }, []);
+
+  const loadReminders = async () => {
+    try {
+      const rows = await getReminders(userId);
+      setReminders(
+        rows.map((row) => ({
+          ...row,
+          ...(row.hour === null
+            ? DEFAULT_TIMES[row.category.toLowerCase()] || FALLBACK_TIME
+            : { hour: row.hour, minute: row.minute }),
+        }))
+      );
+    } catch (error) {
+      console.error('Error loading reminders:', error);
+    }
+  };
+
+  const update = async (reminder, changes) => {
+    const next = { ...reminder, ...changes };
+    try {
+      if (next.enabled && !(await requestReminderPermission())) {
+        Alert.alert('Notifications disabled', 'Allow notifications to receive meal reminders');
+        return;
+      }
+      await saveReminder(userId, reminder.categoryId, next);
+      setReminders((current) =>
+        current.map((row) => (row.categoryId === reminder.categoryId ? next : row))
+      );
+      await scheduleReminders(userId);
+    } catch (error) {
+      console.error('Save reminder error:', error);
+      Alert.alert('Error', 'Could not save reminder');
+    }
+  };
+
+  const pickTime = (event, selected) => {
+    const reminder = editing;
+    if (Platform.OS === 'android' || event.type === 'dismissed') setEditing(null);
+    if (event.type === 'dismissed' || !selected) return;
+    update(reminder, { hour: selected.getHours(), minute: selected.getMinutes() });
+  };
+
+  const pickerValue = (reminder) => {
+    const date = new Date();
+    date.setHours(reminder.hour, reminder.minute, 0, 0);
+    return date;
+  };
+
+  return (
+    <View>
+      {reminders.length === 0 && (
+        <Text style={styles.emptyText}>Create a category to set up reminders.</Text>
+      )}
+      {reminders.map((reminder) => (
+        <View key={reminder.categoryId} style={styles.row}>
+          <Text style={styles.category}>{reminder.category}</Text>
+          <TouchableOpacity onPress={() => setEditing(reminder)}>
+            <Text style={[styles.time, !reminder.enabled && styles.timeDisabled]}>
+              {formatTime(reminder)}
+            </Text>
+          </TouchableOpacity>
+          <Switch
+            value={!!reminder.enabled}
+            onValueChange={(enabled) => update(reminder, { enabled })}
+          />
+        </View>
+      ))}
+      {editing && (
+        <DateTimePicker value={pickerValue(editing)} mode="time" onChange={pickTime} />
+      )}
+      {editing && Platform.OS === 'ios' && (
+        <TouchableOpacity onPress={() => setEditing(null)}>
+          <Text style={styles.doneText}>Done</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  category: { flex: 1, fontSize: 16, color: '#333' },
+  time: { fontSize: 16, color: '#4285f4', fontWeight: 'bold', marginRight: 15 },
+  timeDisabled: { color: '#999' },
+  doneText: { color: '#4285f4', fontWeight: 'bold', textAlign: 'right', padding: 15 },
+  emptyText: { color: '#666', padding: 15 },
+});
+
+export default ReminderSettings;
@@ -0,0 +1,156 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { database } from '../database/database';
+import { addDays, getDayRange, startOfDay } from '../utils/dates';
+
+const REMINDER_TYPE = 'meal-reminder';
+const CHANNEL_ID = 'meal-reminders';
+// One-shot notifications are scheduled this many days ahead, so a day can be
+// skipped individually once its meal has been logged
+const SCHEDULE_DAYS = 7;
+// iOS keeps at most this many pending local notifications per app and
+// silently drops the rest
+const PENDING_LIMIT = 64;
+
+// Every category of the user with its reminder settings, if any
+const getReminders = async (userId) =>
+  database.query(
+    `SELECT categories.id AS categoryId, categories.name AS category,
+        reminders.hour, reminders.minute, COALESCE(reminders.enabled, 0) AS enabled
+      FROM categories
+      LEFT JOIN reminders ON reminders.categoryId = categories.id
+      WHERE categories.userId = ?
+      ORDER BY categories.position, categories.id`,
+    [userId]
+  );
+
+const saveReminder = async (userId, categoryId, { hour, minute, enabled }) => {
+  await database.mutate(
+    `INSERT INTO reminders (userId, categoryId, hour, minute, enabled) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(userId, categoryId) DO UPDATE SET
+        hour = excluded.hour, minute = excluded.minute, enabled = excluded.enabled`,
+    [userId, categoryId, hour, minute, enabled ? 1 : 0]
+  );
+};
+
+const hasEntryOnDay = async (userId, categoryId, date = new Date()) => {
+  const { start, end } = getDayRange(date);
+  const rows = await database.query(
+    `SELECT id FROM journals
+      WHERE userId = ? AND categoryId = ? AND date >= ? AND date < ? AND deletedAt IS NULL
+      LIMIT 1`,
+    [userId, categoryId, start, end]
+  );
+  return rows.length > 0;
+};
+
+const requestReminderPermission = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+      name: 'Meal reminders',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+  }
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+};
+
+const cancelReminders = async (userId) => {
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+  for (const notification of scheduled) {
+    const data = notification.content.data || {};
+    if (data.type === REMINDER_TYPE && (userId === undefined || data.userId === userId)) {
+      await Notifications.cancelScheduledNotificationAsync(notification.identifier);
+    }
+  }
+};
+
+// Rebuild the user's scheduled reminders: one notification per enabled
+// category and day for the coming days, nearest days first while there is
+// room under the pending limit. Today's reminder for a category is left out
+// once an entry for that category has been logged today; the app reschedules
+// after every save, so this holds even when the reminder fires in the
+// background.
+const scheduleReminders = async (userId, now = new Date()) => {
+  await cancelReminders(userId);
+  const permissions = await Notifications.getPermissionsAsync();
+  if (!permissions.granted) return;
+
+  const reminders = (await getReminders(userId)).filter((reminder) => reminder.enabled);
+  const pending = (await Notifications.getAllScheduledNotificationsAsync()).length;
+  let room = Math.max(PENDING_LIMIT - pending, 0);
+  const loggedToday = {};
+  for (const reminder of reminders) {
+    loggedToday[reminder.categoryId] = await hasEntryOnDay(userId, reminder.categoryId, now);
+  }
+
+  for (let offset = 0; offset < SCHEDULE_DAYS; offset++) {
+    for (const reminder of reminders) {
+      if (room === 0) return;
+      if (offset === 0 && loggedToday[reminder.categoryId]) continue;
+      const date = addDays(startOfDay(now), offset);
+      date.setHours(reminder.hour, reminder.minute, 0, 0);
+      if (date <= now) continue;
+
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: `Time to log ${reminder.category.toLowerCase()}`,
+          body: 'Tap to add what you ate.',
+          data: { type: REMINDER_TYPE, userId, categoryId: reminder.categoryId },
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date,
+          channelId: CHANNEL_ID,
+        },
+      });
+      room -= 1;
+    }
+  }
+};
+
+const isLoggedReminder = async (data) => {
+  if (data.type !== REMINDER_TYPE) return false;
+  return hasEntryOnDay(data.userId, data.categoryId);
+};
+
+// Foreground handler: drop a reminder whose meal was logged in the meantime,
+// e.g. on another device and pulled by sync after scheduling
+const handleReminderNotification = async (notification) => {
+  let show = true;
+  try {
+    show = !(await isLoggedReminder(notification.request.content.data || {}));
+  } catch (error) {
+    console.error('Reminder check error:', error);
+  }
+  return { shouldShowAlert: show, shouldPlaySound: show, shouldSetBadge: false };
+};
+
+// Clear delivered reminders of the user whose meals have been logged since
+const dismissLoggedReminders = async (userId) => {
+  const presented = await Notifications.getPresentedNotificationsAsync();
+  for (const notification of presented) {
+    const data = notification.request.content.data || {};
+    if (data.userId === userId && (await isLoggedReminder(data))) {
+      await Notifications.dismissNotificationAsync(notification.request.identifier);
+    }
+  }
+};
+
+const getReminderCategory = (response) => {
+  const data = response?.notification?.request?.content?.data || {};
+  return data.type === REMINDER_TYPE ? data.categoryId : null;
+};
+
+export {
+  getReminders,
+  saveReminder,
+  requestReminderPermission,
+  cancelReminders,
+  scheduleReminders,
+  handleReminderNotification,
+  dismissLoggedReminders,
+  getReminderCategory,
+};
@@ -0,0 +1,58 @@
+import { initDatabase, transaction } from '../../database/database';
+import * as JournalsRepo from '../../database/journalsRepo';
+import * as UsersRepo from '../../database/usersRepo';
+import { searchJournals, splitHighlight } from '../journalSearch';
+import { uniqueEmail, entryFields, item } from '../../../test/fixtures';
+import { statements, planOf } from '../../../test/statements';
+
+// Record the statements sent so their plans can be inspected
+jest.mock('../../database/database', () => require('../../../test/statements').mockDatabase());
+
+const SEEDED_ENTRIES = 12000;
+
+let userId;
+
+beforeAll(async () => {
+  await initDatabase();
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+  await transaction((tx) =>
+    tx.mutate(
+      `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+        INSERT INTO journals (userId, description, date)
+        SELECT ?, 'Lentil soup ' || i, strftime('%Y-%m-%dT%H:%M:%fZ', '2024-01-01', '-' || i || ' hours')
+        FROM n`,
+      [SEEDED_ENTRIES, userId]
+    )
+  );
+}, 120000);
+
+beforeEach(() => {
+  statements.length = 0;
+});
+
+describe('searchJournals', () => {
+  it('matches item names and highlights the description', async () => {
+    const id = await JournalsRepo.create(userId, entryFields({ description: 'Crème brûlée' }), [
+      item('Caramelised sugar'),
+    ]);
+
+    const [byItem] = await searchJournals(userId, 'carameli');
+    expect(byItem.id).toBe(id);
+
+    const [byDescription] = await searchJournals(userId, 'creme');
+    expect(byDescription.id).toBe(id);
+    expect(splitHighlight(byDescription.descriptionHighlight)).toEqual([
+      { text: 'Crème', match: true },
+      { text: ' brûlée', match: false },
+    ]);
+  });
+
+  it('lets the full-text match drive the query on a large journal', async () => {
+    const rows = await searchJournals(userId, 'lentil 1234');
+
+    const plan = await planOf(statements[0]);
+    expect(plan[0]).toMatch(/^SCAN journals_fts VIRTUAL TABLE INDEX/);
+    expect(plan).toContainEqual(expect.stringMatching(/^SEARCH journals USING INTEGER PRIMARY KEY/));
+    expect(rows.map((row) => row.description)).toEqual(['Lentil soup 1234']);
+  });
+});
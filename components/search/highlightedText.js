@@ -0,0 +1,19 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { splitHighlight } from './journalSearch';
+
+const HighlightedText = ({ value, style }) => (
+  <Text style={style}>
+    {splitHighlight(value).map((segment, index) => (
+      <Text key={index} style={segment.match ? styles.match : null}>
+        {segment.text}
+      </Text>
+    ))}
+  </Text>
+);
+
+const styles = StyleSheet.create({
+  match: { backgroundColor: '#fff3b0', fontWeight: 'bold' },
+});
+
+export default HighlightedText;
@@ -0,0 +1,55 @@
+import { database } from '../database/database';
+import { toMatchQuery } from '../utils/fts';
+import { scopeCondition } from '../households/households';
+import { categoryCondition } from '../journal/pagination';
+
+// Control characters never typed by users, so they are safe match markers
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+// `categoryId`: undefined searches every category, null only uncategorized
+// entries. `householdId` searches that household's journal instead. CROSS
+// JOIN keeps the match driving the query; otherwise sqlite may walk all of
+// the user's entries and run the match once per row.
+const searchJournals = async (userId, text, categoryId, householdId = null) => {
+  const match = toMatchQuery(text);
+  if (!match) return [];
+
+  const params = [MATCH_START, MATCH_END, match];
+  let where = `journals_fts MATCH ? AND ${scopeCondition({ userId, householdId }, params)}`;
+  where += ' AND journals.deletedAt IS NULL';
+  where += categoryCondition(categoryId, params, { byName: !!householdId });
+
+  return database.query(
+    `SELECT journals.*, categories.name AS category, authors.email AS author,
+        highlight(journals_fts, 0, ?, ?) AS descriptionHighlight
+      FROM journals_fts
+      CROSS JOIN journals ON journals.id = journals_fts.rowid
+      LEFT JOIN categories ON categories.id = journals.categoryId
+      LEFT JOIN users AS authors ON authors.id = journals.userId
+      WHERE ${where}
+      ORDER BY rank, journals.date DESC`,
+    params
+  );
+};
+
+// Split highlighted text into [{ text, match }] segments for rendering
+const splitHighlight = (value) => {
+  const segments = [];
+  let rest = value || '';
+  while (rest) {
+    const start = rest.indexOf(MATCH_START);
+    if (start === -1) {
+      segments.push({ text: rest, match: false });
+      break;
+    }
+    if (start > 0) segments.push({ text: rest.slice(0, start), match: false });
+    const end = rest.indexOf(MATCH_END, start);
+    const stop = end === -1 ? rest.length : end;
+    segments.push({ text: rest.slice(start + 1, stop), match: true });
+    rest = end === -1 ? '' : rest.slice(end + 1);
+  }
+  return segments;
+};
+
+export { searchJournals, splitHighlight };
@@ -0,0 +1,196 @@
+import { initDatabase } from '../../database/database';
+import * as JournalsRepo from '../../database/journalsRepo';
+import * as UsersRepo from '../../database/usersRepo';
+import { createCategory, UNCATEGORIZED_LABEL } from '../../categories/categories';
+import {
+  getPeriodRange,
+  getEntriesPerDay,
+  getCategoryDistribution,
+  getStreaks,
+  summarizeStreaks,
+  getWeeklyCalories,
+  getDailyCalories,
+  fillDays,
+} from '../statsQueries';
+import { uniqueEmail, entryFields } from '../../../test/fixtures';
+
+// The suite runs in America/New_York (test/globalSetup.js). Daylight saving
+// starts there at 2024-03-10T07:00Z, moving local time from UTC-5 to UTC-4.
+let userId;
+
+beforeAll(async () => {
+  await initDatabase();
+});
+
+beforeEach(async () => {
+  userId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+});
+
+const log = (date, fields = {}, owner = userId) =>
+  JournalsRepo.create(owner, entryFields({ date, ...fields }));
+
+// Local days 2024-03-04 (a Monday) to 2024-03-17 as an ISO range
+const MARCH = {
+  start: new Date(2024, 2, 4).toISOString(),
+  end: new Date(2024, 2, 18).toISOString(),
+};
+
+describe('getPeriodRange', () => {
+  it('starts and ends at local midnight across a daylight saving change', () => {
+    const range = getPeriodRange(7, new Date('2024-03-12T16:00:00Z'));
+    expect(range).toEqual({
+      start: '2024-03-06T05:00:00.000Z',
+      end: '2024-03-13T04:00:00.000Z',
+    });
+  });
+});
+
+describe('getEntriesPerDay', () => {
+  it('groups entries by local day, not by UTC day', async () => {
+    await log('2024-03-06T03:30:00.000Z'); // 5 March, 22:30 local
+    await log('2024-03-06T05:30:00.000Z'); // 6 March, 00:30 local
+    await log('2024-03-10T04:30:00.000Z'); // 9 March, 23:30 EST
+    await log('2024-03-10T05:30:00.000Z'); // 10 March, 00:30 EST
+    await log('2024-03-11T03:30:00.000Z'); // 10 March, 23:30 EDT
+    await log('2024-03-11T04:30:00.000Z'); // 11 March, 00:30 EDT
+
+    expect(await getEntriesPerDay(userId, MARCH)).toEqual([
+      { day: '2024-03-05', count: 1 },
+      { day: '2024-03-06', count: 1 },
+      { day: '2024-03-09', count: 1 },
+      { day: '2024-03-10', count: 2 },
+      { day: '2024-03-11', count: 1 },
+    ]);
+  });
+
+  it('leaves out deleted entries, other accounts and entries outside the range', async () => {
+    const otherId = await UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+    await log('2024-03-06T12:00:00.000Z');
+    const deleted = await log('2024-03-06T13:00:00.000Z');
+    await JournalsRepo.softDelete(deleted);
+    await log('2024-03-06T14:00:00.000Z', {}, otherId);
+    await log(MARCH.end);
+    await log('2024-03-04T04:59:59.000Z'); // 3 March, 23:59 local
+
+    expect(await getEntriesPerDay(userId, MARCH)).toEqual([{ day: '2024-03-06', count: 1 }]);
+  });
+
+  it('returns nothing for an empty range and fills the window with zeros', async () => {
+    await log('2024-03-06T12:00:00.000Z');
+    const range = getPeriodRange(3, new Date('2024-02-20T12:00:00Z'));
+    const rows = await getEntriesPerDay(userId, range);
+
+    expect(rows).toEqual([]);
+    const buckets = fillDays(rows, 3, new Date('2024-02-20T12:00:00Z'));
+    expect(buckets.map(({ day, count }) => ({ day, count }))).toEqual([
+      { day: '2024-02-18', count: 0 },
+      { day: '2024-02-19', count: 0 },
+      { day: '2024-02-20', count: 0 },
+    ]);
+  });
+});
+
+describe('getCategoryDistribution', () => {
+  it('counts entries per category with uncategorized ones labelled', async () => {
+    const lunch = await createCategory(userId, 'Lunch');
+    const dinner = await createCategory(userId, 'Dinner');
+    await log('2024-03-05T17:00:00.000Z', { categoryId: lunch });
+    await log('2024-03-06T17:00:00.000Z', { categoryId: lunch });
+    await log('2024-03-07T17:00:00.000Z', { categoryId: lunch });
+    await log('2024-03-05T23:00:00.000Z', { categoryId: dinner });
+    await log('2024-03-06T09:00:00.000Z');
+    await log('2024-03-07T09:00:00.000Z');
+
+    expect(await getCategoryDistribution(userId, MARCH)).toEqual([
+      { label: 'Lunch', count: 3 },
+      { label: UNCATEGORIZED_LABEL, count: 2 },
+      { label: 'Dinner', count: 1 },
+    ]);
+  });
+
+  it('is empty when nothing was logged in the range', async () => {
+    await log('2024-02-01T12:00:00.000Z');
+    expect(await getCategoryDistribution(userId, MARCH)).toEqual([]);
+  });
+});
+
+describe('getDailyCalories', () => {
+  it('sums calories per local day and skips entries without them', async () => {
+    await log('2024-03-06T03:30:00.000Z', { calories: 200 }); // 5 March local
+    await log('2024-03-06T12:00:00.000Z', { calories: 500 });
+    await log('2024-03-06T18:00:00.000Z', { calories: 700 });
+    await log('2024-03-07T12:00:00.000Z');
+
+    expect(await getDailyCalories(userId, MARCH)).toEqual([
+      { day: '2024-03-05', calories: 200 },
+      { day: '2024-03-06', calories: 1200 },
+    ]);
+  });
+});
+
+describe('getWeeklyCalories', () => {
+  it('averages daily totals per Monday-based local week', async () => {
+    await log('2024-03-04T17:00:00.000Z', { calories: 1800 }); // Monday
+    await log('2024-03-05T17:00:00.000Z', { calories: 1000 });
+    await log('2024-03-05T23:00:00.000Z', { calories: 1200 });
+    await log('2024-03-11T03:30:00.000Z', { calories: 2000 }); // Sunday 10 March, 23:30 local
+    await log('2024-03-11T04:30:00.000Z', { calories: 1500 }); // Monday 11 March, 00:30 local
+    await log('2024-03-12T12:00:00.000Z');
+
+    expect(await getWeeklyCalories(userId, MARCH)).toEqual([
+      { week: '2024-03-04', firstDay: '2024-03-04', averageCalories: 2000, days: 3 },
+      { week: '2024-03-11', firstDay: '2024-03-11', averageCalories: 1500, days: 1 },
+    ]);
+  });
+
+  it('keeps a week that spans New Year together', async () => {
+    await log('2025-12-29T17:00:00.000Z', { calories: 1800 }); // Monday
+    await log('2025-12-31T17:00:00.000Z', { calories: 2200 });
+    await log('2026-01-01T17:00:00.000Z', { calories: 2600 }); // Thursday
+    await log('2026-01-05T17:00:00.000Z', { calories: 1500 }); // next Monday
+    const range = {
+      start: new Date(2025, 11, 29).toISOString(),
+      end: new Date(2026, 0, 12).toISOString(),
+    };
+
+    expect(await getWeeklyCalories(userId, range)).toEqual([
+      { week: '2025-12-29', firstDay: '2025-12-29', averageCalories: 2200, days: 3 },
+      { week: '2026-01-05', firstDay: '2026-01-05', averageCalories: 1500, days: 1 },
+    ]);
+  });
+
+  it('is empty when no entry in the range has calories', async () => {
+    await log('2024-03-06T12:00:00.000Z');
+    expect(await getWeeklyCalories(userId, MARCH)).toEqual([]);
+  });
+});
+
+describe('getStreaks', () => {
+  it('finds runs of local days and reports the current and longest', async () => {
+    await log('2024-03-01T12:00:00.000Z');
+    await log('2024-03-02T12:00:00.000Z');
+    await log('2024-03-03T12:00:00.000Z');
+    await log('2024-03-10T04:30:00.000Z'); // 9 March local
+    await log('2024-03-11T03:30:00.000Z'); // 10 March local
+    await log('2024-03-11T12:00:00.000Z');
+
+    const streaks = await getStreaks(userId);
+    expect(streaks).toEqual([
+      { start: '2024-03-09', end: '2024-03-11', length: 3 },
+      { start: '2024-03-01', end: '2024-03-03', length: 3 },
+    ]);
+    expect(summarizeStreaks(streaks, new Date('2024-03-12T16:00:00Z'))).toEqual({
+      current: 3,
+      longest: 3,
+    });
+    expect(summarizeStreaks(streaks, new Date('2024-03-13T16:00:00Z'))).toEqual({
+      current: 0,
+      longest: 3,
+    });
+  });
+
+  it('reports no streak for an empty journal', async () => {
+    expect(await getStreaks(userId)).toEqual([]);
+    expect(summarizeStreaks([])).toEqual({ current: 0, longest: 0 });
+  });
+});
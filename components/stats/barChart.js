@@ -0,0 +1,46 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+// Minimal vertical bar chart drawn with plain Views; `data` is [{ label, value }]
+const BarChart = ({ data, height = 120, color = '#4285f4', formatValue = String, showValues = true }) => {
+  const max = Math.max(...data.map((bar) => bar.value), 0);
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.bars, { height }]}>
+        {data.map((bar, index) => (
+          <View key={`${bar.label}-${index}`} style={styles.barColumn}>
+            {showValues && bar.value > 0 && (
+              <Text style={styles.value} numberOfLines={1}>{formatValue(bar.value)}</Text>
+            )}
+            <View
+              style={[
+                styles.bar,
+                { backgroundColor: color, height: max ? (bar.value / max) * (height - 16) : 0 },
+              ]}
+            />
+          </View>
+        ))}
+      </View>
+      <View style={styles.labels}>
+        {data.map((bar, index) => (
+          <Text key={`${bar.label}-${index}`} style={styles.label} numberOfLines={1}>
+            {bar.label}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { width: '100%' },
+  bars: { flexDirection: 'row', alignItems: 'flex-end' },
+  barColumn: { flex: 1, alignItems: 'center', justifyContent: 'flex-end', marginHorizontal: 1 },
+  bar: { width: '70%', borderTopLeftRadius: 3, borderTopRightRadius: 3 },
+  value: { fontSize: 9, color: '#666' },
+  labels: { flexDirection: 'row', marginTop: 4 },
+  label: { flex: 1, fontSize: 9, color: '#666', textAlign: 'center' },
+});
+
+export default BarChart;
@@ -0,0 +1,105 @@
+import { database } from '../database/database';
+import { categoryLabel } from '../categories/categories';
+import { startOfDay, addDays, toDayKey } from '../utils/dates';
+
+// Reporting window ending today (inclusive), as an ISO [start, end) range
+const getPeriodRange = (days, now = new Date()) => {
+  const end = addDays(startOfDay(now), 1);
+  return { start: addDays(end, -days).toISOString(), end: end.toISOString() };
+};
+
+const getEntriesPerDay = async (userId, { start, end }) =>
+  database.query(
+    `SELECT date(date, 'localtime') AS day, COUNT(*) AS count FROM journals
+      WHERE userId = ? AND date >= ? AND date < ? AND deletedAt IS NULL
+      GROUP BY day ORDER BY day`,
+    [userId, start, end]
+  );
+
+const getCategoryDistribution = async (userId, { start, end }) => {
+  const rows = await database.query(
+    `SELECT categories.name AS category, COUNT(*) AS count FROM journals
+      LEFT JOIN categories ON categories.id = journals.categoryId
+      WHERE journals.userId = ? AND journals.date >= ? AND journals.date < ?
+        AND journals.deletedAt IS NULL
+      GROUP BY journals.categoryId
+      ORDER BY count DESC`,
+    [userId, start, end]
+  );
+  return rows.map((row) => ({ label: categoryLabel(row.category), count: row.count }));
+};
+
+// Runs of consecutive local days with at least one entry (gaps and islands:
+// day number minus row number is constant within a run)
+const getStreaks = async (userId) =>
+  database.query(
+    `WITH days AS (
+        SELECT DISTINCT date(date, 'localtime') AS day FROM journals
+          WHERE userId = ? AND deletedAt IS NULL
+      ),
+      islands AS (
+        SELECT day, julianday(day) - ROW_NUMBER() OVER (ORDER BY day) AS island FROM days
+      )
+      SELECT MIN(day) AS start, MAX(day) AS end, COUNT(*) AS length FROM islands
+      GROUP BY island
+      ORDER BY end DESC`,
+    [userId]
+  );
+
+// Current streak counts only if it reaches today or yesterday
+const summarizeStreaks = (streaks, now = new Date()) => {
+  const longest = streaks.reduce((max, streak) => Math.max(max, streak.length), 0);
+  const latest = streaks[0];
+  const recent = [toDayKey(now), toDayKey(addDays(now, -1))];
+  const current = latest && recent.includes(latest.end) ? latest.length : 0;
+  return { current, longest };
+};
+
+// Average of daily calorie totals per week, over days that have calorie data.
+// A week is keyed by its local Monday, so one spanning New Year stays whole.
+const getWeeklyCalories = async (userId, { start, end }) =>
+  database.query(
+    `SELECT week, MIN(day) AS firstDay, AVG(total) AS averageCalories, COUNT(*) AS days FROM (
+        SELECT date(date, 'localtime') AS day,
+          date(date, 'localtime', 'weekday 0', '-6 days') AS week,
+          SUM(calories) AS total
+        FROM journals
+        WHERE userId = ? AND date >= ? AND date < ? AND deletedAt IS NULL AND calories IS NOT NULL
+        GROUP BY day
+      )
+      GROUP BY week
+      ORDER BY week`,
+    [userId, start, end]
+  );
+
+const getDailyCalories = async (userId, { start, end }) =>
+  database.query(
+    `SELECT date(date, 'localtime') AS day, SUM(calories) AS calories FROM journals
+      WHERE userId = ? AND date >= ? AND date < ? AND deletedAt IS NULL AND calories IS NOT NULL
+      GROUP BY day ORDER BY day`,
+    [userId, start, end]
+  );
+
+// One bucket per day of the window, including days without entries
+const fillDays = (rows, days, now = new Date()) => {
+  const counts = {};
+  rows.forEach((row) => {
+    counts[row.day] = row.count;
+  });
+  return Array.from({ length: days }, (_, i) => {
+    const day = addDays(startOfDay(now), i - days + 1);
+    const key = toDayKey(day);
+    return { day: key, date: day, count: counts[key] || 0 };
+  });
+};
+
+export {
+  getPeriodRange,
+  getEntriesPerDay,
+  getCategoryDistribution,
+  getStreaks,
+  summarizeStreaks,
+  getWeeklyCalories,
+  getDailyCalories,
+  fillDays,
+};
@@ -0,0 +1,304 @@
+import { createMockServer } from '../mockServer';
+import { loadDevice } from '../../../test/device';
+import { uniqueEmail, entryFields, item } from '../../../test/fixtures';
+
+const ENDPOINT = 'mock://test';
+const PASSWORD = 'correct horse';
+
+// Two phones, each with its own database, syncing through one server
+const openDevice = async (name) => {
+  const device = loadDevice(name, () => ({
+    database: require('../../database/database'),
+    UsersRepo: require('../../database/usersRepo'),
+    JournalsRepo: require('../../database/journalsRepo'),
+    foods: require('../../food/foods'),
+    history: require('../../journal/history'),
+    households: require('../../households/households'),
+    syncClient: require('../syncClient'),
+  }));
+  await device.database.initDatabase();
+  return device;
+};
+
+let server;
+let requests;
+let phoneA;
+let phoneB;
+
+beforeAll(async () => {
+  phoneA = await openDevice('phoneA');
+  phoneB = await openDevice('phoneB');
+});
+
+beforeEach(() => {
+  server = createMockServer();
+  requests = [];
+});
+
+const transport = (url, options = {}) => {
+  requests.push({ url, ...options });
+  return server.fetch(url, options);
+};
+
+// The same account signed up on both phones
+const signUp = async (email = uniqueEmail()) => {
+  const userA = await phoneA.UsersRepo.create({ email, passwordHash: 'local-hash-A' });
+  const userB = await phoneB.UsersRepo.create({ email, passwordHash: 'local-hash-B' });
+  return { userA, userB };
+};
+
+const connect = (device, userId, password = PASSWORD) =>
+  device.syncClient.connectSync(userId, password, { endpoint: ENDPOINT, fetch: transport });
+
+const sync = (device, userId) =>
+  device.syncClient.syncNow(userId, { endpoint: ENDPOINT, fetch: transport });
+
+const findBySyncId = async (device, userId, syncId) =>
+  device.database.database.queryOne('SELECT * FROM journals WHERE userId = ? AND syncId = ?', [
+    userId,
+    syncId,
+  ]);
+
+const countOrphans = async (device) =>
+  device.database.database.queryOne(
+    `SELECT
+      (SELECT COUNT(*) FROM journal_items
+        WHERE journalId NOT IN (SELECT id FROM journals)) AS items,
+      (SELECT COUNT(*) FROM journal_history
+        WHERE journalId NOT IN (SELECT id FROM journals)) AS history`
+  );
+
+// Field clocks have millisecond resolution; keep edits on both phones apart
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+// An entry logged on phone A and synced to phone B; returns both local ids
+const shareEntry = async ({ userA, userB }, fields, items = []) => {
+  const idA = await phoneA.JournalsRepo.create(userA, entryFields(fields), items);
+  await sync(phoneA, userA);
+  await sync(phoneB, userB);
+  const { syncId } = await phoneA.JournalsRepo.findById(idA);
+  const { id: idB } = await findBySyncId(phoneB, userB, syncId);
+  return { idA, idB, syncId };
+};
+
+describe('sync login', () => {
+  it('refuses to sync before the account is connected', async () => {
+    const { userA } = await signUp();
+    await expect(sync(phoneA, userA)).rejects.toThrow('Connect to the sync server');
+    expect(requests).toEqual([]);
+  });
+
+  it('answers push and pull without a valid token with 401', async () => {
+    const { userA } = await signUp();
+    await connect(phoneA, userA);
+    const { syncId } = await phoneA.UsersRepo.findById(userA);
+
+    const pull = await server.fetch(`${ENDPOINT}/sync/pull?since=0&user=${syncId}`);
+    const push = await server.fetch(`${ENDPOINT}/sync/push`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer forged' },
+      body: JSON.stringify({ journals: [] }),
+    });
+
+    expect(pull.status).toBe(401);
+    expect(push.status).toBe(401);
+  });
+
+  it('rejects a second device with the wrong password', async () => {
+    const { userA, userB } = await signUp();
+    await connect(phoneA, userA);
+
+    await expect(connect(phoneB, userB, 'guess')).rejects.toMatchObject({
+      name: 'SyncError',
+      loginRequired: true,
+    });
+    expect(await phoneB.syncClient.isSyncConnected(userB)).toBe(false);
+  });
+
+  it('never sends or stores the password hash', async () => {
+    const { userA, userB } = await signUp();
+    await phoneA.JournalsRepo.create(userA, entryFields());
+    await connect(phoneA, userA);
+    await sync(phoneA, userA);
+    await connect(phoneB, userB);
+    await sync(phoneB, userB);
+
+    const sent = JSON.stringify(requests);
+    expect(sent).not.toContain('local-hash');
+    const [account] = Object.values(server.state.users);
+    expect(Object.keys(account.record.fields)).toEqual(['email']);
+    expect((await phoneB.UsersRepo.findById(userB)).password).toBe('local-hash-B');
+  });
+
+  it('does not hand one account journal to another', async () => {
+    const { userA } = await signUp();
+    const other = await phoneB.UsersRepo.create({ email: uniqueEmail(), passwordHash: 'hash' });
+    await phoneA.JournalsRepo.create(userA, entryFields({ description: 'Private' }));
+    await connect(phoneA, userA);
+    await sync(phoneA, userA);
+
+    await connect(phoneB, other, 'another password');
+    expect(await sync(phoneB, other)).toEqual({ pushed: 0, pulled: 0 });
+  });
+
+  it('drops the token when the server no longer accepts it', async () => {
+    const { userA } = await signUp();
+    await connect(phoneA, userA);
+    server.state.tokens = {};
+
+    await expect(sync(phoneA, userA)).rejects.toMatchObject({ loginRequired: true });
+    expect(await phoneA.syncClient.isSyncConnected(userA)).toBe(false);
+  });
+});
+
+describe('sync between two devices', () => {
+  let users;
+
+  beforeEach(async () => {
+    users = await signUp();
+    await connect(phoneA, users.userA);
+    await connect(phoneB, users.userB);
+  });
+
+  it('brings entries and their items to the other device', async () => {
+    const { idB } = await shareEntry(users, { description: 'Oat bowl', calories: 350 }, [
+      item('Oats', 300),
+      item('Blueberries', 50),
+    ]);
+
+    expect(await phoneB.JournalsRepo.findById(idB)).toMatchObject({
+      description: 'Oat bowl',
+      calories: 350,
+      imageMissing: 1,
+    });
+    const items = await phoneB.foods.getJournalItems(idB);
+    expect(items.map((row) => row.name)).toEqual(['Oats', 'Blueberries']);
+  });
+
+  it('merges concurrent edits of different fields', async () => {
+    const { userA, userB } = users;
+    const lentils = [item('Lentils', 200)];
+    const { idA, idB } = await shareEntry(users, { description: 'Soup', calories: 200 }, lentils);
+
+    // Saved from the entry form, items and all, as the app does
+    await phoneB.JournalsRepo.update(idB, entryFields({ description: 'Soup', calories: 320 }), [
+      item('Lentils', 200),
+    ]);
+    await tick();
+    await phoneA.history.updateWithHistory(
+      idA,
+      entryFields({ description: 'Lentil soup', calories: 200 }),
+      [item('Lentils', 200)]
+    );
+    await sync(phoneA, userA);
+    await sync(phoneB, userB);
+    await sync(phoneA, userA);
+
+    const expected = { description: 'Lentil soup', calories: 320 };
+    expect(await phoneA.JournalsRepo.findById(idA)).toMatchObject(expected);
+    expect(await phoneB.JournalsRepo.findById(idB)).toMatchObject(expected);
+  });
+
+  it('keeps an item edit when the other device later saved only other fields', async () => {
+    const { userA, userB } = users;
+    const { idA, idB } = await shareEntry(users, { description: 'Salad' }, [item('Leaves', 20)]);
+
+    await phoneB.history.updateWithHistory(idB, entryFields({ description: 'Salad' }), [
+      item('Leaves', 20),
+      item('Feta', 90),
+    ]);
+    await tick();
+    await phoneA.JournalsRepo.update(idA, entryFields({ description: 'Greek salad' }), [
+      item('Leaves', 20),
+    ]);
+    await sync(phoneA, userA);
+    await sync(phoneB, userB);
+    await sync(phoneA, userA);
+
+    for (const [device, id] of [[phoneA, idA], [phoneB, idB]]) {
+      expect((await device.JournalsRepo.findById(id)).description).toBe('Greek salad');
+      const items = await device.foods.getJournalItems(id);
+      expect(items.map((row) => row.name)).toEqual(['Leaves', 'Feta']);
+    }
+  });
+
+  it('keeps the later of two edits to the same field', async () => {
+    const { userA, userB } = users;
+    const { idA, idB } = await shareEntry(users, { description: 'Toast' });
+
+    await phoneB.history.updateWithHistory(idB, entryFields({ description: 'Toast and jam' }));
+    await tick();
+    await phoneA.JournalsRepo.update(idA, entryFields({ description: 'Toast and honey' }));
+    // The older edit reaches the server last and still loses
+    await sync(phoneA, userA);
+    await sync(phoneB, userB);
+    await sync(phoneA, userA);
+
+    expect((await phoneA.JournalsRepo.findById(idA)).description).toBe('Toast and honey');
+    expect((await phoneB.JournalsRepo.findById(idB)).description).toBe('Toast and honey');
+  });
+
+  it('lets a deletion win over a concurrent edit and leaves no orphaned rows', async () => {
+    const { userA, userB } = users;
+    const { idA, idB, syncId } = await shareEntry(users, { description: 'Stew' }, [
+      item('Beef', 400),
+    ]);
+
+    await phoneA.JournalsRepo.remove(idA);
+    await tick();
+    await phoneB.history.updateWithHistory(idB, entryFields({ description: 'Beef stew' }), [
+      item('Beef', 400),
+      item('Carrots', 40),
+    ]);
+    expect(await phoneB.history.getJournalHistory(idB)).toHaveLength(1);
+    await sync(phoneA, userA);
+    await sync(phoneB, userB);
+    await sync(phoneA, userA);
+
+    expect(await findBySyncId(phoneA, userA, syncId)).toBeNull();
+    expect(await findBySyncId(phoneB, userB, syncId)).toBeNull();
+    expect(server.state.journals[syncId]).toBeUndefined();
+    expect(await countOrphans(phoneB)).toEqual({ items: 0, history: 0 });
+  });
+
+  it('keeps both a move to the trash and an edit of another field', async () => {
+    const { userA, userB } = users;
+    const { idA, idB } = await shareEntry(users, { description: 'Curry', calories: 600 });
+
+    await phoneA.JournalsRepo.softDelete(idA);
+    await phoneB.database.database.mutate('UPDATE journals SET calories = ? WHERE id = ?', [
+      650,
+      idB,
+    ]);
+    await sync(phoneA, userA);
+    await sync(phoneB, userB);
+    await sync(phoneA, userA);
+
+    for (const [device, id] of [[phoneA, idA], [phoneB, idB]]) {
+      const journal = await device.JournalsRepo.findById(id);
+      expect(journal.deletedAt).not.toBeNull();
+      expect(journal.calories).toBe(650);
+    }
+  });
+
+  it('keeps household entries on the device', async () => {
+    const { userA, userB } = users;
+    const householdId = await phoneA.households.createHousehold(userA, 'Flat');
+    const shared = await phoneA.JournalsRepo.create(
+      userA,
+      entryFields({ description: 'Shared pizza' }),
+      [],
+      { householdId }
+    );
+    const { syncId } = await phoneA.JournalsRepo.findById(shared);
+
+    await sync(phoneA, userA);
+    await sync(phoneB, userB);
+    await phoneA.JournalsRepo.remove(shared);
+    await sync(phoneA, userA);
+
+    expect(JSON.stringify(requests)).not.toContain('Shared pizza');
+    expect(server.state.journals[syncId]).toBeUndefined();
+    expect(await findBySyncId(phoneB, userB, syncId)).toBeNull();
+  });
+});
@@ -0,0 +1,27 @@
+// Clocks are `${isoTime}|${deviceId}` strings, one per field. ISO times have a
+// fixed width, so plain string order is time order and the device id breaks
+// ties the same way on every device and on the server.
+const compareClocks = (a, b) => {
+  if (a === b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+  return a < b ? -1 : 1;
+};
+
+// Last writer wins per field. Records are { syncId, fields, clock }; returns
+// the merged record and the names of the fields `remote` won.
+const mergeRecords = (local, remote) => {
+  const fields = { ...local.fields };
+  const clock = { ...local.clock };
+  const changed = [];
+  Object.keys(remote.clock || {}).forEach((name) => {
+    if (compareClocks(remote.clock[name], clock[name]) > 0) {
+      fields[name] = remote.fields[name] ?? null;
+      clock[name] = remote.clock[name];
+      changed.push(name);
+    }
+  });
+  return { record: { ...local, fields, clock }, changed };
+};
+
+export { compareClocks, mergeRecords };
@@ -0,0 +1,160 @@
+import * as Crypto from 'expo-crypto';
+import { bytesToHex } from '@noble/hashes/utils';
+import { hashPassword, verifyPassword } from '../auth/password';
+import { mergeRecords } from './merge';
+
+// In-memory stand-in for the sync backend, speaking the same REST protocol
+// through a fetch-compatible function. Point the sync endpoint at
+// `mock://local` to use the shared instance, or create one per test.
+//
+//   POST /sync/login { email, password, syncId } -> { token, userSyncId }
+//   POST /sync/push  { deviceId, user, journals, tombstones } -> { userSyncId, version }
+//   GET  /sync/pull?since=<version>  -> { users, journals, tombstones, version }
+//
+// Login creates the account on first use, keeping its own hash of the
+// password. Push and pull need `Authorization: Bearer <token>`; the account
+// always comes from the token, never from the request.
+const TOKEN_BYTES = 32;
+
+const createMockServer = () => {
+  const state = {
+    version: 0,
+    accounts: {}, // lowercase email -> { userSyncId, passwordHash }
+    tokens: {}, // token -> userSyncId
+    users: {}, // syncId -> { record, version }
+    journals: {}, // syncId -> { record, owner, version }
+    tombstones: {}, // syncId -> { owner, version }
+  };
+
+  const respond = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+  });
+
+  const authorize = (headers = {}) => {
+    const match = /^Bearer (.+)$/.exec(headers.Authorization || '');
+    return match ? state.tokens[match[1]] || null : null;
+  };
+
+  // A second device logging in with the same email joins the same account
+  const login = async ({ email, password, syncId }) => {
+    if (!email || !password || !syncId) {
+      return respond(400, { error: 'email, password and syncId are required' });
+    }
+    const key = email.trim().toLowerCase();
+    let account = state.accounts[key];
+    if (!account) {
+      account = { userSyncId: syncId, passwordHash: await hashPassword(password) };
+      state.accounts[key] = account;
+    } else if (!(await verifyPassword(password, account.passwordHash))) {
+      return respond(401, { error: 'wrong email or password' });
+    }
+    const token = bytesToHex(await Crypto.getRandomBytesAsync(TOKEN_BYTES));
+    state.tokens[token] = account.userSyncId;
+    return respond(200, { token, userSyncId: account.userSyncId });
+  };
+
+  const store = (collection, syncId, record, extra = {}) => {
+    const existing = collection[syncId];
+    if (!existing) {
+      state.version += 1;
+      collection[syncId] = { record: { ...record, syncId }, version: state.version, ...extra };
+      return;
+    }
+    const { record: merged, changed } = mergeRecords(existing.record, record);
+    if (changed.length) {
+      state.version += 1;
+      collection[syncId] = { ...existing, record: merged, version: state.version };
+    }
+  };
+
+  // Only the email is kept for the account; anything else in `user` is dropped
+  const push = (owner, { user, journals = [], tombstones = [] }) => {
+    if (user?.fields?.email) {
+      store(state.users, owner, {
+        fields: { email: user.fields.email },
+        clock: { email: user.clock?.email },
+      });
+    }
+
+    journals.forEach((record) => {
+      const existing = state.journals[record.syncId];
+      // Deletion is final, and entries cannot change hands
+      if (state.tombstones[record.syncId]) return;
+      if (existing && existing.owner !== owner) return;
+      store(state.journals, record.syncId, record, { owner });
+    });
+
+    tombstones.forEach(({ syncId }) => {
+      const existing = state.journals[syncId];
+      if (!existing || existing.owner !== owner) return;
+      delete state.journals[syncId];
+      state.version += 1;
+      state.tombstones[syncId] = { owner, version: state.version };
+    });
+
+    return respond(200, { userSyncId: owner, version: state.version });
+  };
+
+  const pull = (owner, { since }) => {
+    const after = Number(since) || 0;
+    const account = state.users[owner];
+    return respond(200, {
+      users: account && account.version > after ? [account.record] : [],
+      journals: Object.values(state.journals)
+        .filter((entry) => entry.owner === owner && entry.version > after)
+        .map((entry) => entry.record),
+      tombstones: Object.keys(state.tombstones)
+        .filter((syncId) => {
+          const tombstone = state.tombstones[syncId];
+          return tombstone.owner === owner && tombstone.version > after;
+        })
+        .map((syncId) => ({ tableName: 'journals', syncId })),
+      version: state.version,
+    });
+  };
+
+  const parseQuery = (text) => {
+    const params = {};
+    text.split('&').filter(Boolean).forEach((pair) => {
+      const [key, value = ''] = pair.split('=');
+      params[decodeURIComponent(key)] = decodeURIComponent(value);
+    });
+    return params;
+  };
+
+  const fetch = async (url, options = {}) => {
+    const [path, query = ''] = url.replace(/^[a-z]+:\/\/[^/]*/i, '').split('?');
+    const method = (options.method || 'GET').toUpperCase();
+    try {
+      if (method === 'POST' && path.endsWith('/sync/login')) {
+        return await login(JSON.parse(options.body || '{}'));
+      }
+      const isPush = method === 'POST' && path.endsWith('/sync/push');
+      const isPull = method === 'GET' && path.endsWith('/sync/pull');
+      if (isPush || isPull) {
+        const owner = authorize(options.headers);
+        if (!owner) return respond(401, { error: 'login required' });
+        return isPush
+          ? push(owner, JSON.parse(options.body || '{}'))
+          : pull(owner, parseQuery(query));
+      }
+      return respond(404, { error: 'not found' });
+    } catch (error) {
+      return respond(400, { error: error.message });
+    }
+  };
+
+  return { fetch, state };
+};
+
+let sharedServer = null;
+
+// One server for the app's lifetime, so data survives between syncs
+const getMockServer = () => {
+  if (!sharedServer) sharedServer = createMockServer();
+  return sharedServer;
+};
+
+export { createMockServer, getMockServer };
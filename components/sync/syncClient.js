@@ -0,0 +1,149 @@
+import { getSetting, setSetting } from '../database/settings';
+import * as UsersRepo from '../database/usersRepo';
+import { cleanupOrphanedImages } from '../media/imageStore';
+import {
+  getDeviceId,
+  getSyncState,
+  saveSyncState,
+  collectChanges,
+  adoptUserSyncId,
+  pruneTombstones,
+  applyChanges,
+} from './syncStore';
+import { getMockServer } from './mockServer';
+
+const MOCK_SCHEME = 'mock://';
+
+class SyncError extends Error {
+  constructor(message, cause, { loginRequired = false } = {}) {
+    super(message);
+    this.name = 'SyncError';
+    this.cause = cause;
+    this.loginRequired = loginRequired;
+  }
+}
+
+const getSyncEndpoint = async (userId) => getSetting(userId, 'syncEndpoint', '');
+
+// A login token belongs to one server, so changing the server drops it
+const setSyncEndpoint = async (userId, endpoint) => {
+  const next = endpoint.trim();
+  if (next === (await getSyncEndpoint(userId))) return;
+  await setSetting(userId, 'syncEndpoint', next);
+  await setSetting(userId, 'syncToken', null);
+};
+
+const isSyncConnected = async (userId) => !!(await getSetting(userId, 'syncToken'));
+
+const disconnectSync = async (userId) => setSetting(userId, 'syncToken', null);
+
+// mock:// endpoints are served in-process by the mock server
+const transportFor = (endpoint) =>
+  endpoint.startsWith(MOCK_SCHEME) ? getMockServer().fetch : fetch;
+
+const request = async (send, url, options) => {
+  let response;
+  try {
+    response = await send(url, options);
+  } catch (error) {
+    throw new SyncError('Could not reach the sync server', error);
+  }
+  if (response.status === 401) {
+    throw new SyncError('The sync server did not accept the login', null, {
+      loginRequired: true,
+    });
+  }
+  if (!response.ok) {
+    throw new SyncError(`The sync server answered with status ${response.status}`);
+  }
+  return response.json();
+};
+
+const resolveEndpoint = async (userId, endpoint) => {
+  const base = (endpoint ?? (await getSyncEndpoint(userId))).replace(/\/+$/, '');
+  if (!base) throw new SyncError('No sync server is configured');
+  return base;
+};
+
+// Log in to the sync server with the account's password, creating the
+// server account on first use, and keep the token for later syncs. The
+// password itself is never stored or synced.
+const connectSync = async (userId, password, { endpoint, fetch: send } = {}) => {
+  const base = await resolveEndpoint(userId, endpoint);
+  const user = await UsersRepo.findById(userId);
+  const { token, userSyncId } = await request(send || transportFor(base), `${base}/sync/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: user.email, password, syncId: user.syncId }),
+  });
+  if (userSyncId && userSyncId !== user.syncId) await adoptUserSyncId(userId, userSyncId);
+  await setSetting(userId, 'syncToken', token);
+};
+
+let running = null;
+
+// Push local changes, then pull everything newer than the last pull. Both
+// sides merge field by field, so running it again is always safe. Pass
+// `fetch` to talk to another transport (tests, a mock server instance).
+// Returns { pushed, pulled }.
+const syncNow = (userId, options = {}) => {
+  if (!running) {
+    running = runSync(userId, options)
+      .catch(async (error) => {
+        // The saved token expired or was revoked; the user has to connect again
+        if (error.loginRequired) await disconnectSync(userId);
+        throw error;
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+};
+
+const runSync = async (userId, { endpoint, fetch: send } = {}) => {
+  const base = await resolveEndpoint(userId, endpoint);
+  const transport = send || transportFor(base);
+  const token = await getSetting(userId, 'syncToken');
+  if (!token) throw new SyncError('Connect to the sync server with your password first');
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const state = await getSyncState(userId);
+  const startedAt = new Date().toISOString();
+  const changes = await collectChanges(userId, state.lastPushedAt);
+  const pushed = await request(transport, `${base}/sync/push`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ deviceId: await getDeviceId(), ...changes }),
+  });
+
+  if (pushed.userSyncId && pushed.userSyncId !== changes.user.syncId) {
+    await adoptUserSyncId(userId, pushed.userSyncId);
+  }
+  await pruneTombstones(userId, startedAt);
+
+  const pulled = await request(transport, `${base}/sync/pull?since=${state.lastPulledVersion}`, {
+    method: 'GET',
+    headers,
+  });
+  const applied = await applyChanges(userId, pulled);
+  if (pulled.tombstones?.length) await cleanupOrphanedImages();
+
+  await saveSyncState({
+    userId,
+    lastPushedAt: startedAt,
+    lastPulledVersion: pulled.version ?? state.lastPulledVersion,
+    lastSyncedAt: new Date().toISOString(),
+  });
+  return { pushed: changes.journals.length + changes.tombstones.length, pulled: applied };
+};
+
+export {
+  SyncError,
+  getSyncEndpoint,
+  setSyncEndpoint,
+  isSyncConnected,
+  connectSync,
+  disconnectSync,
+  syncNow,
+};
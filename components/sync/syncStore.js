@@ -0,0 +1,258 @@
+import { database, transaction } from '../database/database';
+import * as UsersRepo from '../database/usersRepo';
+import { getItemsByJournal, itemFromRow, saveJournalItems } from '../food/foods';
+import { getCategories, createCategory } from '../categories/categories';
+import { NUTRIENTS } from '../nutrition/nutrition';
+import { mergeRecords } from './merge';
+
+// Local side of sync: turns changed rows into records ({ syncId, fields,
+// clock }) and writes merged records back. Clocks are kept by triggers
+// (migration 15); photos stay on the device that took them. The password
+// hash never leaves the device. Household entries are not synced: they
+// belong to the household on this device, not to one account, so only
+// personal entries (householdId IS NULL) are sent, merged or deleted.
+const USER_FIELDS = ['email'];
+const JOURNAL_COLUMNS = [
+  'description',
+  'date',
+  ...NUTRIENTS.map(({ key }) => key),
+  'isFavorite',
+  'deletedAt',
+];
+
+const parseClock = (value) => {
+  try {
+    return JSON.parse(value) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const toUserRecord = (row) => {
+  const clock = parseClock(row.fieldClock);
+  return {
+    syncId: row.syncId,
+    fields: Object.fromEntries(USER_FIELDS.map((name) => [name, row[name]])),
+    clock: Object.fromEntries(USER_FIELDS.map((name) => [name, clock[name]])),
+  };
+};
+
+// Categories are per-device ids, so records carry the category name instead
+const toJournalRecord = (row, items) => {
+  const { categoryId, ...clock } = parseClock(row.fieldClock);
+  const fields = { category: row.category ?? null };
+  JOURNAL_COLUMNS.forEach((name) => {
+    fields[name] = row[name] ?? null;
+  });
+  fields.items = items.map(({ name, quantity, unit, calories, protein, carbs, fat }) => ({
+    name,
+    quantity,
+    unit,
+    calories,
+    protein,
+    carbs,
+    fat,
+  }));
+  return { syncId: row.syncId, fields, clock: { ...clock, category: categoryId } };
+};
+
+const toLocalClock = ({ category, ...clock }) => ({ ...clock, categoryId: category });
+
+const getDeviceId = async () => {
+  const rows = await database.query('SELECT deviceId FROM sync_meta WHERE id = 1');
+  return rows[0].deviceId;
+};
+
+const getSyncState = async (userId) => {
+  const rows = await database.query('SELECT * FROM sync_state WHERE userId = ?', [userId]);
+  return rows[0] || { userId, lastPulledVersion: 0, lastPushedAt: null, lastSyncedAt: null };
+};
+
+const saveSyncState = async (state) =>
+  database.mutate(
+    `INSERT OR REPLACE INTO sync_state (userId, lastPulledVersion, lastPushedAt, lastSyncedAt)
+      VALUES (?, ?, ?, ?)`,
+    [state.userId, state.lastPulledVersion, state.lastPushedAt, state.lastSyncedAt]
+  );
+
+// Rows changed locally after `since` (everything when null), plus deletions.
+// The user's own record is always included. Deleted household entries leave
+// tombstones too; the server ignores ids it never received.
+const collectChanges = async (userId, since) => {
+  const changedAfter = since ? ' AND journals.updatedAt > ?' : '';
+  const params = since ? [userId, since] : [userId];
+  const [users, rows, tombstones] = await Promise.all([
+    database.query('SELECT * FROM users WHERE id = ?', [userId]),
+    database.query(
+      `SELECT journals.*, categories.name AS category FROM journals
+        LEFT JOIN categories ON categories.id = journals.categoryId
+        WHERE journals.userId = ? AND journals.householdId IS NULL${changedAfter}`,
+      params
+    ),
+    database.query(
+      `SELECT tableName, syncId FROM sync_tombstones
+        WHERE userId = ? AND tableName = 'journals'${since ? ' AND deletedAt > ?' : ''}`,
+      params
+    ),
+  ]);
+  const itemsByJournal = await getItemsByJournal(rows.map((row) => row.id));
+  return {
+    user: toUserRecord(users[0]),
+    journals: rows.map((row) => toJournalRecord(row, itemsByJournal[row.id] || [])),
+    tombstones,
+  };
+};
+
+// The server may know this account under another id (first sync from a
+// second device); from then on the server's id is used
+const adoptUserSyncId = async (userId, syncId) => UsersRepo.setSyncId(userId, syncId);
+
+const pruneTombstones = async (userId, before) =>
+  database.mutate('DELETE FROM sync_tombstones WHERE userId = ? AND deletedAt <= ?', [
+    userId,
+    before,
+  ]);
+
+// Category ids for the given names, creating categories this device lacks
+const resolveCategories = async (userId, names) => {
+  const ids = {};
+  (await getCategories(userId)).forEach((cat) => {
+    ids[cat.name.toLowerCase()] = cat.id;
+  });
+  for (const name of names) {
+    const key = name.trim().toLowerCase();
+    if (!ids[key]) ids[key] = await createCategory(userId, name);
+  }
+  return (name) => (name ? ids[name.trim().toLowerCase()] ?? null : null);
+};
+
+// Write the pulled changes; returns how many records changed locally.
+// updatedAt is put back afterwards so merged rows are not pushed again.
+const applyChanges = async (userId, { users = [], journals = [], tombstones = [] }) => {
+  const [localUser] = await database.query('SELECT * FROM users WHERE id = ?', [userId]);
+  const userMerge = users
+    .filter((record) => record.syncId === localUser.syncId)
+    .map((record) => mergeRecords(toUserRecord(localUser), record))[0];
+
+  const syncIds = journals.map((record) => record.syncId);
+  const localRows = syncIds.length
+    ? await database.query(
+      `SELECT journals.*, categories.name AS category FROM journals
+        LEFT JOIN categories ON categories.id = journals.categoryId
+        WHERE journals.userId = ? AND journals.householdId IS NULL
+          AND journals.syncId IN (${syncIds.map(() => '?').join(', ')})`,
+      [userId, ...syncIds]
+    )
+    : [];
+  const itemsByJournal = await getItemsByJournal(localRows.map((row) => row.id));
+  const localBySyncId = {};
+  localRows.forEach((row) => {
+    localBySyncId[row.syncId] = row;
+  });
+
+  const writes = journals.map((record) => {
+    const local = localBySyncId[record.syncId];
+    if (!local) return { record, local: null, changed: null };
+    const merged = mergeRecords(toJournalRecord(local, itemsByJournal[local.id] || []), record);
+    return { record: merged.record, local, changed: merged.changed };
+  });
+  const categoryNames = writes
+    .filter(({ local, changed }) => !local || changed.includes('category'))
+    .map(({ record }) => record.fields.category)
+    .filter(Boolean);
+  const categoryIdFor = await resolveCategories(userId, [...new Set(categoryNames)]);
+
+  let applied = 0;
+  await transaction(async (tx) => {
+    if (userMerge?.changed.length) {
+      const { fields, clock } = userMerge.record;
+      await tx.mutate(
+        `UPDATE users SET ${USER_FIELDS.map((name) => `${name} = ?`).join(', ')} WHERE id = ?`,
+        [...USER_FIELDS.map((name) => fields[name]), userId]
+      );
+      await tx.mutate('UPDATE users SET fieldClock = ?, updatedAt = ? WHERE id = ?', [
+        JSON.stringify({ ...parseClock(localUser.fieldClock), ...clock }),
+        localUser.updatedAt,
+        userId,
+      ]);
+      applied += 1;
+    }
+
+    for (const { record, local, changed } of writes) {
+      const { fields } = record;
+      let id = local?.id;
+      if (!local) {
+        const columns = [...JOURNAL_COLUMNS, 'categoryId'];
+        const { insertId } = await tx.mutate(
+          `INSERT INTO journals (userId, syncId, imageMissing, ${columns.join(', ')})
+            VALUES (?, ?, 1, ${columns.map(() => '?').join(', ')})`,
+          [
+            userId,
+            record.syncId,
+            ...JOURNAL_COLUMNS.map((name) => fields[name] ?? null),
+            categoryIdFor(fields.category),
+          ]
+        );
+        id = insertId;
+        await saveJournalItems(id, (fields.items || []).map(itemFromRow), tx);
+      } else if (changed.length) {
+        const columns = changed.filter((name) => JOURNAL_COLUMNS.includes(name));
+        const values = columns.map((name) => fields[name] ?? null);
+        if (changed.includes('category')) {
+          columns.push('categoryId');
+          values.push(categoryIdFor(fields.category));
+        }
+        if (columns.length) {
+          await tx.mutate(
+            `UPDATE journals SET ${columns.map((name) => `${name} = ?`).join(', ')} WHERE id = ?`,
+            [...values, id]
+          );
+        }
+        if (changed.includes('items')) {
+          await saveJournalItems(id, (fields.items || []).map(itemFromRow), tx);
+        }
+      } else {
+        continue;
+      }
+      await tx.mutate('UPDATE journals SET fieldClock = ?, updatedAt = ? WHERE id = ?', [
+        JSON.stringify(toLocalClock(record.clock)),
+        local ? local.updatedAt : null,
+        id,
+      ]);
+      applied += 1;
+    }
+
+    const deleted = tombstones
+      .filter((tombstone) => tombstone.tableName === 'journals')
+      .map((tombstone) => tombstone.syncId);
+    for (const syncId of deleted) {
+      const { changes } = await tx.mutate(
+        'DELETE FROM journals WHERE userId = ? AND householdId IS NULL AND syncId = ?',
+        [userId, syncId]
+      );
+      applied += changes;
+    }
+    // The delete trigger recorded these; they came from the server already
+    if (deleted.length) {
+      await tx.mutate(
+        `DELETE FROM sync_tombstones WHERE userId = ? AND syncId IN (${deleted
+          .map(() => '?')
+          .join(', ')})`,
+        [userId, ...deleted]
+      );
+    }
+  });
+  return applied;
+};
+
+export {
+  USER_FIELDS,
+  JOURNAL_COLUMNS,
+  getDeviceId,
+  getSyncState,
+  saveSyncState,
+  collectChanges,
+  adoptUserSyncId,
+  pruneTombstones,
+  applyChanges,
+};
@@ -0,0 +1,29 @@
+// Journal dates are stored as UTC ISO strings; "a day" is always the
+// user's local calendar day, so ranges are built from local midnight.
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+// Half-open [start, end) range in ISO form, ready for `date >= ? AND date < ?`
+const getDayRange = (date) => {
+  const start = startOfDay(date);
+  return { start: start.toISOString(), end: addDays(start, 1).toISOString() };
+};
+
+// Local YYYY-MM-DD key, used to group entries by calendar day
+const toDayKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+export { startOfDay, addDays, getDayRange, toDayKey };
@@ -0,0 +1,10 @@
+// Turn free text into an FTS5 prefix query: "chick bre" -> "chick"* "bre"*
+const toMatchQuery = (text) =>
+  (text || '')
+    .split(/\s+/)
+    .map((token) => token.replace(/"/g, ''))
+    .filter(Boolean)
+    .map((token) => `"${token}"*`)
+    .join(' ');
+
+export { toMatchQuery };
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Rect, Circle, Polyline } from 'react-native-svg';
+import { fromKg } from './weight';
+
+const HEIGHT = 180;
+const PADDING = 8;
+
+// Weight dots with their trend line, drawn over daily calorie bars on a
+// separate scale, one column per day of `days`
+const TrendChart = ({ days, weights, caloriesByDay, unit }) => {
+  const [width, setWidth] = useState(0);
+
+  const columnWidth = days.length ? (width - PADDING * 2) / days.length : 0;
+  const dayIndex = {};
+  days.forEach((day, index) => {
+    dayIndex[day.day] = index;
+  });
+  const x = (day) => PADDING + columnWidth * (dayIndex[day] + 0.5);
+
+  const visible = weights.filter((point) => dayIndex[point.day] !== undefined);
+  const values = visible.flatMap((point) => [point.weightKg, point.trendKg]);
+  const min = values.length ? Math.min(...values) - 0.5 : 0;
+  const max = values.length ? Math.max(...values) + 0.5 : 1;
+  const y = (kg) => PADDING + (HEIGHT - PADDING * 2) * (1 - (kg - min) / (max - min));
+
+  const maxCalories = Math.max(0, ...days.map((day) => caloriesByDay[day.day] || 0));
+  const barHeight = (calories) => (maxCalories ? (calories / maxCalories) * HEIGHT * 0.4 : 0);
+
+  return (
+    <View onLayout={(event) => setWidth(event.nativeEvent.layout.width)}>
+      {width > 0 && (
+        <Svg width={width} height={HEIGHT}>
+          {days.map((day, index) => {
+            const height = barHeight(caloriesByDay[day.day] || 0);
+            return height > 0 ? (
+              <Rect
+                key={day.day}
+                x={PADDING + columnWidth * index + columnWidth * 0.15}
+                y={HEIGHT - height}
+                width={columnWidth * 0.7}
+                height={height}
+                fill="#c8e6c9"
+              />
+            ) : null;
+          })}
+          {visible.length > 1 && (
+            <Polyline
+              points={visible.map((point) => `${x(point.day)},${y(point.trendKg)}`).join(' ')}
+              fill="none"
+              stroke="#4285f4"
+              strokeWidth={2}
+            />
+          )}
+          {visible.map((point) => (
+            <Circle key={point.id} cx={x(point.day)} cy={y(point.weightKg)} r={3} fill="#888" />
+          ))}
+        </Svg>
+      )}
+      <View style={styles.axis}>
+        <Text style={styles.axisText}>
+          {days[0]?.date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+        </Text>
+        {values.length > 0 && (
+          <Text style={styles.axisText}>
+            {`${fromKg(min, unit).toFixed(1)}–${fromKg(max, unit).toFixed(1)} ${unit}`}
+          </Text>
+        )}
+        <Text style={styles.axisText}>
+          {days[days.length - 1]?.date.toLocaleDateString(undefined, {
+            month: 'short',
+            day: 'numeric',
+          })}
+        </Text>
+      </View>
+      <View style={styles.legend}>
+        <View style={[styles.swatch, { backgroundColor: '#888' }]} />
+        <Text style={styles.legendText}>Weigh-in</Text>
+        <View style={[styles.swatch, { backgroundColor: '#4285f4' }]} />
+        <Text style={styles.legendText}>Trend</Text>
+        <View style={[styles.swatch, { backgroundColor: '#c8e6c9' }]} />
+        <Text style={styles.legendText}>Calories</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  axis: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 4 },
+  axisText: { fontSize: 11, color: '#666' },
+  legend: { flexDirection: 'row', alignItems: 'center', marginTop: 8 },
+  swatch: { width: 10, height: 10, borderRadius: 2, marginRight: 4 },
+  legendText: { fontSize: 12, color: '#666', marginRight: 12 },
+});
+
+export default TrendChart;
@@ -0,0 +1,60 @@
+import { database } from '../database/database';
+import { getSetting, setSetting } from '../database/settings';
+
+const KG_PER_LB = 0.45359237;
+const UNITS = ['kg', 'lb'];
+// Smoothing factor of the trend line: each weigh-in moves it 10% of the way
+const TREND_ALPHA = 0.1;
+
+// Weights are always stored in kilograms and converted for display
+const toKg = (value, unit) => (unit === 'lb' ? value * KG_PER_LB : value);
+const fromKg = (kg, unit) => (unit === 'lb' ? kg / KG_PER_LB : kg);
+
+const formatWeight = (kg, unit) => `${(Math.round(fromKg(kg, unit) * 10) / 10).toFixed(1)} ${unit}`;
+
+const getWeightUnit = async (userId) => getSetting(userId, 'weightUnit', 'kg');
+
+const setWeightUnit = async (userId, unit) => {
+  await setSetting(userId, 'weightUnit', unit);
+};
+
+const addWeight = async (userId, value, unit, date = new Date()) => {
+  await database.mutate(
+    'INSERT INTO weights (userId, weightKg, date) VALUES (?, ?, ?)',
+    [userId, toKg(value, unit), date.toISOString()]
+  );
+};
+
+const deleteWeight = async (id) => {
+  await database.mutate('DELETE FROM weights WHERE id = ?', [id]);
+};
+
+const getWeights = async (userId, { start, end }) =>
+  database.query(
+    `SELECT id, weightKg, date, date(date, 'localtime') AS day FROM weights
+      WHERE userId = ? AND date >= ? AND date < ? ORDER BY date`,
+    [userId, start, end]
+  );
+
+// Exponential moving average over the measurements in date order; the first
+// weigh-in seeds the trend. Adds `trendKg` to every point.
+const withTrend = (weights, alpha = TREND_ALPHA) => {
+  let trend = null;
+  return weights.map((point) => {
+    trend = trend === null ? point.weightKg : trend + alpha * (point.weightKg - trend);
+    return { ...point, trendKg: trend };
+  });
+};
+
+export {
+  UNITS,
+  toKg,
+  fromKg,
+  formatWeight,
+  getWeightUnit,
+  setWeightUnit,
+  addWeight,
+  deleteWeight,
+  getWeights,
+  withTrend,
+};
@@ -0,0 +1,289 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  FlatList
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import {
+  UNCATEGORIZED_LABEL,
+  getCategories,
+  createCategory,
+  renameCategory,
+  moveCategory,
+  countCategoryEntries,
+  deleteCategory,
+} from '../components/categories/categories';
+
+const CategoriesScreen = ({ route, navigation }) => {
+  const userId = route.params?.userId;
+  const [categories, setCategories] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState('');
+  const [deleting, setDeleting] = useState(null);
+  const [reassignTo, setReassignTo] = useState('');
+
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  const loadCategories = async () => {
+    try {
+      setCategories(await getCategories(userId));
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      Alert.alert('Error', 'Failed to load categories');
+    }
+  };
+
+  const isDuplicate = (name, exceptId = null) =>
+    categories.some(
+      (cat) => cat.id !== exceptId && cat.name.toLowerCase() === name.trim().toLowerCase()
+    );
+
+  const addCategory = async () => {
+    if (!newName.trim()) return;
+    if (isDuplicate(newName)) {
+      Alert.alert('Validation Error', 'A category with this name already exists');
+      return;
+    }
+    try {
+      await createCategory(userId, newName);
+      setNewName('');
+      await loadCategories();
+    } catch (error) {
+      console.error('Create category error:', error);
+      Alert.alert('Error', 'Could not create category');
+    }
+  };
+
+  const saveRename = async () => {
+    if (!renameText.trim()) return;
+    if (isDuplicate(renameText, renamingId)) {
+      Alert.alert('Validation Error', 'A category with this name already exists');
+      return;
+    }
+    try {
+      await renameCategory(renamingId, renameText);
+      setRenamingId(null);
+      await loadCategories();
+    } catch (error) {
+      console.error('Rename category error:', error);
+      Alert.alert('Error', 'Could not rename category');
+    }
+  };
+
+  const move = async (index, offset) => {
+    try {
+      await moveCategory(categories, index, offset);
+      await loadCategories();
+    } catch (error) {
+      console.error('Reorder category error:', error);
+      Alert.alert('Error', 'Could not reorder categories');
+    }
+  };
+
+  // Ask where the affected entries should go before deleting a used category
+  const startDelete = async (cat) => {
+    try {
+      const count = await countCategoryEntries(cat.id);
+      if (count === 0) {
+        await deleteCategory(cat.id);
+        await loadCategories();
+        return;
+      }
+      setDeleting({ ...cat, count });
+      setReassignTo('');
+    } catch (error) {
+      console.error('Delete category error:', error);
+      Alert.alert('Error', 'Could not delete category');
+    }
+  };
+
+  const confirmDelete = async () => {
+    try {
+      await deleteCategory(deleting.id, reassignTo ? Number(reassignTo) : null);
+      setDeleting(null);
+      await loadCategories();
+    } catch (error) {
+      console.error('Delete category error:', error);
+      Alert.alert('Error', 'Could not delete category');
+    }
+  };
+
+  const renderCategory = ({ item, index }) => (
+    <View style={styles.row}>
+      <View style={styles.moveButtons}>
+        <TouchableOpacity onPress={() => move(index, -1)} disabled={index === 0}>
+          <Text style={[styles.moveText, index === 0 && styles.moveDisabled]}>▲</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => move(index, 1)}
+          disabled={index === categories.length - 1}
+        >
+          <Text
+            style={[styles.moveText, index === categories.length - 1 && styles.moveDisabled]}
+          >
+            ▼
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {renamingId === item.id ? (
+        <TextInput
+          value={renameText}
+          onChangeText={setRenameText}
+          style={[styles.input, styles.rowInput]}
+          autoFocus
+          onSubmitEditing={saveRename}
+        />
+      ) : (
+        <Text style={styles.rowName}>{item.name}</Text>
+      )}
+
+      {renamingId === item.id ? (
+        <TouchableOpacity onPress={saveRename}>
+          <Text style={styles.actionText}>Save</Text>
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity
+          onPress={() => {
+            setRenamingId(item.id);
+            setRenameText(item.name);
+          }}
+        >
+          <Text style={styles.actionText}>Rename</Text>
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity onPress={() => startDelete(item)}>
+        <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Categories</Text>
+      </View>
+
+      <View style={styles.addRow}>
+        <TextInput
+          placeholder="New category"
+          value={newName}
+          onChangeText={setNewName}
+          style={[styles.input, styles.rowInput]}
+          onSubmitEditing={addCategory}
+        />
+        <TouchableOpacity style={styles.addButton} onPress={addCategory}>
+          <Text style={styles.addButtonText}>Add</Text>
+        </TouchableOpacity>
+      </View>
+
+      {deleting && (
+        <View style={styles.reassignBox}>
+          <Text style={styles.reassignText}>
+            {`"${deleting.name}" is used by ${deleting.count} entr${deleting.count === 1 ? 'y' : 'ies'}. Move them to:`}
+          </Text>
+          <View style={styles.pickerWrapper}>
+            <Picker selectedValue={reassignTo} onValueChange={setReassignTo}>
+              <Picker.Item label={UNCATEGORIZED_LABEL} value="" />
+              {categories
+                .filter((cat) => cat.id !== deleting.id)
+                .map((cat) => (
+                  <Picker.Item key={cat.id} label={cat.name} value={String(cat.id)} />
+                ))}
+            </Picker>
+          </View>
+          <View style={styles.reassignButtons}>
+            <TouchableOpacity onPress={() => setDeleting(null)}>
+              <Text style={styles.actionText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={confirmDelete}>
+              <Text style={[styles.actionText, styles.deleteText]}>Delete category</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      <FlatList
+        data={categories}
+        keyExtractor={(item) => item.id.toString()}
+        renderItem={renderCategory}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            No categories yet. Entries without one are shown as {UNCATEGORIZED_LABEL}.
+          </Text>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#f8f9fa', paddingHorizontal: 15 },
+  topBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    marginBottom: 20,
+  },
+  backText: { color: '#4285f4', fontSize: 16, fontWeight: 'bold', marginRight: 15 },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#333' },
+  addRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 15 },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: 'white',
+  },
+  rowInput: { flex: 1, marginRight: 10 },
+  addButton: {
+    backgroundColor: '#34a853',
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    borderRadius: 5,
+  },
+  addButtonText: { color: 'white', fontWeight: 'bold' },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  moveButtons: { marginRight: 10 },
+  moveText: { color: '#4285f4', fontSize: 12 },
+  moveDisabled: { color: '#ccc' },
+  rowName: { flex: 1, fontSize: 16 },
+  actionText: { color: '#4285f4', fontWeight: 'bold', marginLeft: 12 },
+  deleteText: { color: '#ea4335' },
+  reassignBox: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  reassignText: { fontSize: 15, marginBottom: 8 },
+  pickerWrapper: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    marginBottom: 8,
+  },
+  reassignButtons: { flexDirection: 'row', justifyContent: 'flex-end' },
+  emptyText: { color: '#666', textAlign: 'center', marginTop: 20 },
+});
+
+export default CategoriesScreen;
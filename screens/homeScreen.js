@@ -10,22 +10,123 @@ import {
   ActivityIndicator,
   Platform,
   KeyboardAvoidingView,
-  Button
+  Button,
+  AppState
 } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
 import { SwipeListView } from 'react-native-swipe-list-view';
-import { executeSql } from '../components/database/database';
+import * as JournalsRepo from '../components/database/journalsRepo';
 import { Picker } from '@react-native-picker/picker';
+import { isSessionValid, endSession } from '../components/auth/session';
+import { forgetDatabaseKey } from '../components/database/encryption';
+import DailySummary from '../components/nutrition/dailySummary';
+import WaterWidget from '../components/hydration/waterWidget';
+import {
+  NUTRIENTS,
+  parseNutrient,
+  formatNutrient,
+  getDailyTotals,
+  getNutritionGoals,
+  saveNutritionGoals,
+} from '../components/nutrition/nutrition';
+import ItemEditor from '../components/food/itemEditor';
+import {
+  computeNutrition,
+  itemFromRow,
+  getJournalItems,
+  getItemsByJournal,
+  formatItem,
+} from '../components/food/foods';
+import {
+  storeImage,
+  getEntryImages,
+  deleteUnusedImages,
+  repairImagesOnce,
+} from '../components/media/imageStore';
+import WeekStrip from '../components/calendar/weekStrip';
+import DateTimeField, { formatDateTime } from '../components/calendar/dateTimeField';
+import {
+  getJournalsInRange,
+  getDaysWithEntries,
+  getWeekDays,
+  groupByCategory,
+} from '../components/calendar/calendar';
+import { getDayRange, addDays, toDayKey } from '../components/utils/dates';
+import {
+  UNCATEGORIZED_LABEL,
+  getCategories,
+  categoryLabel,
+} from '../components/categories/categories';
+import { searchJournals } from '../components/search/journalSearch';
+import HighlightedText from '../components/search/highlightedText';
+import { fetchJournalPage, fetchJournal, mergeJournal } from '../components/journal/pagination';
+import {
+  scheduleReminders,
+  dismissLoggedReminders,
+  cancelReminders,
+} from '../components/reminders/reminders';
+import { getFavorites, setFavorite, logAgain } from '../components/journal/favorites';
+import { softDeleteJournal, restoreJournal } from '../components/journal/trash';
+import { updateWithHistory, restoreVersion } from '../components/journal/history';
+import UndoSnackbar from '../components/journal/undoSnackbar';
+import { getHouseholds, canEditEntry, assertCanEdit } from '../components/households/households';
+
+const emptyNutrition = { calories: '', protein: '', carbs: '', fat: '' };
+
+// Filter-only sentinels; neither is ever written to the database
+const ALL_CATEGORIES = 'all';
+const UNCATEGORIZED = 'none';
+
+const SEARCH_DELAY_MS = 250;
+
+// Filter picker value -> categoryId argument of the journal queries
+const filterToCategoryId = (filter) => {
+  if (filter === ALL_CATEGORIES) return undefined;
+  if (filter === UNCATEGORIZED) return null;
+  return Number(filter);
+};
+
+// Household journals match categories by name, as each member has their own
+const matchesFilter = (journal, filter, categories, householdId) => {
+  const categoryId = filterToCategoryId(filter);
+  if (categoryId === undefined) return true;
+  if (categoryId === null || !householdId) return (journal.categoryId ?? null) === categoryId;
+  return journal.category === categories.find((cat) => cat.id === categoryId)?.name;
+};
 
-const HomeScreen = ({ route }) => {
+// Scope picker value for the personal journal; households use their id
+const PERSONAL = 'personal';
+
+const HomeScreen = ({ route, navigation }) => {
   const [image, setImage] = useState(null);
   const [description, setDescription] = useState('');
   const [journals, setJournals] = useState([]);
   const [editingId, setEditingId] = useState(null);
-  const [category, setCategory] = useState('All');
+  // Form category as a picker value: category id as a string, '' for uncategorized
+  const [category, setCategory] = useState('');
+  const [filterCategory, setFilterCategory] = useState(ALL_CATEGORIES);
+  const [categories, setCategories] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-
-  const categories = ['All', 'Breakfast', 'Lunch', 'Dinner', 'Snacks'];
+  const [nutrition, setNutrition] = useState(emptyNutrition);
+  const [dailyTotals, setDailyTotals] = useState(null);
+  const [goals, setGoals] = useState(null);
+  const [items, setItems] = useState([]);
+  const [entryDate, setEntryDate] = useState(null);
+  const [viewMode, setViewMode] = useState('list');
+  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [dayJournals, setDayJournals] = useState([]);
+  const [markedDays, setMarkedDays] = useState(new Set());
+  const [searchText, setSearchText] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [pageCursor, setPageCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [favorites, setFavorites] = useState([]);
+  // Last delete or update that can still be undone: { id, message, undo }
+  const [undoAction, setUndoAction] = useState(null);
+  const [households, setHouseholds] = useState([]);
+  // null for the personal journal, otherwise the shared household journal shown
+  const [householdId, setHouseholdId] = useState(null);
 
   useEffect(() => {
     const initialize = async () => {
@@ -33,6 +134,8 @@ const HomeScreen = ({ route }) => {
         await ImagePicker.requestCameraPermissionsAsync();
         await ImagePicker.requestMediaLibraryPermissionsAsync();
         await loadJournals();
+        // Not awaited: the list shows while the photos are checked
+        repairStoredImages();
       } catch (err) {
         console.error('Initialization error:', err);
         Alert.alert('Error', 'Failed to initialize screen.');
@@ -43,6 +146,67 @@ const HomeScreen = ({ route }) => {
     initialize();
   }, []);
 
+  // Categories may have been edited on the Categories screen
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', async () => {
+      await loadCategories();
+      await loadHouseholds();
+      await loadJournals();
+    });
+    return unsubscribe;
+  }, [navigation, viewMode, selectedDate, filterCategory, searchText, householdId]);
+
+  // Debounced full-text search, combined with the category filter
+  useEffect(() => {
+    const timer = setTimeout(
+      () => runSearch(searchText, filterCategory, householdId),
+      SEARCH_DELAY_MS
+    );
+    return () => clearTimeout(timer);
+  }, [searchText, filterCategory, householdId]);
+
+  // Opened from a meal reminder: start a new entry in that category
+  useEffect(() => {
+    const presetCategoryId = route.params?.presetCategoryId;
+    if (!presetCategoryId) return;
+    resetForm();
+    setCategory(String(presetCategoryId));
+    navigation.setParams({ presetCategoryId: undefined });
+  }, [route.params?.presetCategoryId]);
+
+  // Re-check the session whenever the app comes back to the foreground
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') ensureSession();
+    });
+    return () => subscription.remove();
+  }, []);
+
+  const goToAuth = () => {
+    navigation.reset({ index: 0, routes: [{ name: 'Auth' }] });
+  };
+
+  // Returns false and bounces back to Auth when the session has expired
+  const ensureSession = async () => {
+    const valid = await isSessionValid(route.params?.sessionToken);
+    if (!valid) {
+      Alert.alert('Session expired', 'Please log in again');
+      goToAuth();
+    }
+    return valid;
+  };
+
+  const logout = async () => {
+    try {
+      await cancelReminders(route.params?.userId);
+      await endSession(route.params?.sessionToken);
+      await forgetDatabaseKey();
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    goToAuth();
+  };
+
   const loadJournals = async () => {
     try {
       const userId = route.params?.userId;
@@ -50,17 +214,249 @@ const HomeScreen = ({ route }) => {
         Alert.alert('Error', 'User not authenticated');
         return;
       }
-      const result = await executeSql(
-        'SELECT * FROM journals WHERE userId = ? ORDER BY date DESC',
-        [userId]
-      );
-      setJournals(result || []);
+      if (!(await ensureSession())) return;
+      await loadFirstPage(filterCategory);
+      await refreshViews();
+    } catch (error) {
+      console.error('Error loading journals:', error);
+      Alert.alert('Error', 'Failed to load journals');
+    }
+  };
+
+  const loadFirstPage = async (filter, scope = householdId) => {
+    const page = await fetchJournalPage(route.params?.userId, {
+      categoryId: filterToCategoryId(filter),
+      householdId: scope,
+    });
+    setJournals(await withItems(page.rows));
+    setPageCursor(page.nextCursor);
+    setHasMore(page.hasMore);
+  };
+
+  // Infinite scroll: append the next keyset page
+  const loadMore = async () => {
+    if (!hasMore || isLoadingMore || searchResults) return;
+    setIsLoadingMore(true);
+    try {
+      const page = await fetchJournalPage(route.params?.userId, {
+        cursor: pageCursor,
+        categoryId: filterToCategoryId(filterCategory),
+        householdId,
+      });
+      const rows = await withItems(page.rows);
+      setJournals((current) => {
+        const loaded = new Set(current.map((journal) => journal.id));
+        return [...current, ...rows.filter((row) => !loaded.has(row.id))];
+      });
+      setPageCursor(page.nextCursor);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more journals:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  // Search results, the day view and the summary are small; refresh them whole
+  const refreshViews = async () => {
+    await runSearch(searchText, filterCategory);
+    await loadDay(selectedDate);
+    await loadSummary();
+    await loadFavorites();
+  };
+
+  const loadFavorites = async () => {
+    try {
+      setFavorites(await getFavorites(route.params?.userId));
+    } catch (error) {
+      console.error('Error loading favorites:', error);
+    }
+  };
+
+  // Apply one saved entry to the loaded list without reloading every page
+  const refreshEntry = async (id) => {
+    // Logging a meal cancels today's reminder for its category and clears
+    // it from the tray if it is already showing
+    scheduleReminders(route.params?.userId)
+      .then(() => dismissLoggedReminders(route.params?.userId))
+      .catch((error) => console.error('Reminder scheduling error:', error));
+    const row = await fetchJournal(id);
+    const [entry] = row ? await withItems([row]) : [];
+    const inScope = entry && (householdId
+      ? entry.householdId === householdId
+      : entry.userId === route.params?.userId && !entry.householdId);
+    setJournals((current) =>
+      inScope && matchesFilter(entry, filterCategory, categories, householdId)
+        ? mergeJournal(current, entry, { hasMore })
+        : current.filter((journal) => journal.id !== id)
+    );
+    await refreshViews();
+  };
+
+  const removeEntry = async (id) => {
+    setJournals((current) => current.filter((journal) => journal.id !== id));
+    await refreshViews();
+  };
+
+  const changeFilter = async (filter) => {
+    setFilterCategory(filter);
+    try {
+      await loadFirstPage(filter);
     } catch (error) {
       console.error('Error loading journals:', error);
       Alert.alert('Error', 'Failed to load journals');
     }
   };
 
+  const changeScope = async (value) => {
+    const scope = value === PERSONAL ? null : Number(value);
+    setHouseholdId(scope);
+    try {
+      await loadFirstPage(filterCategory, scope);
+      await loadDay(selectedDate, scope);
+    } catch (error) {
+      console.error('Error loading journals:', error);
+      Alert.alert('Error', 'Failed to load journals');
+    }
+  };
+
+  const runSearch = async (text, filter, scope = householdId) => {
+    if (!text.trim()) {
+      setSearchResults(null);
+      return;
+    }
+    try {
+      const rows = await searchJournals(
+        route.params?.userId,
+        text,
+        filterToCategoryId(filter),
+        scope
+      );
+      setSearchResults(await withItems(rows));
+    } catch (error) {
+      console.error('Search error:', error);
+    }
+  };
+
+  const loadCategories = async () => {
+    try {
+      const rows = await getCategories(route.params?.userId);
+      setCategories(rows);
+      // Drop selections pointing at a category that no longer exists
+      const ids = rows.map((row) => String(row.id));
+      setCategory((current) => (ids.includes(current) ? current : ''));
+      setFilterCategory((current) =>
+        current === ALL_CATEGORIES || current === UNCATEGORIZED || ids.includes(current)
+          ? current
+          : ALL_CATEGORIES
+      );
+    } catch (error) {
+      console.error('Error loading categories:', error);
+    }
+  };
+
+  const loadHouseholds = async () => {
+    try {
+      const rows = await getHouseholds(route.params?.userId);
+      setHouseholds(rows);
+      // Leaving or deleting a household falls back to the personal journal
+      const ids = rows.map((row) => row.id);
+      setHouseholdId((current) => (ids.includes(current) ? current : null));
+    } catch (error) {
+      console.error('Error loading households:', error);
+    }
+  };
+
+  // Authors and admins of the entry's household may edit or delete it
+  const canEdit = (entry) =>
+    canEditEntry(
+      entry,
+      route.params?.userId,
+      households.find((household) => household.id === entry.householdId)?.role
+    );
+
+  // The favorite flag is stored on the entry and the favorites list holds only
+  // your own entries, so household members cannot favorite each other's meals
+  const canFavorite = (entry) => entry.userId === route.params?.userId;
+
+  const withItems = async (rows) => {
+    const itemsByJournal = await getItemsByJournal(rows.map((journal) => journal.id));
+    return rows.map((journal) => ({ ...journal, items: itemsByJournal[journal.id] || [] }));
+  };
+
+  // Entries of one local day plus the entry markers for the week around it
+  const loadDay = async (date, scope = householdId) => {
+    const userId = route.params?.userId;
+    const { start, end } = getDayRange(date);
+    const week = getWeekDays(date);
+    const [rows, days] = await Promise.all([
+      getJournalsInRange(userId, start, end, scope),
+      getDaysWithEntries(
+        userId,
+        week[0].toISOString(),
+        addDays(week[6], 1).toISOString(),
+        scope
+      ),
+    ]);
+    setDayJournals(await withItems(rows));
+    setMarkedDays(days);
+  };
+
+  const selectDate = async (date) => {
+    setSelectedDate(date);
+    try {
+      await loadDay(date);
+      await loadSummary(date);
+    } catch (error) {
+      console.error('Error loading day:', error);
+      Alert.alert('Error', 'Failed to load entries for this day');
+    }
+  };
+
+  const changeViewMode = async (mode) => {
+    setViewMode(mode);
+    try {
+      await loadSummary(mode === 'day' ? selectedDate : new Date());
+    } catch (error) {
+      console.error('Error loading summary:', error);
+    }
+  };
+
+  // Flag entries whose photo vanished and move legacy picker URIs into app
+  // storage; done once per account, not on every launch
+  const repairStoredImages = async () => {
+    try {
+      const report = await repairImagesOnce(route.params?.userId);
+      if (!report) return;
+      if (report.missing > 0) {
+        console.warn(`${report.missing} journal image(s) are missing`);
+      }
+      if (report.missing > 0 || report.adopted > 0) await loadJournals();
+    } catch (error) {
+      console.error('Image repair error:', error);
+    }
+  };
+
+  const loadSummary = async (date = viewMode === 'day' ? selectedDate : new Date()) => {
+    const userId = route.params?.userId;
+    const [totals, userGoals] = await Promise.all([
+      getDailyTotals(userId, date),
+      getNutritionGoals(userId),
+    ]);
+    setDailyTotals(totals);
+    setGoals(userGoals);
+  };
+
+  const updateGoals = async (nextGoals) => {
+    try {
+      await saveNutritionGoals(route.params?.userId, nextGoals);
+      setGoals(nextGoals);
+    } catch (error) {
+      console.error('Save goals error:', error);
+      Alert.alert('Error', 'Failed to save daily goals');
+    }
+  };
+
   const takePicture = async () => {
     try {
       const result = await ImagePicker.launchCameraAsync({
@@ -94,6 +490,76 @@ const HomeScreen = ({ route }) => {
     }
   };
 
+  // Attached catalogue items drive the entry's nutrition fields
+  const changeItems = (nextItems) => {
+    setItems(nextItems);
+    if (nextItems.length > 0) {
+      const totals = computeNutrition(nextItems);
+      const next = {};
+      NUTRIENTS.forEach(({ key }) => {
+        next[key] = formatNutrient(totals[key]);
+      });
+      setNutrition(next);
+    }
+  };
+
+  const startEditing = async (item) => {
+    setEditingId(item.id);
+    // Editing keeps the original timestamp unless the user picks a new one
+    setEntryDate(new Date(item.date));
+    await fillForm(item);
+  };
+
+  // Fill the add form from a favorite; saving creates a new entry dated now
+  const startFromFavorite = async (id) => {
+    const favorite = favorites.find((row) => String(row.id) === id);
+    if (!favorite) return;
+    setEditingId(null);
+    setEntryDate(null);
+    await fillForm(favorite);
+  };
+
+  const fillForm = async (item) => {
+    setDescription(item.description);
+    setImage(item.image);
+    setCategory(item.categoryId ? String(item.categoryId) : '');
+    setNutrition({
+      calories: formatNutrient(item.calories),
+      protein: formatNutrient(item.protein),
+      carbs: formatNutrient(item.carbs),
+      fat: formatNutrient(item.fat),
+    });
+    try {
+      const rows = await getJournalItems(item.id);
+      setItems(rows.map(itemFromRow));
+    } catch (error) {
+      console.error('Error loading journal items:', error);
+      setItems([]);
+    }
+  };
+
+  const toggleFavorite = async (item) => {
+    try {
+      await setFavorite(item.id, !item.isFavorite);
+      await refreshEntry(item.id);
+    } catch (error) {
+      console.error('Favorite error:', error);
+      Alert.alert('Error', 'Could not update favorite');
+    }
+  };
+
+  const logJournalAgain = async (item) => {
+    try {
+      if (!(await ensureSession())) return;
+      const id = await logAgain(item.id, route.params?.userId);
+      await refreshEntry(id);
+      Alert.alert('Logged', `${item.description} was logged again`);
+    } catch (error) {
+      console.error('Log again error:', error);
+      Alert.alert('Error', 'Could not log this meal again');
+    }
+  };
+
   const saveJournal = async () => {
     if (!image || !description.trim()) {
       Alert.alert('Validation Error', 'Please add both an image and description');
@@ -105,56 +571,113 @@ const HomeScreen = ({ route }) => {
         Alert.alert('Error', 'User not authenticated');
         return;
       }
+      if (!(await ensureSession())) return;
+      if (editingId) await assertCanEdit(editingId, userId);
+      const stored = await storeImage(image);
+      const fields = {
+        image: stored.image,
+        thumbnail: stored.thumbnail,
+        description: description.trim(),
+        categoryId: category ? Number(category) : null,
+        date: (entryDate || new Date()).toISOString(),
+      };
+      NUTRIENTS.forEach(({ key }) => {
+        fields[key] = parseNutrient(nutrition[key]);
+      });
+      let savedId = editingId;
+      // Photos the edit may leave unused, also those of versions it prunes
+      let replacedImages = [];
       if (editingId) {
-        await executeSql(
-          'UPDATE journals SET image = ?, description = ?, category = ? WHERE id = ?',
-          [image, description.trim(), category, editingId]
-        );
-        Alert.alert('Success', 'Journal updated successfully');
+        replacedImages = await getEntryImages(editingId);
+        const versionId = await updateWithHistory(editingId, fields, items);
+        offerUndo('Entry updated', async () => {
+          await restoreVersion(versionId);
+          await refreshEntry(savedId);
+        });
       } else {
-        await executeSql(
-          'INSERT INTO journals (userId, image, description, category, date) VALUES (?, ?, ?, ?, ?)',
-          [userId, image, description.trim(), category, new Date().toISOString()]
-        );
+        savedId = await JournalsRepo.create(userId, fields, items, { householdId });
         Alert.alert('Success', 'Journal saved successfully');
       }
-      await loadJournals();
+      await refreshEntry(savedId);
       resetForm();
+      await removeReplacedImages(replacedImages);
     } catch (error) {
       console.error('Save error:', error);
-      Alert.alert('Error', 'An unexpected error occurred');
+      Alert.alert(
+        'Error',
+        error.name === 'HouseholdError' ? error.message : 'An unexpected error occurred'
+      );
     }
   };
 
+  // Moves the entry to Recently deleted; the snackbar offers to bring it back
   const deleteJournal = async (id) => {
-    Alert.alert('Confirm Delete', 'Are you sure?', [
-      { text: 'Cancel', style: 'cancel' },
-      {
-        text: 'Delete',
-        style: 'destructive',
-        onPress: async () => {
-          try {
-            await executeSql('DELETE FROM journals WHERE id = ?', [id]);
-            await loadJournals();
-            Alert.alert('Deleted');
-          } catch (error) {
-            Alert.alert('Error', 'Could not delete journal');
-          }
-        },
-      },
-    ]);
+    try {
+      await assertCanEdit(id, route.params?.userId);
+      await softDeleteJournal(id);
+      if (editingId === id) resetForm();
+      await removeEntry(id);
+      offerUndo('Entry deleted', async () => {
+        await restoreJournal(id);
+        await refreshEntry(id);
+      });
+    } catch (error) {
+      console.error('Delete error:', error);
+      Alert.alert(
+        'Error',
+        error.name === 'HouseholdError' ? error.message : 'Could not delete journal'
+      );
+    }
+  };
+
+  const offerUndo = (message, undo) => {
+    setUndoAction({ id: Date.now(), message, undo });
+  };
+
+  const undoLastChange = async () => {
+    const action = undoAction;
+    setUndoAction(null);
+    if (!action) return;
+    try {
+      await action.undo();
+    } catch (error) {
+      console.error('Undo error:', error);
+      Alert.alert('Error', 'Could not undo the change');
+    }
+  };
+
+  const openHistory = () => {
+    const journalId = editingId;
+    resetForm();
+    navigation.navigate('JournalHistory', { journalId });
+  };
+
+  const removeReplacedImages = async (images) => {
+    try {
+      await deleteUnusedImages(images);
+    } catch (error) {
+      console.error('Image cleanup error:', error);
+    }
   };
 
   const resetForm = () => {
     setImage(null);
     setDescription('');
     setEditingId(null);
-    setCategory('All');
+    setCategory('');
+    setNutrition(emptyNutrition);
+    setItems([]);
+    setEntryDate(null);
   };
 
-  const filteredJournals = category === 'All'
-    ? journals
-    : journals.filter((j) => j.category === category);
+  const daySections = groupByCategory(
+    dayJournals,
+    categories.map((cat) => cat.name)
+  );
+
+  const summaryTitle = viewMode === 'day' && toDayKey(selectedDate) !== toDayKey(new Date())
+    ? selectedDate.toLocaleDateString()
+    : 'Today';
 
   if (isLoading) {
     return (
@@ -174,18 +697,105 @@ const HomeScreen = ({ route }) => {
         </View>
       ) : (
         <SwipeListView
-          data={filteredJournals}
+          key={viewMode}
+          useSectionList={viewMode === 'day'}
+          data={viewMode === 'day' ? undefined : searchResults || journals}
+          onEndReached={viewMode === 'day' ? undefined : loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            isLoadingMore ? <ActivityIndicator style={styles.footerSpinner} color="#0000ff" /> : null
+          }
+          sections={viewMode === 'day' ? daySections : undefined}
+          renderSectionHeader={({ section }) => (
+            <Text style={styles.daySectionTitle}>{section.title}</Text>
+          )}
+          ListEmptyComponent={
+            viewMode === 'day' || searchResults ? (
+              <View style={styles.emptyState}>
+                <Text style={styles.emptyStateText}>
+                  {viewMode === 'day' ? 'No entries on this day' : 'No matching entries'}
+                </Text>
+              </View>
+            ) : null
+          }
           keyExtractor={(item) => item.id.toString()}
           ListHeaderComponent={
             <KeyboardAvoidingView
               behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
               keyboardVerticalOffset={80}
             >
+              <View style={styles.topBar}>
+                <Text style={styles.topBarTitle}>Food Journal</Text>
+                <View style={styles.topBarActions}>
+                  <TouchableOpacity
+                    onPress={() => navigation.navigate('Stats', { userId: route.params?.userId })}
+                  >
+                    <Text style={styles.topBarLink}>Stats</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => navigation.navigate('Weight', { userId: route.params?.userId })}
+                  >
+                    <Text style={styles.topBarLink}>Weight</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => navigation.navigate('Categories', { userId: route.params?.userId })}
+                  >
+                    <Text style={styles.topBarLink}>Categories</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => navigation.navigate('Settings', { userId: route.params?.userId })}
+                  >
+                    <Text style={styles.topBarLink}>Settings</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={logout}>
+                    <Text style={styles.logoutText}>Log out</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+
+              <DailySummary
+                title={summaryTitle}
+                totals={dailyTotals}
+                goals={goals}
+                onSaveGoals={updateGoals}
+              />
+
+              <WaterWidget
+                userId={route.params?.userId}
+                date={viewMode === 'day' ? selectedDate : new Date()}
+              />
+
               <View style={styles.inputContainer}>
                 <Text style={styles.sectionTitle}>
-                  {editingId ? 'Edit Journal Entry' : 'Add New Journal Entry'}
+                  {editingId
+                    ? 'Edit Journal Entry'
+                    : householdId
+                      ? `Add to ${households.find((household) => household.id === householdId)?.name}`
+                      : 'Add New Journal Entry'}
                 </Text>
   
+                {!editingId && favorites.length > 0 && (
+                  <View style={styles.pickerContainer}>
+                    <Text style={styles.pickerLabel}>Favorites:</Text>
+                    <View style={styles.pickerWrapper}>
+                      <Picker
+                        selectedValue=""
+                        onValueChange={(itemValue) => startFromFavorite(itemValue)}
+                        style={styles.picker}
+                      >
+                        <Picker.Item label="Start from a favorite..." value="" />
+                        {favorites.map((favorite) => (
+                          <Picker.Item
+                            key={favorite.id}
+                            label={favorite.description}
+                            value={String(favorite.id)}
+                          />
+                        ))}
+                      </Picker>
+                    </View>
+                  </View>
+                )}
+
                 {image ? (
                   <Image source={{ uri: image }} style={styles.previewImage} />
                 ) : (
@@ -211,7 +821,26 @@ const HomeScreen = ({ route }) => {
                   multiline
                   numberOfLines={3}
                 />
+
+                <ItemEditor items={items} onChangeItems={changeItems} />
+
+                <View style={styles.nutritionRow}>
+                  {NUTRIENTS.map(({ key, label, unit }) => (
+                    <View key={key} style={styles.nutritionField}>
+                      <Text style={styles.nutritionLabel}>{`${label} (${unit})`}</Text>
+                      <TextInput
+                        value={nutrition[key]}
+                        onChangeText={(text) => setNutrition({ ...nutrition, [key]: text })}
+                        placeholder="Optional"
+                        keyboardType="decimal-pad"
+                        style={styles.nutritionInput}
+                      />
+                    </View>
+                  ))}
+                </View>
   
+                <DateTimeField value={entryDate} onChange={setEntryDate} />
+
                 <View style={styles.pickerContainer}>
                   <Text style={styles.pickerLabel}>Category:</Text>
                   <View style={styles.pickerWrapper}>
@@ -220,8 +849,9 @@ const HomeScreen = ({ route }) => {
                       onValueChange={(itemValue) => setCategory(itemValue)}
                       style={styles.picker}
                     >
+                      <Picker.Item label={UNCATEGORIZED_LABEL} value="" />
                       {categories.map((cat) => (
-                        <Picker.Item key={cat} label={cat} value={cat} />
+                        <Picker.Item key={cat.id} label={cat.name} value={String(cat.id)} />
                       ))}
                     </Picker>
                   </View>
@@ -238,35 +868,132 @@ const HomeScreen = ({ route }) => {
                     <Text style={styles.cancelButtonText}>Cancel</Text>
                   </TouchableOpacity>
                 )}
+
+                {editingId && (
+                  <TouchableOpacity onPress={openHistory}>
+                    <Text style={styles.historyLink}>Earlier versions</Text>
+                  </TouchableOpacity>
+                )}
   
                 {/* Filter block */}
                 <Text style={styles.sectionTitle}>Your Food Journals</Text>
-                <View style={styles.filterContainer}>
-                  <Text style={styles.filterLabel}>Filter by:</Text>
-                  <View style={styles.filterPickerWrapper}>
-                    <Picker
-                      selectedValue={category}
-                      onValueChange={(itemValue) => setCategory(itemValue)}
-                      style={styles.filterPicker}
-                    >
-                      {categories.map((cat) => (
-                        <Picker.Item key={cat} label={cat} value={cat} />
-                      ))}
-                    </Picker>
+                {households.length > 0 && (
+                  <View style={styles.filterContainer}>
+                    <Text style={styles.filterLabel}>Journal:</Text>
+                    <View style={styles.filterPickerWrapper}>
+                      <Picker
+                        selectedValue={householdId ? String(householdId) : PERSONAL}
+                        onValueChange={changeScope}
+                        style={styles.filterPicker}
+                      >
+                        <Picker.Item label="Personal" value={PERSONAL} />
+                        {households.map((household) => (
+                          <Picker.Item
+                            key={household.id}
+                            label={household.name}
+                            value={String(household.id)}
+                          />
+                        ))}
+                      </Picker>
+                    </View>
                   </View>
+                )}
+                <View style={styles.viewToggle}>
+                  {[
+                    { mode: 'list', label: 'All entries' },
+                    { mode: 'day', label: 'By day' },
+                  ].map(({ mode, label }) => (
+                    <TouchableOpacity
+                      key={mode}
+                      style={[styles.viewToggleButton, viewMode === mode && styles.viewToggleActive]}
+                      onPress={() => changeViewMode(mode)}
+                    >
+                      <Text
+                        style={[styles.viewToggleText, viewMode === mode && styles.viewToggleTextActive]}
+                      >
+                        {label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
                 </View>
+                {viewMode === 'day' ? (
+                  <WeekStrip
+                    selectedDate={selectedDate}
+                    markedDays={markedDays}
+                    onSelectDate={selectDate}
+                  />
+                ) : (
+                  <>
+                    <TextInput
+                      placeholder="Search descriptions and items..."
+                      value={searchText}
+                      onChangeText={setSearchText}
+                      style={styles.searchInput}
+                      autoCorrect={false}
+                      clearButtonMode="while-editing"
+                    />
+                    <View style={styles.filterContainer}>
+                      <Text style={styles.filterLabel}>Filter by:</Text>
+                      <View style={styles.filterPickerWrapper}>
+                        <Picker
+                          selectedValue={filterCategory}
+                          onValueChange={changeFilter}
+                          style={styles.filterPicker}
+                        >
+                          <Picker.Item label="All" value={ALL_CATEGORIES} />
+                          {categories.map((cat) => (
+                            <Picker.Item key={cat.id} label={cat.name} value={String(cat.id)} />
+                          ))}
+                          <Picker.Item label={UNCATEGORIZED_LABEL} value={UNCATEGORIZED} />
+                        </Picker>
+                      </View>
+                    </View>
+                  </>
+                )}
               </View>
             </KeyboardAvoidingView>
           }
           renderItem={({ item }) => (
             <View style={styles.journalItem}>
-              <Image source={{ uri: item.image }} style={styles.journalImage} />
+              {item.imageMissing ? (
+                <View style={[styles.journalImage, styles.missingImage]}>
+                  <Text style={styles.missingImageText}>Image missing</Text>
+                </View>
+              ) : (
+                <Image
+                  source={{ uri: item.thumbnail || item.image }}
+                  style={styles.journalImage}
+                />
+              )}
               <View style={styles.journalDetails}>
-                <Text style={styles.journalDescription}>{item.description}</Text>
+                {item.descriptionHighlight ? (
+                  <HighlightedText
+                    value={item.descriptionHighlight}
+                    style={styles.journalDescription}
+                  />
+                ) : (
+                  <Text style={styles.journalDescription}>{item.description}</Text>
+                )}
+                {item.isFavorite && canFavorite(item) ? (
+                  <Text style={styles.favoriteBadge}>★ Favorite</Text>
+                ) : null}
+                {householdId && item.author ? (
+                  <Text style={styles.journalAuthor}>{`by ${item.author}`}</Text>
+                ) : null}
+                {item.items.map((entryItem) => (
+                  <Text key={entryItem.id} style={styles.journalItemLine}>
+                    {`• ${formatItem(entryItem)}`}
+                  </Text>
+                ))}
+                {item.calories !== null && item.calories !== undefined && (
+                  <Text style={styles.journalNutrition}>
+                    {`${formatNutrient(item.calories)} kcal`}
+                  </Text>
+                )}
                 <View style={styles.journalMeta}>
-                  <Text style={styles.journalCategory}>{item.category}</Text>
+                  <Text style={styles.journalCategory}>{categoryLabel(item.category)}</Text>
                   <Text style={styles.journalDate}>
-                    {new Date(item.date).toLocaleDateString()}
+                    {formatDateTime(new Date(item.date))}
                   </Text>
                 </View>
               </View>
@@ -274,31 +1001,59 @@ const HomeScreen = ({ route }) => {
           )}
           renderHiddenItem={({ item }) => (
             <View style={styles.hiddenButtons}>
-              <TouchableOpacity
-                style={[styles.hiddenButton, styles.editButton]}
-                onPress={() => {
-                  setEditingId(item.id);
-                  setDescription(item.description);
-                  setImage(item.image);
-                  setCategory(item.category);
-                }}
-              >
-                <Text style={styles.hiddenButtonText}>Edit</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[styles.hiddenButton, styles.deleteButton]}
-                onPress={() => deleteJournal(item.id)}
-              >
-                <Text style={styles.hiddenButtonText}>Delete</Text>
-              </TouchableOpacity>
+              <View style={styles.hiddenButtonGroup}>
+                <TouchableOpacity
+                  style={[styles.hiddenButton, styles.againButton]}
+                  onPress={() => logJournalAgain(item)}
+                >
+                  <Text style={styles.hiddenButtonText}>Log again</Text>
+                </TouchableOpacity>
+                {canFavorite(item) ? (
+                  <TouchableOpacity
+                    style={[styles.hiddenButton, styles.favoriteButton]}
+                    onPress={() => toggleFavorite(item)}
+                  >
+                    <Text style={styles.hiddenButtonText}>
+                      {item.isFavorite ? 'Unfavorite' : 'Favorite'}
+                    </Text>
+                  </TouchableOpacity>
+                ) : (
+                  <View style={[styles.hiddenButton, styles.lockedButton]} />
+                )}
+              </View>
+              {canEdit(item) ? (
+                <View style={styles.hiddenButtonGroup}>
+                  <TouchableOpacity
+                    style={[styles.hiddenButton, styles.editButton]}
+                    onPress={() => startEditing(item)}
+                  >
+                    <Text style={styles.hiddenButtonText}>Edit</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.hiddenButton, styles.deleteButton]}
+                    onPress={() => deleteJournal(item.id)}
+                  >
+                    <Text style={styles.hiddenButtonText}>Delete</Text>
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                <View style={[styles.hiddenButtonGroup, styles.lockedButton, styles.lockedGroup]}>
+                  <Text style={styles.hiddenButtonText}>Author or admin only</Text>
+                </View>
+              )}
             </View>
           )}
+          leftOpenValue={150}
           rightOpenValue={-150}
-          disableRightSwipe
           showsVerticalScrollIndicator={false}
           contentContainerStyle={{ paddingBottom: 40 }}
         />
       )}
+      <UndoSnackbar
+        action={undoAction}
+        onUndo={undoLastChange}
+        onDismiss={() => setUndoAction(null)}
+      />
     </View>
   );    
 };
@@ -352,6 +1107,35 @@ const styles = StyleSheet.create({
     borderRadius: 30,
     backgroundColor: 'white',
   },
+  topBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    paddingHorizontal: 15,
+    paddingTop: 50,
+  },
+  topBarTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  topBarActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  topBarLink: {
+    color: '#4285f4',
+    fontWeight: 'bold',
+    fontSize: 16,
+    marginRight: 15,
+  },
+  logoutText: {
+    color: '#ea4335',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
   inputContainer: {
     backgroundColor: 'white',
     padding: 20,
@@ -409,6 +1193,26 @@ const styles = StyleSheet.create({
     fontSize: 16,
     textAlignVertical: 'top',
   },
+  nutritionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 15,
+  },
+  nutritionField: {
+    width: '23%',
+  },
+  nutritionLabel: {
+    fontSize: 11,
+    color: '#666',
+    marginBottom: 4,
+  },
+  nutritionInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    padding: 8,
+    fontSize: 14,
+  },
   pickerContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -462,6 +1266,14 @@ const styles = StyleSheet.create({
     shadowRadius: 5,
     elevation: 5,
   },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    padding: 10,
+    marginBottom: 15,
+    fontSize: 16,
+  },
   filterContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -482,6 +1294,37 @@ const styles = StyleSheet.create({
   filterPicker: {
     paddingHorizontal: 8,
   },
+  viewToggle: {
+    flexDirection: 'row',
+    marginBottom: 15,
+    borderWidth: 1,
+    borderColor: '#4285f4',
+    borderRadius: 5,
+    overflow: 'hidden',
+  },
+  viewToggleButton: {
+    flex: 1,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  viewToggleActive: {
+    backgroundColor: '#4285f4',
+  },
+  viewToggleText: {
+    color: '#4285f4',
+    fontWeight: 'bold',
+  },
+  viewToggleTextActive: {
+    color: 'white',
+  },
+  daySectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 15,
+    paddingTop: 10,
+  },
   journalItem: {
     backgroundColor: 'white',
     borderRadius: 8,
@@ -500,6 +1343,16 @@ const styles = StyleSheet.create({
     height: 80,
     borderRadius: 8,
   },
+  missingImage: {
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  missingImageText: {
+    color: '#999',
+    fontSize: 11,
+    textAlign: 'center',
+  },
   journalDetails: {
     flex: 1,
     marginLeft: 15,
@@ -509,10 +1362,37 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginBottom: 5,
   },
+  journalItemLine: {
+    color: '#555',
+    fontSize: 13,
+    marginBottom: 2,
+  },
+  journalNutrition: {
+    color: '#34a853',
+    marginBottom: 5,
+  },
   journalMeta: {
     flexDirection: 'row',
     justifyContent: 'space-between',
   },
+  journalAuthor: {
+    color: '#666',
+    fontStyle: 'italic',
+    marginBottom: 4,
+  },
+  lockedButton: {
+    backgroundColor: '#9e9e9e',
+  },
+  lockedGroup: {
+    width: 150,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  favoriteBadge: {
+    color: '#fbbc05',
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
   journalCategory: {
     color: '#4285f4',
     fontWeight: 'bold',
@@ -520,12 +1400,25 @@ const styles = StyleSheet.create({
   journalDate: {
     color: '#666',
   },
+  footerSpinner: {
+    marginVertical: 20,
+  },
+  historyLink: {
+    color: '#4285f4',
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginTop: 12,
+  },
   hiddenButtons: {
     flexDirection: 'row',
-    justifyContent: 'flex-end',
+    justifyContent: 'space-between',
     alignItems: 'center',
     height: '100%',
   },
+  hiddenButtonGroup: {
+    flexDirection: 'row',
+    height: '100%',
+  },
   hiddenButton: {
     justifyContent: 'center',
     alignItems: 'center',
@@ -535,6 +1428,12 @@ const styles = StyleSheet.create({
   editButton: {
     backgroundColor: '#fbbc05',
   },
+  againButton: {
+    backgroundColor: '#34a853',
+  },
+  favoriteButton: {
+    backgroundColor: '#4285f4',
+  },
   deleteButton: {
     backgroundColor: '#ea4335',
   },
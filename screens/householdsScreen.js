@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ScrollView
+} from 'react-native';
+import {
+  getHouseholds,
+  getMembers,
+  createHousehold,
+  addMember,
+  setMemberRole,
+  removeMember,
+  deleteHousehold,
+} from '../components/households/households';
+
+const HouseholdsScreen = ({ route, navigation }) => {
+  const userId = route.params?.userId;
+  const [households, setHouseholds] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [memberEmail, setMemberEmail] = useState('');
+
+  useEffect(() => {
+    loadHouseholds();
+  }, []);
+
+  const loadHouseholds = async () => {
+    try {
+      setHouseholds(await getHouseholds(userId));
+    } catch (error) {
+      console.error('Error loading households:', error);
+      Alert.alert('Error', 'Failed to load households');
+    }
+  };
+
+  const loadMembers = async (householdId) => {
+    try {
+      setMembers(await getMembers(householdId));
+    } catch (error) {
+      console.error('Error loading members:', error);
+      Alert.alert('Error', 'Failed to load members');
+    }
+  };
+
+  // HouseholdErrors carry a message meant for the user
+  const run = async (action, fallback) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error('Household error:', error);
+      Alert.alert('Error', error.name === 'HouseholdError' ? error.message : fallback);
+    }
+  };
+
+  const select = async (householdId) => {
+    if (selectedId === householdId) {
+      setSelectedId(null);
+      return;
+    }
+    setSelectedId(householdId);
+    setMemberEmail('');
+    await loadMembers(householdId);
+  };
+
+  const create = async () => {
+    await run(async () => {
+      const id = await createHousehold(userId, newName);
+      setNewName('');
+      await loadHouseholds();
+      setSelectedId(id);
+      await loadMembers(id);
+    }, 'Could not create household');
+  };
+
+  const add = async () => {
+    if (!memberEmail.trim()) return;
+    await run(async () => {
+      await addMember(userId, selectedId, memberEmail);
+      setMemberEmail('');
+      await loadMembers(selectedId);
+    }, 'Could not add member');
+  };
+
+  const toggleRole = async (member) => {
+    await run(async () => {
+      await setMemberRole(
+        userId,
+        selectedId,
+        member.userId,
+        member.role === 'admin' ? 'member' : 'admin'
+      );
+      await loadMembers(selectedId);
+      await loadHouseholds();
+    }, 'Could not change role');
+  };
+
+  const remove = (member) => {
+    const leaving = member.userId === userId;
+    Alert.alert(
+      leaving ? 'Leave household' : 'Remove member',
+      leaving
+        ? 'Your entries stay in the household journal.'
+        : `Remove ${member.email}? Their entries stay in the household journal.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: leaving ? 'Leave' : 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await run(async () => {
+              await removeMember(userId, selectedId, member.userId);
+              if (leaving) {
+                setSelectedId(null);
+              } else {
+                await loadMembers(selectedId);
+              }
+              await loadHouseholds();
+            }, 'Could not remove member');
+          },
+        },
+      ]
+    );
+  };
+
+  const removeHousehold = (household) => {
+    Alert.alert(
+      'Delete household',
+      `Delete "${household.name}"? Its entries move back to their authors' personal journals.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await run(async () => {
+              await deleteHousehold(userId, household.id);
+              setSelectedId(null);
+              await loadHouseholds();
+            }, 'Could not delete household');
+          },
+        },
+      ]
+    );
+  };
+
+  const renderMembers = (household) => {
+    const isAdmin = household.role === 'admin';
+    return (
+      <View style={styles.members}>
+        {members.map((member) => (
+          <View key={member.userId} style={styles.memberRow}>
+            <View style={styles.memberInfo}>
+              <Text style={styles.memberEmail}>
+                {member.userId === userId ? `${member.email} (you)` : member.email}
+              </Text>
+              <Text style={styles.memberRole}>{member.role}</Text>
+            </View>
+            {isAdmin && (
+              <TouchableOpacity onPress={() => toggleRole(member)}>
+                <Text style={styles.actionText}>
+                  {member.role === 'admin' ? 'Make member' : 'Make admin'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            {(isAdmin || member.userId === userId) && (
+              <TouchableOpacity onPress={() => remove(member)}>
+                <Text style={[styles.actionText, styles.deleteText]}>
+                  {member.userId === userId ? 'Leave' : 'Remove'}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+
+        {isAdmin && (
+          <>
+            <View style={styles.addRow}>
+              <TextInput
+                placeholder="Member email"
+                value={memberEmail}
+                onChangeText={setMemberEmail}
+                autoCapitalize="none"
+                keyboardType="email-address"
+                style={[styles.input, styles.rowInput]}
+                onSubmitEditing={add}
+              />
+              <TouchableOpacity style={styles.addButton} onPress={add}>
+                <Text style={styles.addButtonText}>Add</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.hintText}>
+              Members need an account on this device.
+            </Text>
+            <TouchableOpacity onPress={() => removeHousehold(household)}>
+              <Text style={[styles.actionText, styles.deleteText, styles.deleteHousehold]}>
+                Delete household
+              </Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Households</Text>
+      </View>
+
+      <View style={styles.addRow}>
+        <TextInput
+          placeholder="New household"
+          value={newName}
+          onChangeText={setNewName}
+          style={[styles.input, styles.rowInput]}
+          onSubmitEditing={create}
+        />
+        <TouchableOpacity style={styles.addButton} onPress={create}>
+          <Text style={styles.addButtonText}>Create</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView contentContainerStyle={{ paddingBottom: 40 }}>
+        {households.length === 0 && (
+          <Text style={styles.emptyText}>
+            Create a household to share a journal with other accounts on this device.
+          </Text>
+        )}
+        {households.map((household) => (
+          <View key={household.id} style={styles.card}>
+            <TouchableOpacity style={styles.cardHeader} onPress={() => select(household.id)}>
+              <Text style={styles.householdName}>{household.name}</Text>
+              <Text style={styles.memberRole}>{household.role}</Text>
+            </TouchableOpacity>
+            {selectedId === household.id && renderMembers(household)}
+          </View>
+        ))}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#f8f9fa', paddingHorizontal: 15 },
+  topBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    marginBottom: 20,
+  },
+  backText: { color: '#4285f4', fontSize: 16, fontWeight: 'bold', marginRight: 15 },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#333' },
+  addRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 15 },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: 'white',
+  },
+  rowInput: { flex: 1, marginRight: 10 },
+  addButton: {
+    backgroundColor: '#34a853',
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    borderRadius: 5,
+  },
+  addButtonText: { color: 'white', fontWeight: 'bold' },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    marginBottom: 10,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 15,
+  },
+  householdName: { fontSize: 16, fontWeight: 'bold', color: '#333' },
+  members: {
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    padding: 15,
+  },
+  memberRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 10 },
+  memberInfo: { flex: 1 },
+  memberEmail: { fontSize: 15, color: '#333' },
+  memberRole: { color: '#666', fontSize: 12, textTransform: 'capitalize' },
+  actionText: { color: '#4285f4', fontWeight: 'bold', marginLeft: 12 },
+  deleteText: { color: '#ea4335' },
+  deleteHousehold: { marginLeft: 0, marginTop: 10 },
+  hintText: { color: '#999', fontSize: 12 },
+  emptyText: { color: '#666', textAlign: 'center', marginTop: 20 },
+});
+
+export default HouseholdsScreen;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  FlatList,
+  Image
+} from 'react-native';
+import { getJournalHistory, restoreVersion } from '../components/journal/history';
+import { formatItem } from '../components/food/foods';
+import { formatNutrient } from '../components/nutrition/nutrition';
+import { categoryLabel } from '../components/categories/categories';
+import { formatDateTime } from '../components/calendar/dateTimeField';
+
+const JournalHistoryScreen = ({ route, navigation }) => {
+  const journalId = route.params?.journalId;
+  const [versions, setVersions] = useState([]);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const load = async () => {
+    try {
+      setVersions(await getJournalHistory(journalId));
+    } catch (error) {
+      console.error('Error loading history:', error);
+      Alert.alert('Error', 'Failed to load earlier versions');
+    }
+  };
+
+  const restore = (version) => {
+    Alert.alert('Restore version', 'Replace the entry with this version?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Restore',
+        onPress: async () => {
+          try {
+            await restoreVersion(version.id);
+            navigation.goBack();
+          } catch (error) {
+            console.error('Restore version error:', error);
+            Alert.alert('Error', 'Could not restore this version');
+          }
+        },
+      },
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Earlier versions</Text>
+      </View>
+
+      <FlatList
+        data={versions}
+        keyExtractor={(item) => item.id.toString()}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>This entry has not been edited yet</Text>
+        }
+        contentContainerStyle={{ paddingBottom: 40 }}
+        renderItem={({ item }) => (
+          <View style={styles.card}>
+            <Text style={styles.savedAt}>
+              {`Replaced ${formatDateTime(new Date(item.createdAt))}`}
+            </Text>
+            <View style={styles.row}>
+              {item.thumbnail && !item.imageMissing ? (
+                <Image source={{ uri: item.thumbnail }} style={styles.thumbnail} />
+              ) : null}
+              <View style={styles.details}>
+                <Text style={styles.description}>{item.description}</Text>
+                {item.items.map((entryItem, index) => (
+                  <Text key={index} style={styles.meta}>
+                    {`• ${formatItem(entryItem)}`}
+                  </Text>
+                ))}
+                {item.calories !== null && item.calories !== undefined && (
+                  <Text style={styles.meta}>{`${formatNutrient(item.calories)} kcal`}</Text>
+                )}
+                <Text style={styles.meta}>
+                  {`${categoryLabel(item.category)} · ${formatDateTime(new Date(item.date))}`}
+                </Text>
+              </View>
+            </View>
+            <TouchableOpacity onPress={() => restore(item)}>
+              <Text style={styles.restoreText}>Restore this version</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#f8f9fa', paddingHorizontal: 15 },
+  topBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    marginBottom: 20,
+  },
+  backText: { color: '#4285f4', fontSize: 16, fontWeight: 'bold', marginRight: 15 },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#333' },
+  emptyText: { color: '#666', textAlign: 'center', marginTop: 30 },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+  },
+  savedAt: { color: '#999', fontSize: 12, marginBottom: 6 },
+  row: { flexDirection: 'row' },
+  thumbnail: { width: 60, height: 60, borderRadius: 5, marginRight: 10 },
+  details: { flex: 1 },
+  description: { fontSize: 16, color: '#333' },
+  meta: { color: '#666', fontSize: 12, marginTop: 2 },
+  restoreText: { color: '#4285f4', fontWeight: 'bold', marginTop: 10 },
+});
+
+export default JournalHistoryScreen;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  FlatList,
+  Image
+} from 'react-native';
+import {
+  TRASH_RETENTION_DAYS,
+  getDeletedJournals,
+  restoreJournal,
+  purgeJournal,
+  emptyTrash,
+  daysUntilPurge,
+} from '../components/journal/trash';
+import { cleanupOrphanedImages } from '../components/media/imageStore';
+import { categoryLabel } from '../components/categories/categories';
+import { formatDateTime } from '../components/calendar/dateTimeField';
+
+const RecentlyDeletedScreen = ({ route, navigation }) => {
+  const userId = route.params?.userId;
+  const [journals, setJournals] = useState([]);
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const load = async () => {
+    try {
+      setJournals(await getDeletedJournals(userId));
+    } catch (error) {
+      console.error('Error loading deleted entries:', error);
+      Alert.alert('Error', 'Failed to load deleted entries');
+    }
+  };
+
+  const restore = async (id) => {
+    try {
+      await restoreJournal(id);
+      await load();
+    } catch (error) {
+      console.error('Restore error:', error);
+      Alert.alert('Error', 'Could not restore entry');
+    }
+  };
+
+  const confirmPurge = (title, message, purge) => {
+    Alert.alert(title, message, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await purge();
+            await cleanupOrphanedImages();
+            await load();
+          } catch (error) {
+            console.error('Purge error:', error);
+            Alert.alert('Error', 'Could not delete entries');
+          }
+        },
+      },
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Recently deleted</Text>
+      </View>
+
+      <Text style={styles.hint}>
+        {`Deleted entries are removed for good after ${TRASH_RETENTION_DAYS} days.`}
+      </Text>
+
+      {journals.length > 0 && (
+        <TouchableOpacity
+          style={styles.emptyButton}
+          onPress={() =>
+            confirmPurge('Empty Recently deleted', 'Delete all of these entries forever?', () =>
+              emptyTrash(userId)
+            )
+          }
+        >
+          <Text style={styles.emptyButtonText}>Delete all forever</Text>
+        </TouchableOpacity>
+      )}
+
+      <FlatList
+        data={journals}
+        keyExtractor={(item) => item.id.toString()}
+        ListEmptyComponent={<Text style={styles.emptyText}>Nothing here</Text>}
+        contentContainerStyle={{ paddingBottom: 40 }}
+        renderItem={({ item }) => (
+          <View style={styles.row}>
+            {item.imageMissing ? (
+              <View style={[styles.thumbnail, styles.missingImage]} />
+            ) : (
+              <Image source={{ uri: item.thumbnail || item.image }} style={styles.thumbnail} />
+            )}
+            <View style={styles.details}>
+              <Text style={styles.description} numberOfLines={2}>
+                {item.description}
+              </Text>
+              <Text style={styles.meta}>
+                {`${categoryLabel(item.category)} · ${formatDateTime(new Date(item.date))}`}
+              </Text>
+              <Text style={styles.meta}>{`${daysUntilPurge(item.deletedAt)} days left`}</Text>
+              <View style={styles.actions}>
+                <TouchableOpacity onPress={() => restore(item.id)}>
+                  <Text style={styles.restoreText}>Restore</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() =>
+                    confirmPurge('Delete forever', 'This entry cannot be recovered.', () =>
+                      purgeJournal(item.id)
+                    )
+                  }
+                >
+                  <Text style={styles.deleteText}>Delete forever</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        )}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#f8f9fa', paddingHorizontal: 15 },
+  topBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    marginBottom: 20,
+  },
+  backText: { color: '#4285f4', fontSize: 16, fontWeight: 'bold', marginRight: 15 },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#333' },
+  hint: { color: '#666', marginBottom: 10 },
+  emptyButton: {
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#ea4335',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 15,
+  },
+  emptyButtonText: { color: '#ea4335', fontWeight: 'bold' },
+  emptyText: { color: '#666', textAlign: 'center', marginTop: 30 },
+  row: {
+    flexDirection: 'row',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  thumbnail: { width: 60, height: 60, borderRadius: 5, marginRight: 10 },
+  missingImage: { backgroundColor: '#eee' },
+  details: { flex: 1 },
+  description: { fontSize: 16, color: '#333' },
+  meta: { color: '#666', fontSize: 12, marginTop: 2 },
+  actions: { flexDirection: 'row', marginTop: 8 },
+  restoreText: { color: '#4285f4', fontWeight: 'bold', marginRight: 20 },
+  deleteText: { color: '#ea4335', fontWeight: 'bold' },
+});
+
+export default RecentlyDeletedScreen;
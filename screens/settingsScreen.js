@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+  ScrollView
+} from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import { exportJournal } from '../components/backup/exportJournal';
+import { importBackup } from '../components/backup/importJournal';
+import ReminderSettings from '../components/reminders/reminderSettings';
+import PinSettings from '../components/auth/pinSettings';
+import EncryptionSettings from '../components/auth/encryptionSettings';
+import {
+  getSyncEndpoint,
+  setSyncEndpoint,
+  isSyncConnected,
+  connectSync,
+  disconnectSync,
+  syncNow,
+} from '../components/sync/syncClient';
+import { getSyncState } from '../components/sync/syncStore';
+import { formatDateTime } from '../components/calendar/dateTimeField';
+
+const SettingsScreen = ({ route, navigation }) => {
+  const userId = route.params?.userId;
+  const [busy, setBusy] = useState(null);
+  const [syncEndpoint, setSyncEndpointText] = useState('');
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [syncConnected, setSyncConnected] = useState(false);
+  const [syncPassword, setSyncPassword] = useState('');
+
+  useEffect(() => {
+    const loadSync = async () => {
+      try {
+        const [endpoint, state, connected] = await Promise.all([
+          getSyncEndpoint(userId),
+          getSyncState(userId),
+          isSyncConnected(userId),
+        ]);
+        setSyncEndpointText(endpoint);
+        setLastSyncedAt(state.lastSyncedAt);
+        setSyncConnected(connected);
+      } catch (error) {
+        console.error('Error loading sync settings:', error);
+      }
+    };
+    loadSync();
+  }, [userId]);
+
+  const saveEndpoint = async () => {
+    try {
+      await setSyncEndpoint(userId, syncEndpoint);
+      setSyncConnected(await isSyncConnected(userId));
+    } catch (error) {
+      console.error('Save endpoint error:', error);
+      Alert.alert('Error', 'Could not save the sync server');
+    }
+  };
+
+  const connect = async () => {
+    setBusy('connect');
+    try {
+      await setSyncEndpoint(userId, syncEndpoint);
+      await connectSync(userId, syncPassword);
+      setSyncPassword('');
+      setSyncConnected(true);
+    } catch (error) {
+      console.error('Sync login error:', error);
+      Alert.alert(
+        'Could not connect',
+        error.name === 'SyncError' ? error.message : 'Could not reach the sync server'
+      );
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const disconnect = async () => {
+    try {
+      await disconnectSync(userId);
+      setSyncConnected(false);
+    } catch (error) {
+      console.error('Sync logout error:', error);
+    }
+  };
+
+  const runSync = async () => {
+    setBusy('sync');
+    try {
+      await setSyncEndpoint(userId, syncEndpoint);
+      const result = await syncNow(userId);
+      setLastSyncedAt((await getSyncState(userId)).lastSyncedAt);
+      Alert.alert('Sync finished', `Sent: ${result.pushed}\nReceived: ${result.pulled}`);
+    } catch (error) {
+      console.error('Sync error:', error);
+      setSyncConnected(await isSyncConnected(userId).catch(() => false));
+      Alert.alert(
+        'Sync failed',
+        error.name === 'SyncError' ? error.message : 'Could not sync your journal'
+      );
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const runExport = async (format) => {
+    setBusy(format);
+    try {
+      await exportJournal(userId, format);
+    } catch (error) {
+      console.error('Export error:', error);
+      Alert.alert('Error', 'Could not export your journal');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const runImport = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/zip', 'application/json', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      setBusy('import');
+      const report = await importBackup(userId, result.assets[0].uri);
+      const lines = [
+        `Added: ${report.added}`,
+        `Skipped (already present): ${report.skipped}`,
+        `Rejected: ${report.rejected.length}`,
+        ...report.rejected.slice(0, 5).map(({ index, reason }) => `  #${index + 1}: ${reason}`),
+      ];
+      Alert.alert('Import finished', lines.join('\n'));
+    } catch (error) {
+      console.error('Import error:', error);
+      Alert.alert(
+        'Import failed',
+        error.name === 'ImportError' ? error.message : 'Could not read the backup file'
+      );
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const renderAction = (key, label, onPress) => (
+    <TouchableOpacity key={key} style={styles.action} onPress={onPress} disabled={!!busy}>
+      <Text style={styles.actionText}>{label}</Text>
+      {busy === key && <ActivityIndicator color="#4285f4" />}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Settings</Text>
+      </View>
+
+      <ScrollView>
+        <Text style={styles.sectionTitle}>Meal reminders</Text>
+        <View style={styles.section}>
+          <ReminderSettings userId={userId} />
+        </View>
+
+        <Text style={styles.sectionTitle}>App lock</Text>
+        <View style={styles.section}>
+          <PinSettings userId={userId} />
+        </View>
+
+        <Text style={styles.sectionTitle}>Encryption</Text>
+        <View style={styles.section}>
+          <EncryptionSettings userId={userId} />
+        </View>
+
+        <Text style={styles.sectionTitle}>Household</Text>
+        <View style={styles.section}>
+          {renderAction('households', 'Manage households', () =>
+            navigation.navigate('Households', { userId })
+          )}
+        </View>
+
+        <Text style={styles.sectionTitle}>Sync</Text>
+        <View style={styles.section}>
+          <TextInput
+            placeholder="Server URL, or mock://local"
+            value={syncEndpoint}
+            onChangeText={setSyncEndpointText}
+            onEndEditing={saveEndpoint}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            style={styles.input}
+          />
+          {syncConnected ? (
+            <>
+              {renderAction('sync', 'Sync now', runSync)}
+              {renderAction('disconnect', 'Disconnect', disconnect)}
+            </>
+          ) : (
+            <>
+              <TextInput
+                placeholder="Password"
+                value={syncPassword}
+                onChangeText={setSyncPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                style={styles.input}
+              />
+              {renderAction('connect', 'Connect', connect)}
+            </>
+          )}
+          <Text style={styles.syncStatus}>
+            {lastSyncedAt
+              ? `Last synced ${formatDateTime(new Date(lastSyncedAt))}`
+              : 'Not synced yet'}
+            {'\n'}Household journals stay on this device and are not synced.
+          </Text>
+        </View>
+
+        <Text style={styles.sectionTitle}>Export</Text>
+        <View style={styles.section}>
+          {renderAction('csv', 'Export as CSV', () => runExport('csv'))}
+          {renderAction('json', 'Export as JSON', () => runExport('json'))}
+          {renderAction('zip', 'Export ZIP with photos', () => runExport('zip'))}
+        </View>
+
+        <Text style={styles.sectionTitle}>Restore</Text>
+        <View style={styles.section}>
+          {renderAction('import', 'Import backup', runImport)}
+          {renderAction('deleted', 'Recently deleted', () =>
+            navigation.navigate('RecentlyDeleted', { userId })
+          )}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#f8f9fa', paddingHorizontal: 15 },
+  topBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    marginBottom: 20,
+  },
+  backText: { color: '#4285f4', fontSize: 16, fontWeight: 'bold', marginRight: 15 },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#333' },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    textTransform: 'uppercase',
+    marginBottom: 8,
+    marginTop: 10,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    marginBottom: 15,
+  },
+  action: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  actionText: { fontSize: 16, color: '#333' },
+  input: {
+    fontSize: 16,
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  syncStatus: { color: '#666', fontSize: 12, padding: 15 },
+});
+
+export default SettingsScreen;
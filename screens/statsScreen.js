@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  ScrollView
+} from 'react-native';
+import BarChart from '../components/stats/barChart';
+import {
+  getPeriodRange,
+  getEntriesPerDay,
+  getCategoryDistribution,
+  getStreaks,
+  summarizeStreaks,
+  getWeeklyCalories,
+  fillDays,
+} from '../components/stats/statsQueries';
+
+const PERIODS = [
+  { key: 'week', label: 'Week', days: 7 },
+  { key: 'month', label: 'Month', days: 30 },
+];
+
+const StatsScreen = ({ route, navigation }) => {
+  const userId = route.params?.userId;
+  const [period, setPeriod] = useState(PERIODS[0]);
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadStats(period);
+  }, [period]);
+
+  const loadStats = async ({ days }) => {
+    setIsLoading(true);
+    try {
+      const range = getPeriodRange(days);
+      const [perDay, categories, streaks, calories] = await Promise.all([
+        getEntriesPerDay(userId, range),
+        getCategoryDistribution(userId, range),
+        getStreaks(userId),
+        getWeeklyCalories(userId, range),
+      ]);
+      setStats({
+        perDay: fillDays(perDay, days),
+        categories,
+        streaks: summarizeStreaks(streaks),
+        calories,
+      });
+    } catch (error) {
+      console.error('Error loading stats:', error);
+      Alert.alert('Error', 'Failed to load statistics');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const dayLabel = (bucket, index) => {
+    if (period.days <= 7) {
+      return bucket.date.toLocaleDateString(undefined, { weekday: 'short' });
+    }
+    // Label every fifth day so a month stays readable
+    return index % 5 === 0 ? String(bucket.date.getDate()) : '';
+  };
+
+  const totalEntries = stats ? stats.categories.reduce((sum, cat) => sum + cat.count, 0) : 0;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Statistics</Text>
+      </View>
+
+      <View style={styles.periodToggle}>
+        {PERIODS.map((option) => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.periodButton, period.key === option.key && styles.periodActive]}
+            onPress={() => setPeriod(option)}
+          >
+            <Text
+              style={[styles.periodText, period.key === option.key && styles.periodTextActive]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {isLoading || !stats ? (
+        <ActivityIndicator size="large" color="#0000ff" />
+      ) : (
+        <ScrollView contentContainerStyle={{ paddingBottom: 40 }}>
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Streaks</Text>
+            <View style={styles.streakRow}>
+              <View style={styles.streak}>
+                <Text style={styles.streakValue}>{stats.streaks.current}</Text>
+                <Text style={styles.streakLabel}>current days</Text>
+              </View>
+              <View style={styles.streak}>
+                <Text style={styles.streakValue}>{stats.streaks.longest}</Text>
+                <Text style={styles.streakLabel}>longest days</Text>
+              </View>
+            </View>
+          </View>
+
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Entries per day</Text>
+            <BarChart
+              data={stats.perDay.map((bucket, index) => ({
+                label: dayLabel(bucket, index),
+                value: bucket.count,
+              }))}
+              showValues={period.days <= 7}
+            />
+          </View>
+
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Meal categories</Text>
+            {stats.categories.length === 0 ? (
+              <Text style={styles.emptyText}>No entries in this period</Text>
+            ) : (
+              stats.categories.map((cat) => (
+                <View key={cat.label} style={styles.distributionRow}>
+                  <Text style={styles.distributionLabel} numberOfLines={1}>{cat.label}</Text>
+                  <View style={styles.distributionTrack}>
+                    <View
+                      style={[
+                        styles.distributionFill,
+                        { width: `${(cat.count / totalEntries) * 100}%` },
+                      ]}
+                    />
+                  </View>
+                  <Text style={styles.distributionValue}>
+                    {`${Math.round((cat.count / totalEntries) * 100)}%`}
+                  </Text>
+                </View>
+              ))
+            )}
+          </View>
+
+          {stats.calories.length > 0 && (
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Average calories per day, by week</Text>
+              <BarChart
+                data={stats.calories.map((week) => ({
+                  label: new Date(week.firstDay).toLocaleDateString(undefined, {
+                    month: 'short',
+                    day: 'numeric',
+                  }),
+                  value: week.averageCalories,
+                }))}
+                color="#34a853"
+                formatValue={(value) => String(Math.round(value))}
+              />
+            </View>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#f8f9fa', paddingHorizontal: 15 },
+  topBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    marginBottom: 20,
+  },
+  backText: { color: '#4285f4', fontSize: 16, fontWeight: 'bold', marginRight: 15 },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#333' },
+  periodToggle: {
+    flexDirection: 'row',
+    marginBottom: 15,
+    borderWidth: 1,
+    borderColor: '#4285f4',
+    borderRadius: 5,
+    overflow: 'hidden',
+  },
+  periodButton: { flex: 1, paddingVertical: 8, alignItems: 'center' },
+  periodActive: { backgroundColor: '#4285f4' },
+  periodText: { color: '#4285f4', fontWeight: 'bold' },
+  periodTextActive: { color: 'white' },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 5,
+    elevation: 3,
+  },
+  cardTitle: { fontSize: 16, fontWeight: 'bold', color: '#333', marginBottom: 12 },
+  streakRow: { flexDirection: 'row' },
+  streak: { flex: 1, alignItems: 'center' },
+  streakValue: { fontSize: 28, fontWeight: 'bold', color: '#34a853' },
+  streakLabel: { color: '#666' },
+  distributionRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+  distributionLabel: { width: 100, fontSize: 14 },
+  distributionTrack: {
+    flex: 1,
+    height: 10,
+    backgroundColor: '#f0f0f0',
+    borderRadius: 5,
+    overflow: 'hidden',
+    marginHorizontal: 8,
+  },
+  distributionFill: { height: '100%', backgroundColor: '#4285f4' },
+  distributionValue: { width: 40, textAlign: 'right', color: '#666' },
+  emptyText: { color: '#666' },
+});
+
+export default StatsScreen;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ScrollView
+} from 'react-native';
+import TrendChart from '../components/weight/trendChart';
+import {
+  UNITS,
+  formatWeight,
+  getWeightUnit,
+  setWeightUnit,
+  addWeight,
+  deleteWeight,
+  getWeights,
+  withTrend,
+} from '../components/weight/weight';
+import { parseNutrient } from '../components/nutrition/nutrition';
+import { getPeriodRange, getDailyCalories, fillDays } from '../components/stats/statsQueries';
+
+const PERIOD_DAYS = 30;
+
+const WeightScreen = ({ route, navigation }) => {
+  const userId = route.params?.userId;
+  const [unit, setUnit] = useState('kg');
+  const [value, setValue] = useState('');
+  const [weights, setWeights] = useState([]);
+  const [caloriesByDay, setCaloriesByDay] = useState({});
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const load = async () => {
+    try {
+      const range = getPeriodRange(PERIOD_DAYS);
+      // The trend is computed over the full history so it is settled when the window starts
+      const [savedUnit, history, calories] = await Promise.all([
+        getWeightUnit(userId),
+        getWeights(userId, { start: '', end: range.end }),
+        getDailyCalories(userId, range),
+      ]);
+      const byDay = {};
+      calories.forEach((row) => {
+        byDay[row.day] = row.calories;
+      });
+      setUnit(savedUnit);
+      setWeights(withTrend(history));
+      setCaloriesByDay(byDay);
+    } catch (error) {
+      console.error('Error loading weights:', error);
+      Alert.alert('Error', 'Failed to load weight log');
+    }
+  };
+
+  const changeUnit = async (next) => {
+    setUnit(next);
+    try {
+      await setWeightUnit(userId, next);
+    } catch (error) {
+      console.error('Save unit error:', error);
+    }
+  };
+
+  const save = async () => {
+    const amount = parseNutrient(value);
+    if (!amount) {
+      Alert.alert('Validation Error', 'Please enter your weight');
+      return;
+    }
+    try {
+      await addWeight(userId, amount, unit);
+      setValue('');
+      await load();
+    } catch (error) {
+      console.error('Save weight error:', error);
+      Alert.alert('Error', 'Could not save weight');
+    }
+  };
+
+  const remove = (id) => {
+    Alert.alert('Delete weigh-in', 'Are you sure?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteWeight(id);
+            await load();
+          } catch (error) {
+            Alert.alert('Error', 'Could not delete weigh-in');
+          }
+        },
+      },
+    ]);
+  };
+
+  const latest = weights[weights.length - 1];
+  const monthAgo = weights.find((point) => point.date >= getPeriodRange(PERIOD_DAYS).start);
+  const change = latest && monthAgo ? latest.trendKg - monthAgo.trendKg : null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Weight</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={{ paddingBottom: 40 }}>
+        <View style={styles.card}>
+          <View style={styles.entryRow}>
+            <TextInput
+              placeholder="Weight"
+              value={value}
+              onChangeText={setValue}
+              keyboardType="decimal-pad"
+              style={styles.input}
+            />
+            {UNITS.map((option) => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.unitButton, unit === option && styles.unitActive]}
+                onPress={() => changeUnit(option)}
+              >
+                <Text style={[styles.unitText, unit === option && styles.unitTextActive]}>
+                  {option}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity style={styles.saveButton} onPress={save}>
+            <Text style={styles.saveButtonText}>Log weight</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>{`Last ${PERIOD_DAYS} days`}</Text>
+          {latest && (
+            <Text style={styles.summary}>
+              {`Trend ${formatWeight(latest.trendKg, unit)}`}
+              {change !== null
+                ? ` (${change >= 0 ? '+' : '−'}${formatWeight(Math.abs(change), unit)})`
+                : ''}
+            </Text>
+          )}
+          <TrendChart
+            days={fillDays([], PERIOD_DAYS)}
+            weights={weights}
+            caloriesByDay={caloriesByDay}
+            unit={unit}
+          />
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Weigh-ins</Text>
+          {weights.length === 0 && <Text style={styles.emptyText}>No weigh-ins yet</Text>}
+          {[...weights].reverse().slice(0, 30).map((point) => (
+            <TouchableOpacity
+              key={point.id}
+              style={styles.historyRow}
+              onLongPress={() => remove(point.id)}
+            >
+              <Text style={styles.historyDate}>{new Date(point.date).toLocaleDateString()}</Text>
+              <Text style={styles.historyValue}>{formatWeight(point.weightKg, unit)}</Text>
+              <Text style={styles.historyTrend}>{formatWeight(point.trendKg, unit)}</Text>
+            </TouchableOpacity>
+          ))}
+          {weights.length > 0 && (
+            <Text style={styles.hintText}>Long-press a weigh-in to delete it</Text>
+          )}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#f8f9fa', paddingHorizontal: 15 },
+  topBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    marginBottom: 20,
+  },
+  backText: { color: '#4285f4', fontSize: 16, fontWeight: 'bold', marginRight: 15 },
+  title: { fontSize: 22, fontWeight: 'bold', color: '#333' },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 5,
+    elevation: 3,
+  },
+  cardTitle: { fontSize: 16, fontWeight: 'bold', color: '#333', marginBottom: 8 },
+  entryRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 10 },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    padding: 10,
+    fontSize: 16,
+    marginRight: 10,
+  },
+  unitButton: {
+    borderWidth: 1,
+    borderColor: '#4285f4',
+    borderRadius: 5,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginLeft: 5,
+  },
+  unitActive: { backgroundColor: '#4285f4' },
+  unitText: { color: '#4285f4', fontWeight: 'bold' },
+  unitTextActive: { color: 'white' },
+  saveButton: {
+    backgroundColor: '#34a853',
+    padding: 12,
+    borderRadius: 5,
+    alignItems: 'center',
+  },
+  saveButtonText: { color: 'white', fontWeight: 'bold', fontSize: 16 },
+  summary: { fontSize: 15, color: '#333', marginBottom: 10 },
+  historyRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  historyDate: { flex: 1, color: '#333' },
+  historyValue: { width: 90, textAlign: 'right', fontWeight: 'bold' },
+  historyTrend: { width: 90, textAlign: 'right', color: '#4285f4' },
+  emptyText: { color: '#666' },
+  hintText: { color: '#999', fontSize: 12, marginTop: 8 },
+});
+
+export default WeightScreen;
@@ -0,0 +1,18 @@
+// Load a separate copy of the app's modules as if on another phone, with
+// its own document directory, database and keychain. Loading the same
+// device again simulates a cold start: module state is gone, files stay.
+const loadDevice = (name, load) => {
+  const previous = globalThis.testDevice;
+  globalThis.testDevice = name;
+  let modules;
+  try {
+    jest.isolateModules(() => {
+      modules = load();
+    });
+  } finally {
+    globalThis.testDevice = previous;
+  }
+  return modules;
+};
+
+module.exports = { loadDevice };
@@ -0,0 +1,15 @@
+// Fails an entry's item write after its journal row was written, like a full
+// disk would, whenever one of the items is named 'Poison'. Stand it in with
+//   jest.mock('../../food/foods', () => require('../../../test/failingItems').mockFoods());
+const mockFoods = () => {
+  const actual = jest.requireActual('../components/food/foods');
+  return {
+    ...actual,
+    saveJournalItems: async (journalId, items, tx) => {
+      await actual.saveJournalItems(journalId, items, tx);
+      if (items.some((item) => item.name === 'Poison')) throw new Error('disk I/O error');
+    },
+  };
+};
+
+module.exports = { mockFoods };
@@ -0,0 +1,32 @@
+// Plain data builders shared by the tests; nothing here touches the database
+
+let emails = 0;
+
+const uniqueEmail = (prefix = 'user') => {
+  emails += 1;
+  return `${prefix}${emails}@example.com`;
+};
+
+const entryFields = (overrides = {}) => ({
+  image: null,
+  thumbnail: null,
+  description: 'Porridge with berries',
+  categoryId: null,
+  date: '2024-03-05T08:30:00.000Z',
+  calories: null,
+  protein: null,
+  carbs: null,
+  fat: null,
+  ...overrides,
+});
+
+// Editor-side item as built by food/foods customItem
+const item = (name, calories = null, quantity = '1') => ({
+  foodId: null,
+  name,
+  quantity,
+  unit: null,
+  base: { calories, protein: null, carbs: null, fat: null },
+});
+
+module.exports = { uniqueEmail, entryFields, item };
@@ -0,0 +1,5 @@
+// Day boundaries in the queries use sqlite's 'localtime'; pin a zone with
+// daylight saving so those tests mean the same thing on every machine
+module.exports = async () => {
+  process.env.TZ = 'America/New_York';
+};
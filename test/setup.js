@@ -0,0 +1,7 @@
+import fs from 'fs';
+
+afterAll(() => {
+  if (globalThis.testDocumentRoot) {
+    fs.rmSync(globalThis.testDocumentRoot, { recursive: true, force: true });
+  }
+});
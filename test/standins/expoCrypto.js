@@ -0,0 +1,9 @@
+import crypto from 'crypto';
+
+const getRandomBytesAsync = async (count) => new Uint8Array(crypto.randomBytes(count));
+
+const getRandomBytes = (count) => new Uint8Array(crypto.randomBytes(count));
+
+const randomUUID = () => crypto.randomUUID();
+
+export { getRandomBytesAsync, getRandomBytes, randomUUID };
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Node stand-in for expo-file-system over a temporary directory. Each test
+// file gets its own root; `globalThis.testDevice` (see test/device.js)
+// picks a subdirectory so one test can run several phones side by side.
+const root = (globalThis.testDocumentRoot ??= fs.mkdtempSync(
+  path.join(os.tmpdir(), 'foodjournal-')
+));
+const deviceDir = path.join(root, globalThis.testDevice || 'device');
+fs.mkdirSync(path.join(deviceDir, 'SQLite'), { recursive: true });
+
+const documentDirectory = `file://${deviceDir}/`;
+const cacheDirectory = `file://${deviceDir}/cache/`;
+const EncodingType = { UTF8: 'utf8', Base64: 'base64' };
+
+const toPath = (uri) => decodeURIComponent(uri.replace(/^file:\/\//, ''));
+
+const getInfoAsync = async (uri) => {
+  try {
+    const stat = fs.statSync(toPath(uri));
+    return { exists: true, uri, size: stat.size, isDirectory: stat.isDirectory() };
+  } catch (error) {
+    return { exists: false, uri, isDirectory: false };
+  }
+};
+
+const readAsStringAsync = async (uri, { encoding = 'utf8', position, length } = {}) => {
+  const buffer = fs.readFileSync(toPath(uri));
+  const start = position ?? 0;
+  const slice = buffer.subarray(start, length === undefined ? undefined : start + length);
+  return slice.toString(encoding);
+};
+
+const writeAsStringAsync = async (uri, contents, { encoding = 'utf8' } = {}) => {
+  fs.writeFileSync(toPath(uri), Buffer.from(contents, encoding));
+};
+
+const deleteAsync = async (uri, { idempotent = false } = {}) => {
+  fs.rmSync(toPath(uri), { recursive: true, force: idempotent });
+};
+
+const moveAsync = async ({ from, to }) => {
+  fs.renameSync(toPath(from), toPath(to));
+};
+
+const copyAsync = async ({ from, to }) => {
+  fs.copyFileSync(toPath(from), toPath(to));
+};
+
+const makeDirectoryAsync = async (uri, { intermediates = false } = {}) => {
+  fs.mkdirSync(toPath(uri), { recursive: intermediates });
+};
+
+const readDirectoryAsync = async (uri) => fs.readdirSync(toPath(uri));
+
+export {
+  documentDirectory,
+  cacheDirectory,
+  EncodingType,
+  getInfoAsync,
+  readAsStringAsync,
+  writeAsStringAsync,
+  deleteAsync,
+  moveAsync,
+  copyAsync,
+  makeDirectoryAsync,
+  readDirectoryAsync,
+};
@@ -0,0 +1,17 @@
+import { cacheDirectory, copyAsync, makeDirectoryAsync } from 'expo-file-system';
+
+// Photos are not resized in tests; the stand-in writes an untouched copy
+// to the cache, where the real module leaves its output
+const SaveFormat = { JPEG: 'jpeg', PNG: 'png' };
+
+let copies = 0;
+
+const manipulateAsync = async (uri) => {
+  await makeDirectoryAsync(cacheDirectory, { intermediates: true });
+  copies += 1;
+  const output = `${cacheDirectory}manipulated-${copies}.jpg`;
+  await copyAsync({ from: uri, to: output });
+  return { uri: output };
+};
+
+export { SaveFormat, manipulateAsync };
@@ -0,0 +1,67 @@
+// In-memory stand-in for expo-notifications: scheduled requests and the
+// notifications showing in the tray are plain lists tests can inspect
+const SchedulableTriggerInputTypes = { DAILY: 'daily', DATE: 'date' };
+const AndroidImportance = { DEFAULT: 3 };
+
+const scheduled = [];
+const presented = [];
+let granted = true;
+let identifiers = 0;
+
+const getPermissionsAsync = async () => ({ granted });
+const requestPermissionsAsync = async () => ({ granted });
+const setNotificationChannelAsync = async () => null;
+
+const scheduleNotificationAsync = async ({ content, trigger }) => {
+  identifiers += 1;
+  const identifier = `notification-${identifiers}`;
+  scheduled.push({ identifier, content, trigger });
+  return identifier;
+};
+
+const getAllScheduledNotificationsAsync = async () => [...scheduled];
+
+const cancelScheduledNotificationAsync = async (identifier) => {
+  const index = scheduled.findIndex((request) => request.identifier === identifier);
+  if (index !== -1) scheduled.splice(index, 1);
+};
+
+const getPresentedNotificationsAsync = async () => [...presented];
+
+const dismissNotificationAsync = async (identifier) => {
+  const index = presented.findIndex((notification) => notification.request.identifier === identifier);
+  if (index !== -1) presented.splice(index, 1);
+};
+
+// Test helpers
+const deliver = (request) => {
+  const notification = { date: Date.now(), request };
+  presented.push(notification);
+  return notification;
+};
+
+const setPermissionGranted = (value) => {
+  granted = value;
+};
+
+const reset = () => {
+  scheduled.length = 0;
+  presented.length = 0;
+  granted = true;
+};
+
+export {
+  SchedulableTriggerInputTypes,
+  AndroidImportance,
+  getPermissionsAsync,
+  requestPermissionsAsync,
+  setNotificationChannelAsync,
+  scheduleNotificationAsync,
+  getAllScheduledNotificationsAsync,
+  cancelScheduledNotificationAsync,
+  getPresentedNotificationsAsync,
+  dismissNotificationAsync,
+  deliver,
+  setPermissionGranted,
+  reset,
+};
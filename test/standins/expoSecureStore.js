@@ -0,0 +1,18 @@
+// Keychain stand-in. Entries belong to the current test device and survive
+// reloading the app's modules, like the real keychain survives a restart.
+const keychains = (globalThis.testKeychains ??= {});
+const keychain = (keychains[globalThis.testDevice || 'device'] ??= new Map());
+
+const WHEN_UNLOCKED_THIS_DEVICE_ONLY = 'WHEN_UNLOCKED_THIS_DEVICE_ONLY';
+
+const getItemAsync = async (key) => keychain.get(key) ?? null;
+
+const setItemAsync = async (key, value) => {
+  keychain.set(key, value);
+};
+
+const deleteItemAsync = async (key) => {
+  keychain.delete(key);
+};
+
+export { WHEN_UNLOCKED_THIS_DEVICE_ONLY, getItemAsync, setItemAsync, deleteItemAsync };
@@ -0,0 +1,6 @@
+// No share sheet in tests; exports are left in place for the test to read
+const isAvailableAsync = async () => false;
+
+const shareAsync = async () => {};
+
+export { isAvailableAsync, shareAsync };
@@ -0,0 +1,87 @@
+import sqlite3 from '@journeyapps/sqlcipher';
+import { documentDirectory } from 'expo-file-system';
+
+// Node stand-in for expo-sqlite's async API. It runs on SQLCipher's build of
+// sqlite so that PRAGMA key, ATTACH ... KEY and sqlcipher_export behave like
+// the app's native build. Databases are files in the stand-in document
+// directory, because a second connection (as withExclusiveTransactionAsync
+// opens) has to see the same database.
+const databasePathFor = (name) =>
+  name === ':memory:'
+    ? name
+    : decodeURIComponent(`${documentDirectory}SQLite/${name}`.replace(/^file:\/\//, ''));
+
+const call = (connection, method, sql, params) =>
+  new Promise((resolve, reject) => {
+    connection[method](sql, params, function done(error, result) {
+      if (error) reject(error);
+      else if (method === 'run') resolve({ lastInsertRowId: this.lastID, changes: this.changes });
+      else resolve(result);
+    });
+  });
+
+const bindings = (params, rest) => (Array.isArray(params) ? params : [params, ...rest]);
+
+class StandInDatabase {
+  constructor(databasePath) {
+    this.databasePath = databasePath;
+    this.connection = new sqlite3.Database(databasePath);
+  }
+
+  execAsync(sql) {
+    return new Promise((resolve, reject) => {
+      this.connection.exec(sql, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  runAsync(sql, params = [], ...rest) {
+    return call(this.connection, 'run', sql, bindings(params, rest));
+  }
+
+  getAllAsync(sql, params = [], ...rest) {
+    return call(this.connection, 'all', sql, bindings(params, rest));
+  }
+
+  async getFirstAsync(sql, params = [], ...rest) {
+    return (await call(this.connection, 'get', sql, bindings(params, rest))) ?? null;
+  }
+
+  async withTransactionAsync(task) {
+    await this.execAsync('BEGIN');
+    try {
+      await task();
+      await this.execAsync('COMMIT');
+    } catch (error) {
+      await this.execAsync('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Like expo-sqlite: a new connection to the same file, with none of the
+  // pragmas the app set on its own connection
+  async withExclusiveTransactionAsync(task) {
+    const txn = new StandInDatabase(this.databasePath);
+    try {
+      await txn.execAsync('BEGIN EXCLUSIVE');
+      try {
+        await task(txn);
+        await txn.execAsync('COMMIT');
+      } catch (error) {
+        await txn.execAsync('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      await txn.closeAsync();
+    }
+  }
+
+  closeAsync() {
+    return new Promise((resolve, reject) => {
+      this.connection.close((error) => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+const openDatabaseAsync = async (name) => new StandInDatabase(databasePathFor(name));
+
+export { openDatabaseAsync };
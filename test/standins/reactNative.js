@@ -0,0 +1,4 @@
+// Only the parts of react-native that non-UI modules touch
+const Platform = { OS: 'ios', select: (options) => options.ios ?? options.default };
+
+export { Platform };
@@ -0,0 +1,28 @@
+// Records the statements features send through database.query so a test can
+// inspect their query plans. Stand it in for the database module with
+//   jest.mock('../../database/database', () => require('../../../test/statements').mockDatabase());
+const statements = [];
+
+const actualDatabase = () => jest.requireActual('../components/database/database');
+
+const mockDatabase = () => {
+  const actual = actualDatabase();
+  return {
+    ...actual,
+    database: {
+      ...actual.database,
+      query: (sql, params) => {
+        statements.push({ sql, params });
+        return actual.database.query(sql, params);
+      },
+    },
+  };
+};
+
+// Plan details of a recorded statement; asking for the plan is not recorded
+const planOf = async ({ sql, params }) =>
+  (await actualDatabase().database.query(`EXPLAIN QUERY PLAN ${sql}`, params)).map(
+    (row) => row.detail
+  );
+
+module.exports = { statements, mockDatabase, planOf };